@@ -0,0 +1,152 @@
+// ---------- Test analytics ----------
+// Builds the dashboard from a learner's stored attempts (see "Learner
+// progress" in server.js): score trends, most-missed questions, weakest
+// units and lessons, and focused review courses against their originals.
+// Each attempt keeps per-question verdicts as { id, ok }. Attempts made before
+// those were recorded fall back to matching `results` to the current
+// questions by position, when the counts still agree.
+
+const MOST_MISSED = 5;
+
+const words = (text) => new Set(String(text || "").toLowerCase().match(/\p{L}{4,}/gu) || []);
+
+// The lesson a question most likely tests: the one whose title, key points
+// and text share the most words with the question and its explanation.
+// Checkpoint questions only look inside their own unit.
+export function questionLesson(course, q, unitId = null) {
+  const units = (course.units || []).filter((u) => !unitId || u.id === unitId);
+  const own = units.flatMap((u) => (u.lessons || []).map((l) => ({ u, l })));
+  if (q.lessonId) {
+    const hit = own.find(({ l }) => l.id === q.lessonId);
+    if (hit) return hit;
+  }
+  const qWords = words(`${q.question} ${q.explanation || ""}`);
+  let best = null;
+  let bestScore = 0;
+  for (const x of own) {
+    const title = words(x.l.title);
+    const body = words(`${(x.l.keyPoints || []).join(" ")} ${x.l.content || ""}`);
+    let score = 0;
+    for (const w of qWords) score += (title.has(w) ? 3 : 0) + (body.has(w) ? 1 : 0);
+    if (score > bestScore) {
+      best = x;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function attemptQuestions(course, a) {
+  return a.kind === "checkpoint"
+    ? course.units?.find((u) => u.id === a.unitId)?.checkpoint?.questions || []
+    : course.finalTest?.questions || [];
+}
+
+// [{ q, ok }] for the questions of an attempt that still exist
+function verdicts(course, a) {
+  const qs = attemptQuestions(course, a);
+  if (Array.isArray(a.questions)) {
+    const byId = new Map(qs.map((q) => [q.id, q]));
+    return a.questions.filter((v) => byId.has(v.id)).map((v) => ({ q: byId.get(v.id), ok: !!v.ok }));
+  }
+  if (!Array.isArray(a.results) || a.results.length !== qs.length) return [];
+  return qs.map((q, i) => ({ q, ok: !!a.results[i]?.ok }));
+}
+
+const average = (xs) => (xs.length ? Math.round(xs.reduce((a, b) => a + b, 0) / xs.length) : null);
+
+function scoreStats(attempts) {
+  const scores = attempts.map((a) => a.score.pct);
+  return {
+    attempts: attempts.length,
+    best: scores.length ? Math.max(...scores) : null,
+    last: scores.length ? scores[scores.length - 1] : null,
+    average: average(scores),
+  };
+}
+
+// One course's analytics from one learner's progress record.
+export function courseAnalytics(course, progress) {
+  const attempts = progress?.attempts || [];
+  const finals = attempts.filter((a) => a.kind === "final");
+
+  const lessonOf = new Map();
+  const lessonFor = (q, unitId) => {
+    const key = `${unitId || ""}/${q.id}`;
+    if (!lessonOf.has(key)) lessonOf.set(key, questionLesson(course, q, unitId));
+    return lessonOf.get(key);
+  };
+
+  const missed = new Map();
+  const units = new Map(
+    (course.units || []).map((u) => [
+      u.id,
+      { unitId: u.id, title: u.title, correct: 0, total: 0, lessons: new Map() },
+    ])
+  );
+
+  for (const a of attempts) {
+    for (const { q, ok } of verdicts(course, a)) {
+      const key = `${a.kind}/${a.unitId || ""}/${q.id}`;
+      const m = missed.get(key) || { questionId: q.id, kind: a.kind, unitId: a.unitId || null, question: q.question, misses: 0, seen: 0 };
+      m.seen++;
+      if (!ok) m.misses++;
+      missed.set(key, m);
+
+      const hit = lessonFor(q, a.kind === "checkpoint" ? a.unitId : null);
+      const u = units.get(hit?.u.id || a.unitId);
+      if (!u) continue;
+      u.total++;
+      if (ok) u.correct++;
+      if (hit) {
+        const l = u.lessons.get(hit.l.id) || { lessonId: hit.l.id, title: hit.l.title, correct: 0, total: 0 };
+        l.total++;
+        if (ok) l.correct++;
+        u.lessons.set(hit.l.id, l);
+      }
+      if (!m.lessonTitle && hit) m.lessonTitle = hit.l.title;
+    }
+  }
+
+  const pct = (x) => ({ ...x, pct: x.total ? Math.round((x.correct / x.total) * 100) : null });
+  return {
+    id: course.id,
+    courseTitle: course.courseTitle,
+    focusedFrom: course.focusedFrom || null,
+    trend: finals.map((a) => ({ at: a.at, pct: a.score.pct, durationMs: a.durationMs ?? null })),
+    checkpoints: attempts
+      .filter((a) => a.kind === "checkpoint")
+      .map((a) => ({ at: a.at, unitId: a.unitId, pct: a.score.pct, durationMs: a.durationMs ?? null })),
+    scores: scoreStats(finals),
+    averageDurationMs: average(finals.map((a) => a.durationMs).filter(Number.isFinite)),
+    mostMissed: [...missed.values()]
+      .filter((m) => m.misses > 0)
+      .map((m) => ({ ...m, rate: Math.round((m.misses / m.seen) * 100) }))
+      .sort((a, b) => b.rate - a.rate || b.misses - a.misses)
+      .slice(0, MOST_MISSED),
+    // weakest first; units nobody was tested on go last
+    units: [...units.values()]
+      .map((u) => ({ ...pct(u), lessons: [...u.lessons.values()].map(pct).sort((a, b) => a.pct - b.pct) }))
+      .sort((a, b) => (a.pct ?? 101) - (b.pct ?? 101)),
+  };
+}
+
+// Focused review courses next to the course they were made from. Older
+// focused courses carry no link and are matched by their "(Focused Review)"
+// title.
+export function focusedComparisons(list) {
+  const byId = new Map(list.map((c) => [c.id, c]));
+  const byTitle = new Map(list.map((c) => [c.courseTitle, c]));
+  const out = [];
+  for (const c of list) {
+    const original = c.focusedFrom ? byId.get(c.focusedFrom) : byTitle.get(String(c.courseTitle).replace(/ \(Focused Review\)$/, ""));
+    if (!original || original === c || !(c.focusedFrom || / \(Focused Review\)$/.test(c.courseTitle))) continue;
+    out.push({
+      original: { id: original.id, courseTitle: original.courseTitle, ...original.scores },
+      focused: { id: c.id, courseTitle: c.courseTitle, ...c.scores },
+      // best score in the focused course against the latest in the original
+      change: c.scores.best != null && original.scores.last != null ? c.scores.best - original.scores.last : null,
+    });
+  }
+  return out;
+}
@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import { collection, save } from "./db.js";
+
+export const SESSION_COOKIE = "sb_session";
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Same rules as validatePassword in frontend/src/App.jsx — keep them in sync.
+export function validatePassword(pw) {
+  const errors = [];
+  if (typeof pw !== "string") pw = "";
+  if (pw.length < 8) errors.push("at least 8 characters");
+  if (!/[A-Z]/.test(pw)) errors.push("1 uppercase letter");
+  if (!/[a-z]/.test(pw)) errors.push("1 lowercase letter");
+  if (!/\d/.test(pw)) errors.push("1 number");
+  if (!/[!@#$%^&*()_\-+=[\]{};:'\",.<>/?\\|`~]/.test(pw))
+    errors.push("1 special character");
+
+  return {
+    ok: errors.length === 0,
+    message: errors.length ? `Password must include ${errors.join(", ")}.` : "",
+  };
+}
+
+// ---------- Password hashing (scrypt, per-user random salt) ----------
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, "hex");
+  const actual = await scrypt(String(password || ""), Buffer.from(saltHex, "hex"));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ---------- Sessions ----------
+// Only a SHA-256 of the session token is stored, so a leaked db.json
+// cannot be replayed as a cookie.
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export function publicUser(u) {
+  return u ? { id: u.id, name: u.name, email: u.email, role: userRole(u) } : null;
+}
+
+// Instructors run classes (see "Classes" in server.js); everyone else is a
+// student. Clients cannot pick their role: the accounts listed in
+// INSTRUCTOR_EMAILS (comma-separated, read on each use) are the instructors.
+const instructorEmails = () =>
+  new Set(
+    String(process.env.INSTRUCTOR_EMAILS || "")
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean)
+  );
+export const userRole = (u) => (u && instructorEmails().has(u.email) ? "instructor" : "student");
+
+export function findUserByEmail(email) {
+  const e = String(email || "").trim().toLowerCase();
+  return collection("users").find((u) => u.email === e) || null;
+}
+
+export function createSession(userId) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = Date.now();
+  const sessions = collection("sessions");
+
+  // drop expired sessions while we're here
+  for (let i = sessions.length - 1; i >= 0; i--) {
+    if (sessions[i].expiresAt <= now) sessions.splice(i, 1);
+  }
+
+  sessions.push({ tokenHash: hashToken(token), userId, createdAt: now, expiresAt: now + SESSION_TTL_MS });
+  save();
+  return token;
+}
+
+export function destroySession(token) {
+  if (!token) return;
+  const sessions = collection("sessions");
+  const h = hashToken(token);
+  const i = sessions.findIndex((s) => s.tokenHash === h);
+  if (i !== -1) {
+    sessions.splice(i, 1);
+    save();
+  }
+}
+
+export function readCookie(req, name) {
+  const header = req.headers?.cookie || "";
+  for (const part of header.split(";")) {
+    const eq = part.indexOf("=");
+    if (eq === -1) continue;
+    if (part.slice(0, eq).trim() !== name) continue;
+    try {
+      return decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      return ""; // malformed escape (e.g. "%E0"): no usable cookie
+    }
+  }
+  return "";
+}
+
+export function userFromRequest(req) {
+  const token = readCookie(req, SESSION_COOKIE);
+  if (!token) return null;
+  const h = hashToken(token);
+  const s = collection("sessions").find((x) => x.tokenHash === h);
+  if (!s || s.expiresAt <= Date.now()) return null;
+  return collection("users").find((u) => u.id === s.userId) || null;
+}
+
+// Express middleware: 401 unless a valid session cookie is present.
+export function requireAuth(req, res, next) {
+  const u = userFromRequest(req);
+  if (!u) return res.status(401).json({ error: "Please sign in first." });
+  req.user = u;
+  next();
+}
+
+// Express middleware, after requireAuth: 403 unless the user is an instructor.
+export function requireInstructor(req, res, next) {
+  if (userRole(req.user) !== "instructor") return res.status(403).json({ error: "Only instructors can do this." });
+  next();
+}
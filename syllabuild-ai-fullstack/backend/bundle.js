@@ -0,0 +1,115 @@
+import { validateImportedCourse } from "./schema.js";
+
+// ---------- Course bundles (portable JSON) ----------
+// A bundle is a course plus metadata, for backups, moving a course between
+// accounts and hand-authoring courses outside the app:
+//   { format: "syllabuild.course", version, exportedAt, meta, course }
+// Version history:
+//   0  a bare course object ({ courseTitle, units, finalTest }) as returned by
+//      the model or written by hand, with no wrapper
+//   1  the wrapper above; meta = { sourceFileName, generationSettings, model,
+//      provider, createdAt }
+// Each MIGRATIONS[n] turns a version-n bundle into version n+1. Hand-written
+// courses may leave out ids and question types (MCQ); those are filled in on
+// import.
+
+export const BUNDLE_FORMAT = "syllabuild.course";
+export const BUNDLE_VERSION = 1;
+
+// Course fields that travel in a bundle. Per-learner state (checkpoint
+// results) stays behind. `language` is the course's language, read from
+// its generation settings; `translationOf` is the id of the course it was
+// translated from.
+const BUNDLE_COURSE_FIELDS = [
+  "courseTitle",
+  "courseDescription",
+  "units",
+  "finalTest",
+  "masteryThreshold",
+  "sourceText",
+  "sourceSections",
+  "sourcePassages",
+  "coverage",
+  "language",
+  "translationOf",
+];
+
+const bundleError = (message, details) => Object.assign(new Error(message), { status: 400, ...(details ? { details } : {}) });
+
+function withIds(course) {
+  const typed = (questions, prefix) =>
+    questions.map((q, i) => ({ ...q, id: q?.id || `${prefix}${i + 1}`, type: q?.type || "mcq" }));
+  const unit = (u, ui) => ({
+    ...u,
+    id: u?.id || `u${ui + 1}`,
+    lessons: Array.isArray(u?.lessons) ? u.lessons.map((l, li) => ({ ...l, id: l?.id || `u${ui + 1}l${li + 1}` })) : u?.lessons,
+    ...(Array.isArray(u?.checkpoint?.questions)
+      ? { checkpoint: { ...u.checkpoint, questions: typed(u.checkpoint.questions, `u${ui + 1}c`) } }
+      : {}),
+  });
+  return {
+    ...course,
+    courseDescription: course.courseDescription ?? "",
+    units: Array.isArray(course.units) ? course.units.map(unit) : course.units,
+    ...(Array.isArray(course.finalTest?.questions)
+      ? { finalTest: { ...course.finalTest, questions: typed(course.finalTest.questions, "q") } }
+      : {}),
+  };
+}
+
+const MIGRATIONS = {
+  0: (course) => ({
+    format: BUNDLE_FORMAT,
+    version: 1,
+    exportedAt: null,
+    meta: {},
+    course,
+  }),
+};
+
+const bundleVersion = (obj) => (obj?.format === undefined && Array.isArray(obj?.units) ? 0 : obj?.version);
+
+export function createBundle(course) {
+  const g = course.generation || {};
+  const src = { ...course, language: g.settings?.language || g.sourceLanguage || undefined };
+  const out = {};
+  for (const k of BUNDLE_COURSE_FIELDS) if (src[k] !== undefined) out[k] = src[k];
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    meta: {
+      sourceFileName: g.sourceFileName || null,
+      generationSettings: g.settings || null,
+      model: g.model || null,
+      provider: g.provider || null,
+      createdAt: course.createdAt || null,
+    },
+    course: out,
+  };
+}
+
+// Any supported version -> { course, meta } in the current shape, or a 400
+// with `details` listing structural problems (see validateImportedCourse).
+export function readBundle(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw bundleError("The bundle must be a JSON object.");
+  if (obj.format !== undefined && obj.format !== BUNDLE_FORMAT) {
+    throw bundleError(`Not a course bundle (format "${obj.format}", expected "${BUNDLE_FORMAT}").`);
+  }
+  let version = bundleVersion(obj);
+  if (!Number.isInteger(version) || version < 0) throw bundleError("The bundle has no valid version number.");
+  if (version > BUNDLE_VERSION) {
+    throw bundleError(`This bundle is version ${version}; this server reads up to version ${BUNDLE_VERSION}. Update the app to import it.`);
+  }
+
+  let bundle = obj;
+  while (version < BUNDLE_VERSION) bundle = MIGRATIONS[version++](bundle);
+
+  if (!bundle.course || typeof bundle.course !== "object") throw bundleError("The bundle has no course.");
+  const course = withIds(bundle.course);
+  const errors = validateImportedCourse(course).map((e) => ({ ...e, path: `course.${e.path}` }));
+  if (errors.length) throw bundleError(`The course in this bundle is invalid (${errors.length} problem${errors.length === 1 ? "" : "s"}).`, errors);
+
+  const meta = bundle.meta && typeof bundle.meta === "object" ? bundle.meta : {};
+  return { course, meta };
+}
@@ -0,0 +1,43 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// ---------- Tiny file-backed JSON store ----------
+// Everything lives in one JSON file; each collection is a plain array.
+// Writes go to a temp file first and are renamed into place so a crash
+// mid-write never leaves a half-written database behind.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Read on first use rather than at import time: server.js loads backend/.env
+// after its imports, and DATA_DIR may be set there.
+const dataDir = () => process.env.DATA_DIR || path.join(__dirname, "data");
+const dbFile = () => path.join(dataDir(), "db.json");
+
+function load() {
+  const file = dbFile();
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`⚠️ Could not read ${file}: ${e.message}`);
+    return {};
+  }
+}
+
+let state = null;
+
+export function collection(name) {
+  state ??= load();
+  if (!Array.isArray(state[name])) state[name] = [];
+  return state[name];
+}
+
+export function save() {
+  state ??= load();
+  fs.mkdirSync(dataDir(), { recursive: true });
+  const file = dbFile();
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state));
+  fs.renameSync(tmp, file);
+}
@@ -0,0 +1,376 @@
+import crypto from "crypto";
+import PDFDocument from "pdfkit";
+import { createZip } from "./zip.js";
+import { slug } from "./export.js";
+
+// ---------- Document export (Markdown / PDF / DOCX) ----------
+// The course is first laid out as a flat list of blocks, then each format
+// renders those blocks, so all three stay in step:
+//   { kind: "title" | "heading", level?, text }
+//   { kind: "para", text, bold?, muted? }
+//   { kind: "list", items, labels? }   labels: ["A", "B", ...] instead of bullets
+//   { kind: "lines", count }           blank lines to write an answer on
+//   { kind: "break" }                  page break
+
+export const DOCUMENT_FORMATS = ["md", "pdf", "docx"];
+
+const LETTERS = ["A", "B", "C", "D", "E", "F", "G", "H"];
+
+const paragraphs = (text) =>
+  String(text || "")
+    .split("\n")
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+function lessonBlocks(lesson, guide) {
+  const out = [{ kind: "heading", level: 2, text: lesson.title }];
+  const keyPoints = (lesson.keyPoints || []).filter(Boolean);
+  if (!guide) {
+    for (const p of paragraphs(lesson.content)) out.push({ kind: "para", text: p });
+    if (keyPoints.length) out.push({ kind: "heading", level: 3, text: "Key points" }, { kind: "list", items: keyPoints });
+  } else if (keyPoints.length) {
+    out.push({ kind: "list", items: keyPoints });
+  } else {
+    // a study guide without key points still needs something to revise from
+    const first = paragraphs(lesson.content)[0];
+    if (first) out.push({ kind: "para", text: first });
+  }
+  return out;
+}
+
+// Stable scramble for printed ordering questions, so the worksheet and the
+// answer key agree on every export.
+function scrambled(q) {
+  const idx = q.items.map((_, i) => i);
+  const key = (i) => crypto.createHash("md5").update(`${q.id}:${i}:${q.items[i]}`).digest("hex");
+  idx.sort((a, b) => (key(a) < key(b) ? -1 : 1));
+  return idx.every((x, i) => x === i) ? idx.reverse() : idx;
+}
+
+function worksheetQuestion(q, n) {
+  const out = [{ kind: "para", bold: true, text: `${n}. ${q.question}` }];
+  switch (q.type) {
+    case "truefalse":
+      out.push({ kind: "para", text: "True  /  False" });
+      break;
+    case "multiselect":
+      out.push({ kind: "para", muted: true, text: "Select all that apply." });
+      out.push({ kind: "list", items: q.options, labels: LETTERS });
+      break;
+    case "short":
+      out.push({ kind: "lines", count: 4 });
+      break;
+    case "numeric":
+      out.push({ kind: "para", text: `Answer: ____________${q.unit ? ` ${q.unit}` : ""}` });
+      break;
+    case "ordering":
+      out.push({ kind: "para", muted: true, text: "Write the letters in the correct order." });
+      out.push({ kind: "list", items: scrambled(q).map((i) => q.items[i]), labels: LETTERS });
+      out.push({ kind: "para", text: "Order: ____________" });
+      break;
+    default:
+      out.push({ kind: "list", items: q.options, labels: LETTERS });
+  }
+  return out;
+}
+
+function answerKeyEntry(q, n) {
+  let answer;
+  switch (q.type) {
+    case "truefalse":
+      answer = q.answer ? "True" : "False";
+      break;
+    case "multiselect":
+      answer = q.correctAnswers.map((i) => `${LETTERS[i]}. ${q.options[i]}`).join("; ");
+      break;
+    case "short":
+      answer = q.grading === "rubric" ? q.sampleAnswer : `Mentions: ${q.keywords.join(", ")}`;
+      break;
+    case "numeric":
+      answer = `${q.answer}${q.tolerance ? ` ± ${q.tolerance}` : ""}${q.unit ? ` ${q.unit}` : ""}`;
+      break;
+    case "ordering": {
+      const shown = scrambled(q);
+      answer = q.items.map((_, i) => LETTERS[shown.indexOf(i)]).join(", ");
+      break;
+    }
+    default:
+      answer = `${LETTERS[q.correctAnswer]}. ${q.options[q.correctAnswer]}`;
+  }
+  const out = [{ kind: "para", bold: true, text: `${n}. ${answer}` }];
+  if (q.type === "short" && q.grading === "rubric") out.push({ kind: "para", muted: true, text: `Rubric: ${q.rubric}` });
+  if (q.explanation) out.push({ kind: "para", muted: true, text: q.explanation });
+  return out;
+}
+
+const finalQuestions = (course) => (course.finalTest?.questions || []).map((q) => ({ ...q, type: q.type || "mcq" }));
+
+// options: { guide: key points only, worksheet: append the final test as a
+// worksheet }. The answer key is a document of its own (answerKeyBlocks), so
+// a printed worksheet never carries the answers.
+function courseBlocks(course, { guide = false, worksheet = false } = {}) {
+  const title = course.courseTitle || "Course";
+  const blocks = [{ kind: "title", text: guide ? `${title} — Study Guide` : title }];
+  for (const p of paragraphs(course.courseDescription)) blocks.push({ kind: "para", muted: true, text: p });
+
+  for (const unit of course.units) {
+    blocks.push({ kind: "heading", level: 1, text: unit.title });
+    if (unit.description) blocks.push({ kind: "para", muted: true, text: unit.description });
+    for (const lesson of unit.lessons || []) blocks.push(...lessonBlocks(lesson, guide));
+  }
+
+  const questions = worksheet ? finalQuestions(course) : [];
+  if (questions.length) {
+    blocks.push({ kind: "break" }, { kind: "heading", level: 1, text: "Final Test — Worksheet" });
+    blocks.push({ kind: "para", text: "Name: ______________________    Date: ____________" });
+    questions.forEach((q, i) => blocks.push(...worksheetQuestion(q, i + 1)));
+  }
+  return blocks;
+}
+
+// The final-test worksheet's answers, numbered and lettered like the worksheet
+function answerKeyBlocks(course) {
+  const blocks = [{ kind: "title", text: `${course.courseTitle || "Course"} — Answer Key` }];
+  blocks.push({ kind: "para", muted: true, text: "Answers to the final test worksheet." });
+  finalQuestions(course).forEach((q, i) => blocks.push(...answerKeyEntry(q, i + 1)));
+  return blocks;
+}
+
+// ---------- Markdown ----------
+
+function toMarkdown(blocks) {
+  const out = blocks.map((b) => {
+    switch (b.kind) {
+      case "title":
+        return `# ${b.text}`;
+      case "heading":
+        return `${"#".repeat(b.level + 1)} ${b.text}`;
+      case "list":
+        return b.items.map((item, i) => (b.labels ? `- **${b.labels[i]}.** ${item}` : `- ${item}`)).join("\n");
+      case "lines":
+        return Array.from({ length: b.count }, () => "\\_".repeat(40)).join("  \n");
+      case "break":
+        return "---";
+      default:
+        return b.bold ? `**${b.text}**` : b.muted ? `_${b.text}_` : b.text;
+    }
+  });
+  return out.join("\n\n") + "\n";
+}
+
+// ---------- DOCX (WordprocessingML in our own zip) ----------
+
+const xml = (s) =>
+  String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+const run = (text, props = "") =>
+  `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ""}<w:t xml:space="preserve">${xml(text)}</w:t></w:r>`;
+
+const wPara = (inner, pPr = "") => `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ""}${inner}</w:p>`;
+
+function docxBody(blocks) {
+  return blocks
+    .map((b) => {
+      switch (b.kind) {
+        case "title":
+          return wPara(run(b.text), '<w:pStyle w:val="Title"/>');
+        case "heading":
+          return wPara(run(b.text), `<w:pStyle w:val="Heading${b.level}"/>`);
+        case "list":
+          return b.items
+            .map((item, i) =>
+              wPara(`${run(b.labels ? `${b.labels[i]}.` : "•")}<w:r><w:tab/></w:r>${run(item)}`, '<w:pStyle w:val="ListItem"/>')
+            )
+            .join("");
+        case "lines":
+          return Array.from({ length: b.count }, () => wPara("", '<w:pStyle w:val="AnswerLine"/>')).join("");
+        case "break":
+          return wPara('<w:r><w:br w:type="page"/></w:r>');
+        default:
+          return wPara(run(b.text, b.bold ? "<w:b/>" : b.muted ? '<w:i/><w:color w:val="64748B"/>' : ""));
+      }
+    })
+    .join("\n");
+}
+
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri" w:eastAsia="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:color w:val="4F46E5"/><w:sz w:val="48"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:color w:val="1E293B"/><w:sz w:val="32"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:color w:val="4F46E5"/><w:sz w:val="26"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="160" w:after="60"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:caps/><w:color w:val="64748B"/><w:sz w:val="18"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="ListItem"><w:name w:val="List Item"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/><w:ind w:left="720" w:hanging="360"/></w:pPr></w:style>
+  <w:style w:type="paragraph" w:styleId="AnswerLine"><w:name w:val="Answer Line"/><w:basedOn w:val="Normal"/><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="94A3B8"/></w:pBdr><w:spacing w:before="240" w:after="0"/></w:pPr></w:style>
+</w:styles>
+`;
+
+function toDocx(blocks, title) {
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>
+`,
+    },
+    {
+      name: "_rels/.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>
+`,
+    },
+    {
+      name: "docProps/core.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <dc:title>${xml(title)}</dc:title>
+  <dc:creator>Syllabuild</dc:creator>
+</cp:coreProperties>
+`,
+    },
+    {
+      name: "word/_rels/document.xml.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>
+`,
+    },
+    { name: "word/styles.xml", data: DOCX_STYLES },
+    {
+      name: "word/document.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>
+${docxBody(blocks)}
+<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>
+`,
+    },
+  ]);
+}
+
+// ---------- PDF ----------
+// The built-in Helvetica only covers Latin-1. Set PDF_FONT (and optionally
+// PDF_FONT_BOLD) to .ttf files for courses in other scripts.
+
+function pdfFonts(doc) {
+  const regular = process.env.PDF_FONT;
+  if (!regular) return { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique" };
+  doc.registerFont("body", regular);
+  doc.registerFont("body-bold", process.env.PDF_FONT_BOLD || regular);
+  return { regular: "body", bold: "body-bold", italic: "body" };
+}
+
+function toPdf(blocks, title) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 56, bufferPages: true, info: { Title: title, Creator: "Syllabuild" } });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const f = pdfFonts(doc);
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const HEADING = { 1: [17, "#1e293b", 14], 2: [13, "#4f46e5", 8], 3: [9, "#64748b", 4] };
+
+    for (const b of blocks) {
+      switch (b.kind) {
+        case "title":
+          doc.font(f.bold).fontSize(24).fillColor("#4f46e5").text(b.text, { width });
+          doc.moveDown(0.5);
+          break;
+        case "heading": {
+          const [size, color, before] = HEADING[b.level];
+          // keep a heading with at least a couple of lines of what follows it
+          if (doc.y + size * 4 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+          else doc.y += before;
+          const text = b.level === 3 ? b.text.toUpperCase() : b.text;
+          doc.font(f.bold).fontSize(size).fillColor(color).text(text, { width, characterSpacing: b.level === 3 ? 1 : 0 });
+          doc.moveDown(0.3);
+          break;
+        }
+        case "list":
+          doc.font(f.regular).fontSize(11).fillColor("#1e293b");
+          b.items.forEach((item, i) => {
+            const y = doc.y;
+            doc.text(b.labels ? `${b.labels[i]}.` : "•", doc.page.margins.left + 8, y, { width: 20, lineBreak: false });
+            doc.text(item, doc.page.margins.left + 28, y, { width: width - 28, lineGap: 2 });
+            doc.moveDown(0.2);
+          });
+          doc.x = doc.page.margins.left;
+          doc.moveDown(0.3);
+          break;
+        case "lines":
+          for (let i = 0; i < b.count; i++) {
+            doc.y += 20;
+            if (doc.y > doc.page.height - doc.page.margins.bottom) doc.addPage();
+            doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.margins.left + width, doc.y).lineWidth(0.5).strokeColor("#94a3b8").stroke();
+          }
+          doc.moveDown(0.8);
+          break;
+        case "break":
+          doc.addPage();
+          break;
+        default:
+          doc
+            .font(b.bold ? f.bold : b.muted ? f.italic : f.regular)
+            .fontSize(11)
+            .fillColor(b.muted ? "#64748b" : "#1e293b")
+            .text(b.text, doc.page.margins.left, doc.y, { width, lineGap: 3 });
+          doc.moveDown(0.5);
+      }
+    }
+
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0; // writing into the margin must not add a page
+      doc
+        .font(f.regular)
+        .fontSize(8)
+        .fillColor("#94a3b8")
+        .text(`${title} · ${i + 1} / ${range.count}`, doc.page.margins.left, doc.page.height - 36, { width, align: "center" });
+      doc.page.margins.bottom = bottom;
+    }
+    doc.end();
+  });
+}
+
+const CONTENT_TYPES = {
+  md: "text/markdown; charset=utf-8",
+  pdf: "application/pdf",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+};
+
+// -> { filename, contentType, data: Buffer | string }
+export async function exportDocument(course, format, options = {}) {
+  if (!DOCUMENT_FORMATS.includes(format)) {
+    throw Object.assign(new Error(`format must be one of ${DOCUMENT_FORMATS.join(", ")}`), { status: 400 });
+  }
+  if (options.answerKey) {
+    if (!course.finalTest?.questions?.length) throw Object.assign(new Error("This course has no final test to make an answer key for."), { status: 400 });
+  } else if (!Array.isArray(course.units) || !course.units.some((u) => u.lessons?.length)) {
+    throw Object.assign(new Error("This course has no lessons to export."), { status: 400 });
+  }
+  const title = course.courseTitle || "Course";
+  const blocks = options.answerKey ? answerKeyBlocks(course) : courseBlocks(course, options);
+  const data = format === "md" ? toMarkdown(blocks) : format === "docx" ? toDocx(blocks, title) : await toPdf(blocks, title);
+  const suffix = options.answerKey ? "-answer-key" : options.guide ? "-study-guide" : "";
+  return { filename: `${slug(title)}${suffix}.${format}`, contentType: CONTENT_TYPES[format], data };
+}
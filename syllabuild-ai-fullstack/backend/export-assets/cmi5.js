@@ -0,0 +1,137 @@
+/* cmi5 (xAPI) reporter for the exported course (a single AU).
+ * Follows the cmi5 launch sequence: read the launch parameters, fetch the
+ * auth token, read LMS.LaunchData, then send initialized / passed|failed /
+ * completed / terminated statements to the LRS. */
+(function () {
+  "use strict";
+
+  var params = new URLSearchParams(window.location.search);
+  var endpoint = (params.get("endpoint") || "").replace(/\/?$/, "/");
+  var fetchUrl = params.get("fetch");
+  var registration = params.get("registration");
+  var activityId = params.get("activityId");
+  var actor;
+  try {
+    actor = JSON.parse(params.get("actor") || "null");
+  } catch (e) {
+    actor = null;
+  }
+
+  if (!endpoint || !fetchUrl || !registration || !activityId || !actor) {
+    console.warn("cmi5 launch parameters missing — results will not be reported to an LMS.");
+    return;
+  }
+
+  var VERB = "http://adlnet.gov/expapi/verbs/";
+  var CMI5_CATEGORY = { id: "https://w3id.org/xapi/cmi5/context/categories/cmi5" };
+  var MOVEON_CATEGORY = { id: "https://w3id.org/xapi/cmi5/context/categories/moveon" };
+  var started = Date.now();
+  var auth = null;
+  var contextTemplate = {};
+  var terminated = false;
+  var queue = [];
+
+  function uuid() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
+      var r = (Math.random() * 16) | 0;
+      return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+    });
+  }
+
+  function duration() {
+    return "PT" + Math.round((Date.now() - started) / 1000) + "S";
+  }
+
+  function headers() {
+    return { Authorization: auth, "X-Experience-API-Version": "1.0.3", "Content-Type": "application/json" };
+  }
+
+  function statement(verb, result, moveOn) {
+    var ctx = JSON.parse(JSON.stringify(contextTemplate));
+    ctx.registration = registration;
+    ctx.contextActivities = ctx.contextActivities || {};
+    ctx.contextActivities.category = (ctx.contextActivities.category || []).concat(
+      moveOn ? [CMI5_CATEGORY, MOVEON_CATEGORY] : [CMI5_CATEGORY]
+    );
+    return {
+      id: uuid(),
+      timestamp: new Date().toISOString(),
+      actor: actor,
+      verb: { id: VERB + verb, display: { "en-US": verb } },
+      object: { id: activityId, objectType: "Activity" },
+      context: ctx,
+      result: result,
+    };
+  }
+
+  function send(stmt, keepalive) {
+    if (!auth) {
+      queue.push(stmt);
+      return Promise.resolve();
+    }
+    return fetch(endpoint + "statements", {
+      method: "POST",
+      headers: headers(),
+      body: JSON.stringify(stmt),
+      keepalive: !!keepalive,
+    }).catch(function (e) {
+      console.warn("Could not send xAPI statement:", e.message);
+    });
+  }
+
+  fetch(fetchUrl, { method: "POST" })
+    .then(function (r) {
+      return r.json();
+    })
+    .then(function (d) {
+      if (!d["auth-token"]) throw new Error(d["error-text"] || "no auth token");
+      auth = "Basic " + d["auth-token"];
+      var q = new URLSearchParams({
+        stateId: "LMS.LaunchData",
+        activityId: activityId,
+        agent: JSON.stringify(actor),
+        registration: registration,
+      });
+      return fetch(endpoint + "activities/state?" + q.toString(), { headers: headers() });
+    })
+    .then(function (r) {
+      return r.json();
+    })
+    .then(function (launchData) {
+      contextTemplate = launchData.contextTemplate || {};
+      return send(statement("initialized"));
+    })
+    .then(function () {
+      var pending = queue;
+      queue = [];
+      pending.forEach(function (s) {
+        send(s);
+      });
+    })
+    .catch(function (e) {
+      console.warn("cmi5 launch failed:", e.message);
+    });
+
+  window.SB_REPORT = {
+    finish: function (r) {
+      send(
+        statement(
+          r.passed ? "passed" : "failed",
+          { score: { scaled: r.scaled, raw: r.raw, min: 0, max: 100 }, success: r.passed, duration: duration() },
+          true
+        )
+      );
+      send(statement("completed", { completion: true, duration: duration() }, true));
+    },
+  };
+
+  function terminate() {
+    if (terminated || !auth) return;
+    terminated = true;
+    send(statement("terminated", { duration: duration() }), true);
+  }
+
+  window.addEventListener("pagehide", terminate);
+  window.addEventListener("beforeunload", terminate);
+})();
@@ -0,0 +1,202 @@
+/* Syllabuild exported quiz player.
+ * Reads window.SB_QUIZ = { passingScore, questions } and renders it into #quiz.
+ * Scoring matches the app (see frontend gradeQuestion). When the learner
+ * submits, window.SB_REPORT.finish({ scaled, raw, passed }) is called if a
+ * reporter (scorm12.js / cmi5.js) is loaded. */
+(function () {
+  "use strict";
+
+  var quiz = window.SB_QUIZ;
+  var root = document.getElementById("quiz");
+  if (!quiz || !root) return;
+
+  var LETTERS = ["A", "B", "C", "D", "E", "F"];
+  var answers = {};
+
+  function el(tag, attrs, children) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (k) {
+      if (k === "text") node.textContent = attrs[k];
+      else if (k === "onclick") node.addEventListener("click", attrs[k]);
+      else if (k === "oninput") node.addEventListener("input", attrs[k]);
+      else node.setAttribute(k, attrs[k]);
+    });
+    (children || []).forEach(function (c) {
+      if (c) node.appendChild(c);
+    });
+    return node;
+  }
+
+  function shuffled(n) {
+    var a = [];
+    for (var i = 0; i < n; i++) a.push(i);
+    for (var j = n - 1; j > 0; j--) {
+      var k = Math.floor(Math.random() * (j + 1));
+      var t = a[j];
+      a[j] = a[k];
+      a[k] = t;
+    }
+    if (n > 1 && a.every(function (x, i) { return x === i; })) return shuffled(n);
+    return a;
+  }
+
+  function choices(q) {
+    return q.type === "truefalse" ? ["True", "False"] : q.options;
+  }
+
+  function correctChoices(q) {
+    if (q.type === "truefalse") return [q.answer ? 0 : 1];
+    if (q.type === "multiselect") return q.correctAnswers;
+    return [q.correctAnswer];
+  }
+
+  function loose(s) {
+    return String(s == null ? "" : s).toLowerCase().replace(/\s+/g, " ").trim();
+  }
+
+  function grade(q, a) {
+    switch (q.type) {
+      case "truefalse":
+        return a === q.answer;
+      case "multiselect": {
+        var want = q.correctAnswers.slice().sort();
+        var got = (a || []).slice().sort();
+        return want.length === got.length && want.every(function (x, i) { return x === got[i]; });
+      }
+      case "short":
+        return q.keywords.every(function (k) { return loose(a).indexOf(loose(k)) !== -1; });
+      case "numeric": {
+        var n = Number(String(a == null ? "" : a).trim().replace(",", "."));
+        return isFinite(n) && Math.abs(n - q.answer) <= q.tolerance + 1e-9;
+      }
+      case "ordering":
+        return Array.isArray(a) && a.every(function (x, i) { return x === i; });
+      default:
+        return a === q.correctAnswer;
+    }
+  }
+
+  function answered(q, a) {
+    if (q.type === "multiselect") return Array.isArray(a) && a.length > 0;
+    if (q.type === "short" || q.type === "numeric") return String(a == null ? "" : a).trim() !== "";
+    return a !== undefined;
+  }
+
+  function correctText(q) {
+    if (q.type === "ordering") return q.items.join(" → ");
+    if (q.type === "numeric") return q.answer + (q.tolerance ? " ± " + q.tolerance : "") + (q.unit ? " " + q.unit : "");
+    if (q.type === "short") return "Mentions: " + q.keywords.join(", ");
+    var c = choices(q);
+    return correctChoices(q).map(function (j) { return c[j]; }).join("; ");
+  }
+
+  function renderInput(q, i) {
+    if (q.type === "short") {
+      return el("textarea", { rows: "3", oninput: function (e) { answers[i] = e.target.value; update(); } });
+    }
+    if (q.type === "numeric") {
+      return el("div", { class: "row" }, [
+        el("input", { type: "text", inputmode: "decimal", oninput: function (e) { answers[i] = e.target.value; update(); } }),
+        q.unit ? el("span", { class: "muted", text: q.unit }) : null,
+      ]);
+    }
+    if (q.type === "ordering") {
+      answers[i] = shuffled(q.items.length);
+      var list = el("ol", { class: "ordering" });
+      var draw = function () {
+        list.innerHTML = "";
+        answers[i].forEach(function (item, pos) {
+          var move = function (d) {
+            return function () {
+              var o = answers[i];
+              var t = o[pos];
+              o[pos] = o[pos + d];
+              o[pos + d] = t;
+              draw();
+            };
+          };
+          list.appendChild(
+            el("li", {}, [
+              el("span", { text: q.items[item] }),
+              el("button", { type: "button", text: "↑", onclick: move(-1) }),
+              el("button", { type: "button", text: "↓", onclick: move(1) }),
+            ])
+          );
+          list.lastChild.children[1].disabled = pos === 0;
+          list.lastChild.children[2].disabled = pos === q.items.length - 1;
+        });
+      };
+      draw();
+      return list;
+    }
+    var box = el("div", { class: "choices" });
+    choices(q).forEach(function (opt, j) {
+      var prefix = q.type === "truefalse" ? "" : q.type === "multiselect" ? "☐ " : LETTERS[j] + ". ";
+      var btn = el("button", { type: "button", class: "choice", text: prefix + opt });
+      btn.addEventListener("click", function () {
+        if (q.type === "truefalse") answers[i] = j === 0;
+        else if (q.type === "mcq") answers[i] = j;
+        else {
+          var cur = answers[i] || [];
+          answers[i] = cur.indexOf(j) === -1 ? cur.concat([j]) : cur.filter(function (x) { return x !== j; });
+        }
+        var picked = q.type === "multiselect" ? answers[i] : [q.type === "truefalse" ? (answers[i] ? 0 : 1) : answers[i]];
+        Array.prototype.forEach.call(box.children, function (b, k) {
+          var on = picked.indexOf(k) !== -1;
+          b.className = on ? "choice picked" : "choice";
+          if (q.type === "multiselect") b.textContent = (on ? "☑ " : "☐ ") + choices(q)[k];
+        });
+        update();
+      });
+      box.appendChild(btn);
+    });
+    return box;
+  }
+
+  var submit = el("button", { type: "button", class: "primary", text: "Submit" });
+  var status = el("p", { class: "muted" });
+
+  function update() {
+    var n = quiz.questions.filter(function (q, i) { return answered(q, answers[i]); }).length;
+    status.textContent = n + " / " + quiz.questions.length + " answered";
+    submit.disabled = n < quiz.questions.length;
+  }
+
+  quiz.questions.forEach(function (q, i) {
+    root.appendChild(
+      el("div", { class: "question" }, [
+        el("p", { class: "q", text: "Q" + (i + 1) + ". " + q.question }),
+        q.type === "multiselect" ? el("p", { class: "muted", text: "Select all that apply." }) : null,
+        renderInput(q, i),
+      ])
+    );
+  });
+  root.appendChild(el("div", { class: "row" }, [status, submit]));
+  update();
+
+  submit.addEventListener("click", function () {
+    var results = quiz.questions.map(function (q, i) { return grade(q, answers[i]); });
+    var correct = results.filter(Boolean).length;
+    var raw = Math.round((correct / quiz.questions.length) * 100);
+    var passed = raw >= quiz.passingScore;
+
+    root.innerHTML = "";
+    root.appendChild(
+      el("div", { class: "score " + (passed ? "pass" : "fail") }, [
+        el("h2", { text: raw + "%" }),
+        el("p", { text: correct + " of " + quiz.questions.length + " correct · " + (passed ? "Passed" : "Not passed (" + quiz.passingScore + "% needed)") }),
+      ])
+    );
+    quiz.questions.forEach(function (q, i) {
+      root.appendChild(
+        el("div", { class: "question " + (results[i] ? "ok" : "wrong") }, [
+          el("p", { class: "q", text: (results[i] ? "✓ " : "✗ ") + "Q" + (i + 1) + ". " + q.question }),
+          results[i] ? null : el("p", { text: "Correct answer: " + correctText(q) }),
+          q.explanation ? el("p", { class: "muted", text: "💡 " + q.explanation }) : null,
+        ])
+      );
+    });
+
+    if (window.SB_REPORT) window.SB_REPORT.finish({ scaled: raw / 100, raw: raw, passed: passed });
+  });
+})();
@@ -0,0 +1,47 @@
+/* SCORM 1.2 reporter for the exported final test (a SCO).
+ * Finds the LMS API, marks the attempt incomplete on launch and reports
+ * score + passed/failed when the quiz is submitted. */
+(function () {
+  "use strict";
+
+  function findAPI(win) {
+    for (var i = 0; win && i < 10; i++) {
+      if (win.API) return win.API;
+      if (win.parent && win.parent !== win) win = win.parent;
+      else break;
+    }
+    return null;
+  }
+
+  var api = findAPI(window) || (window.opener && findAPI(window.opener));
+  var finished = false;
+
+  if (!api) {
+    console.warn("SCORM API not found — results will not be reported to an LMS.");
+    return;
+  }
+
+  api.LMSInitialize("");
+  var status = api.LMSGetValue("cmi.core.lesson_status");
+  if (!status || status === "not attempted") api.LMSSetValue("cmi.core.lesson_status", "incomplete");
+  api.LMSCommit("");
+
+  function finish() {
+    if (finished) return;
+    finished = true;
+    api.LMSFinish("");
+  }
+
+  window.SB_REPORT = {
+    finish: function (r) {
+      api.LMSSetValue("cmi.core.score.min", "0");
+      api.LMSSetValue("cmi.core.score.max", "100");
+      api.LMSSetValue("cmi.core.score.raw", String(r.raw));
+      api.LMSSetValue("cmi.core.lesson_status", r.passed ? "passed" : "failed");
+      api.LMSCommit("");
+    },
+  };
+
+  window.addEventListener("beforeunload", finish);
+  window.addEventListener("unload", finish);
+})();
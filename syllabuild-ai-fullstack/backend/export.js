@@ -0,0 +1,246 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createZip } from "./zip.js";
+
+// ---------- LMS export (SCORM 1.2 / cmi5) ----------
+// SCORM 1.2: one asset per lesson plus the final test as a SCO that reports
+// score and passed/failed. cmi5: a single AU page with every lesson and the
+// final test, reporting through xAPI. Both share export-assets/.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ASSETS_DIR = path.join(__dirname, "export-assets");
+
+export const EXPORT_FORMATS = ["scorm12", "cmi5"];
+
+const asset = (name) => fs.readFileSync(path.join(ASSETS_DIR, name), "utf8");
+
+const esc = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const paragraphs = (text) =>
+  String(text || "")
+    .split("\n")
+    .filter((p) => p.trim())
+    .map((p) => `<p>${esc(p)}</p>`)
+    .join("\n");
+
+function page({ title, body, root = "", scripts = "" }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+<main>
+${body}
+</main>
+${scripts}
+</body>
+</html>
+`;
+}
+
+function lessonBody(unit, lesson, heading = "h1") {
+  const keyPoints = lesson.keyPoints?.length
+    ? `<div class="keypoints"><h2>Key points</h2><ul>${lesson.keyPoints.map((k) => `<li>${esc(k)}</li>`).join("")}</ul></div>`
+    : "";
+  return `<p class="crumb">${esc(unit.title)}</p>
+<${heading}>${esc(lesson.title)}</${heading}>
+${paragraphs(lesson.content)}
+${keyPoints}`;
+}
+
+const passingScore = (course) => (Number(course.masteryThreshold) > 0 ? Number(course.masteryThreshold) : 70);
+
+// Rubric-graded short answers need the model, so packages leave them out.
+function quizData(course) {
+  const questions = (course.finalTest?.questions || []).filter((q) => !(q.type === "short" && q.grading === "rubric"));
+  if (!questions.length) {
+    throw Object.assign(new Error("This course has no final-test questions that can be graded offline."), { status: 400 });
+  }
+  return { passingScore: passingScore(course), questions: questions.map((q) => ({ ...q, type: q.type || "mcq" })) };
+}
+
+// JSON inside <script> must not be able to close the tag
+const inlineJson = (v) => JSON.stringify(v).replace(/</g, "\\u003c");
+
+const quizScripts = (data, reporter) => `<script>window.SB_QUIZ = ${inlineJson(data)};</script>
+<script src="${reporter}"></script>
+<script src="quiz.js"></script>`;
+
+// Flattened lessons with stable file names: lessons/l1.html, lessons/l2.html, ...
+function lessonList(course) {
+  let n = 0;
+  return course.units.flatMap((unit, ui) =>
+    (unit.lessons || []).map((lesson) => {
+      n++;
+      return { unit, lesson, ui, n, file: `lessons/l${n}.html` };
+    })
+  );
+}
+
+function buildScorm12(course) {
+  const quiz = quizData(course);
+  const lessons = lessonList(course);
+  const title = course.courseTitle || "Course";
+
+  const files = lessons.map((x, i) => {
+    const prev = lessons[i - 1];
+    const next = lessons[i + 1];
+    const pager = `<nav class="pager">
+<span>${prev ? `<a href="../${prev.file}">← ${esc(prev.lesson.title)}</a>` : ""}</span>
+<span>${next ? `<a href="../${next.file}">${esc(next.lesson.title)} →</a>` : `<a href="../quiz.html">Final test →</a>`}</span>
+</nav>`;
+    return { name: x.file, data: page({ title: x.lesson.title, root: "../", body: lessonBody(x.unit, x.lesson) + pager }) };
+  });
+
+  files.push({
+    name: "quiz.html",
+    data: page({
+      title: `${title} — Final Test`,
+      body: `<h1>Final Test</h1>
+<p class="muted">${esc(title)} · ${quiz.passingScore}% needed to pass</p>
+<div id="quiz"></div>`,
+      scripts: quizScripts(quiz, "scorm12.js"),
+    }),
+  });
+  files.push({ name: "style.css", data: asset("style.css") });
+  files.push({ name: "quiz.js", data: asset("quiz.js") });
+  files.push({ name: "scorm12.js", data: asset("scorm12.js") });
+
+  const items = course.units
+    .map(
+      (unit, ui) => `      <item identifier="unit_${ui + 1}">
+        <title>${esc(unit.title)}</title>
+${lessons
+  .filter((x) => x.ui === ui)
+  .map((x) => `        <item identifier="item_l${x.n}" identifierref="res_l${x.n}"><title>${esc(x.lesson.title)}</title></item>`)
+  .join("\n")}
+      </item>`
+    )
+    .join("\n");
+
+  const resources = lessons
+    .map(
+      (x) => `    <resource identifier="res_l${x.n}" type="webcontent" adlcp:scormtype="asset" href="${x.file}">
+      <file href="${x.file}"/>
+      <dependency identifierref="res_common"/>
+    </resource>`
+    )
+    .join("\n");
+
+  files.push({
+    name: "imsmanifest.xml",
+    data: `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="syllabuild_${esc(course.id || "course")}" version="1.0"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="org_1">
+    <organization identifier="org_1">
+      <title>${esc(title)}</title>
+${items}
+      <item identifier="item_final" identifierref="res_final">
+        <title>Final Test</title>
+        <adlcp:masteryscore>${quiz.passingScore}</adlcp:masteryscore>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+${resources}
+    <resource identifier="res_final" type="webcontent" adlcp:scormtype="sco" href="quiz.html">
+      <file href="quiz.html"/>
+      <file href="quiz.js"/>
+      <file href="scorm12.js"/>
+      <dependency identifierref="res_common"/>
+    </resource>
+    <resource identifier="res_common" type="webcontent" adlcp:scormtype="asset">
+      <file href="style.css"/>
+    </resource>
+  </resources>
+</manifest>
+`,
+  });
+  return files;
+}
+
+// iriBase: absolute IRI identifying the course, e.g. https://host/courses/<id>
+function buildCmi5(course, iriBase) {
+  const quiz = quizData(course);
+  const lessons = lessonList(course);
+  const title = course.courseTitle || "Course";
+
+  const toc = course.units
+    .map(
+      (unit, ui) => `<li>${esc(unit.title)}<ul>${lessons
+        .filter((x) => x.ui === ui)
+        .map((x) => `<li><a href="#l${x.n}">${esc(x.lesson.title)}</a></li>`)
+        .join("")}</ul></li>`
+    )
+    .join("\n");
+
+  const body = `<h1>${esc(title)}</h1>
+${paragraphs(course.courseDescription)}
+<nav class="toc"><ol>
+${toc}
+<li><a href="#final-test">Final Test</a></li>
+</ol></nav>
+${lessons.map((x) => `<section class="lesson" id="l${x.n}">\n${lessonBody(x.unit, x.lesson, "h2")}\n</section>`).join("\n")}
+<section class="lesson" id="final-test">
+<h2>Final Test</h2>
+<p class="muted">${quiz.passingScore}% needed to pass</p>
+<div id="quiz"></div>
+</section>`;
+
+  return [
+    { name: "index.html", data: page({ title, body, scripts: quizScripts(quiz, "cmi5.js") }) },
+    { name: "style.css", data: asset("style.css") },
+    { name: "quiz.js", data: asset("quiz.js") },
+    { name: "cmi5.js", data: asset("cmi5.js") },
+    {
+      name: "cmi5.xml",
+      data: `<?xml version="1.0" encoding="utf-8"?>
+<courseStructure xmlns="https://w3id.org/xapi/profiles/cmi5/v1/CourseStructure.xsd">
+  <course id="${esc(iriBase)}">
+    <title><langstring lang="en-US">${esc(title)}</langstring></title>
+    <description><langstring lang="en-US">${esc(course.courseDescription || title)}</langstring></description>
+  </course>
+  <au id="${esc(iriBase)}/au" moveOn="Passed" masteryScore="${(quiz.passingScore / 100).toFixed(2)}" launchMethod="AnyWindow">
+    <title><langstring lang="en-US">${esc(title)}</langstring></title>
+    <description><langstring lang="en-US">Lessons and final test</langstring></description>
+    <url>index.html</url>
+  </au>
+</courseStructure>
+`,
+    },
+  ];
+}
+
+export const slug = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "course";
+
+// -> { filename, data: Buffer }
+export function exportCourse(course, format, { iriBase } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw Object.assign(new Error(`format must be one of ${EXPORT_FORMATS.join(", ")}`), { status: 400 });
+  }
+  if (!Array.isArray(course.units) || !course.units.some((u) => u.lessons?.length)) {
+    throw Object.assign(new Error("This course has no lessons to export."), { status: 400 });
+  }
+  const files = format === "scorm12" ? buildScorm12(course) : buildCmi5(course, iriBase);
+  return { filename: `${slug(course.courseTitle)}-${format}.zip`, data: createZip(files) };
+}
@@ -0,0 +1,101 @@
+// ---------- Flashcards & spaced repetition ----------
+// A course's deck (course.flashcards) has one card per lesson key point,
+// written by the model, and one per checkpoint/final-test question, built
+// here from the answer key and explanation. Card ids come from lesson and
+// question ids, so rebuilding a deck keeps the schedule of every card that
+// still exists.
+// Each user's schedule is one record per (user, course, card) in the
+// "cardReviews" collection, updated with SM-2.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// SM-2 quality: 0-2 = forgotten, 3 = hard, 4 = good, 5 = easy
+export const MAX_GRADE = 5;
+
+export const keyPointCardId = (lessonId, i) => `${lessonId}.kp${i + 1}`;
+
+function questionAnswer(q) {
+  switch (q.type || "mcq") {
+    case "mcq":
+      return q.options[q.correctAnswer];
+    case "truefalse":
+      return q.answer ? "True" : "False";
+    case "multiselect":
+      return q.correctAnswers.map((i) => q.options[i]).join("; ");
+    case "short":
+      return q.grading === "rubric" ? q.sampleAnswer : q.keywords.join(", ");
+    case "numeric":
+      return `${q.answer}${q.unit ? ` ${q.unit}` : ""}${q.tolerance ? ` (± ${q.tolerance})` : ""}`;
+    case "ordering":
+      return q.items.join(" → ");
+    default:
+      return "";
+  }
+}
+
+function questionFront(q) {
+  const type = q.type || "mcq";
+  if (type === "mcq" || type === "multiselect") return `${q.question}\n\n${q.options.map((o) => `• ${o}`).join("\n")}`;
+  // listed alphabetically so the front doesn't give the order away
+  if (type === "ordering") return `${q.question}\n\n${[...q.items].sort((a, b) => a.localeCompare(b)).map((o) => `• ${o}`).join("\n")}`;
+  return q.question;
+}
+
+function questionCard(q, id, unitId) {
+  return {
+    id,
+    kind: "question",
+    unitId,
+    front: questionFront(q),
+    back: `${questionAnswer(q)}\n\n${q.explanation}`,
+  };
+}
+
+// The answer-key half of a deck: every checkpoint and final-test question.
+export function questionCards(course) {
+  const cards = [];
+  for (const u of course.units || []) {
+    for (const q of u.checkpoint?.questions || []) cards.push(questionCard(q, `${u.id}.${q.id}`, u.id));
+  }
+  for (const q of course.finalTest?.questions || []) cards.push(questionCard(q, `final.${q.id}`, null));
+  return cards;
+}
+
+// The model's { lessons: [{ id, cards }] } for one unit -> key-point cards
+export function keyPointCards(unit, generated) {
+  return unit.lessons.flatMap((l, li) =>
+    generated.lessons[li].cards.map((c, i) => ({
+      id: keyPointCardId(l.id, i),
+      kind: "keyPoint",
+      unitId: unit.id,
+      lessonId: l.id,
+      front: c.front.trim(),
+      back: c.back.trim(),
+    }))
+  );
+}
+
+// Next state of a card after a review graded 0-5 (SuperMemo 2).
+export function schedule(prev, grade, now = Date.now()) {
+  let repetitions = prev?.repetitions || 0;
+  let interval = prev?.interval || 0;
+  let ease = prev?.ease || DEFAULT_EASE;
+
+  if (grade < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+  }
+  ease = Math.max(MIN_EASE, ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+
+  return {
+    repetitions,
+    interval,
+    ease: Math.round(ease * 100) / 100,
+    due: new Date(now + interval * DAY_MS).toISOString(),
+  };
+}
@@ -0,0 +1,49 @@
+// ---------- Answer checking ----------
+// The one place that decides whether an answer is right. The backend grades
+// students with it (their copy of a course has no answer key, see
+// readerQuestion in server.js); the frontend imports this file to grade an
+// owner's own tests in the browser. Plain functions only, no Node APIs.
+//
+// Answer shapes: mcq index · truefalse boolean · multiselect [indices] ·
+// short/numeric the typed string · ordering [item indices] in the chosen order.
+
+export const looseText = (s) => String(s ?? "").toLowerCase().replace(/\s+/g, " ").trim();
+
+// "3,5" is read as 3.5; thousands separators are not supported. Blank is
+// NaN, not 0 (which Number("") would give).
+export const parseNumber = (s) => {
+  const t = String(s ?? "").trim();
+  if (!t) return NaN;
+  const n = Number(t);
+  return Number.isFinite(n) ? n : Number(t.replace(",", "."));
+};
+
+// The item indices of an ordering question in the right order: `solution`
+// when its items are shown scrambled, else the items as listed.
+export const orderingSolution = (q) => (Array.isArray(q.solution) ? q.solution : q.items.map((_, i) => i));
+
+// true / false — or null for rubric-graded short answers, which the model grades.
+export const gradeQuestion = (q, a) => {
+  switch (q.type) {
+    case "truefalse":
+      return a === q.answer;
+    case "multiselect": {
+      const want = [...q.correctAnswers].sort((x, y) => x - y);
+      const got = [...(Array.isArray(a) ? a : [])].sort((x, y) => x - y);
+      return want.length === got.length && want.every((x, i) => x === got[i]);
+    }
+    case "short":
+      if (q.grading === "rubric") return null;
+      return q.keywords.every((k) => looseText(a).includes(looseText(k)));
+    case "numeric": {
+      const n = parseNumber(a);
+      return Number.isFinite(n) && Math.abs(n - q.answer) <= q.tolerance + 1e-9;
+    }
+    case "ordering": {
+      const want = orderingSolution(q);
+      return Array.isArray(a) && a.length === want.length && a.every((x, i) => x === want[i]);
+    }
+    default:
+      return a === q.correctAnswer;
+  }
+};
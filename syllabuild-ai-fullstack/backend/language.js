@@ -0,0 +1,73 @@
+// ---------- Syllabus language detection ----------
+// A cheap heuristic, no model call: the writing system settles most
+// non-Latin languages, and common function words pick between Latin-script
+// ones. Good enough to default the output language of a course.
+
+// [letters of the script, language, share of all letters needed]
+const SCRIPTS = [
+  // kana first and with a low bar: Japanese text is often mostly Han
+  [/[\p{Script=Hiragana}\p{Script=Katakana}]/gu, "Japanese", 0.1],
+  [/\p{Script=Hangul}/gu, "Korean", 0.3],
+  [/\p{Script=Han}/gu, "Chinese", 0.3],
+  [/\p{Script=Arabic}/gu, "Arabic", 0.3],
+  [/\p{Script=Hebrew}/gu, "Hebrew", 0.3],
+  [/\p{Script=Devanagari}/gu, "Hindi", 0.3],
+  [/\p{Script=Bengali}/gu, "Bengali", 0.3],
+  [/\p{Script=Tamil}/gu, "Tamil", 0.3],
+  [/\p{Script=Thai}/gu, "Thai", 0.3],
+  [/\p{Script=Greek}/gu, "Greek", 0.3],
+  [/\p{Script=Cyrillic}/gu, "Russian", 0.3],
+];
+
+const STOPWORDS = {
+  English: "the and of to in is that for are with as be on this by it from or an which",
+  Spanish: "el la de que y en los las del se por un una para con es al lo como más",
+  French: "le la les de des et en un une du est que pour dans qui sur au pas par",
+  German: "der die das und ist nicht mit den von zu ein eine auf für dem des sich im",
+  Portuguese: "o a os as de do da dos das que e em um uma para com não por no na",
+  Italian: "il la di che e è un una per con del della non sono nel gli le al",
+  Dutch: "de het een en van in is dat op te voor met zijn niet aan er die",
+  Turkish: "ve bir bu için ile da de olarak olan gibi çok daha ne kadar veya",
+  Polish: "i w na z się nie do to jest że o jak po ale dla są od",
+  Indonesian: "yang dan di ke dari ini itu dengan untuk tidak dalam adalah pada akan",
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(" "))]));
+
+const SAMPLE_CHARS = 20000;
+const MIN_LETTERS = 40;
+
+// Ukrainian uses Cyrillic too; its own letters tell it apart from Russian.
+function cyrillicLanguage(text) {
+  return /[іїєґ]/i.test(text) ? "Ukrainian" : "Russian";
+}
+
+// -> { language: "Spanish", confidence: 0..1 } or null when unsure
+export function detectLanguage(text) {
+  const sample = String(text || "").slice(0, SAMPLE_CHARS);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (letters < MIN_LETTERS) return null;
+
+  for (const [re, language, share] of SCRIPTS) {
+    const n = (sample.match(re) || []).length;
+    if (n / letters > share) {
+      return {
+        language: language === "Russian" ? cyrillicLanguage(sample) : language,
+        confidence: Math.round(Math.min(1, n / letters / share / 2) * 100) / 100,
+      };
+    }
+  }
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.entries(STOPWORD_SETS)
+    .map(([language, set]) => [language, words.reduce((n, w) => n + (set.has(w) ? 1 : 0), 0)])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, top], [, second]] = scores;
+  if (top < 3 || top / words.length < 0.02) return null;
+  return { language: best, confidence: Math.round((top / (top + second)) * 100) / 100 };
+}
+
+// ---------- Output language ----------
+// The language a course is written or translated in, as the user typed it
+// ("" = the syllabus' own). It goes into prompts verbatim, so it is kept to
+// a short single line.
+export const languageName = (v) => (typeof v === "string" ? v.replace(/\s+/g, " ").trim().slice(0, 40) : "");
@@ -0,0 +1,228 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// ---------- LLM provider layer ----------
+// Every provider exposes the same shape:
+//   complete({ task, variant, model, input, max_output_tokens, json_object, signal, onDelta }) -> Promise<string>
+// `input` is Responses-style ([{ role, content }], content being a string or
+// a list of input_text / input_image parts). `task` names the call site
+// ("ocr", "outline", "quiz", ...) and `variant` narrows it (e.g. a unit id) —
+// real providers ignore both, the mock uses them to pick a fixture. `signal`
+// is an optional AbortSignal. With `onDelta(text)` the answer is streamed:
+// each piece goes to onDelta as it arrives, and the promise still resolves
+// with the whole text.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function extractText(data) {
+  if (typeof data?.output_text === "string" && data.output_text.trim()) return data.output_text;
+  const parts = [];
+  for (const item of data?.output || []) {
+    if (item?.type === "message" && Array.isArray(item.content)) {
+      for (const c of item.content) {
+        if (c?.type === "output_text" && typeof c.text === "string") parts.push(c.text);
+      }
+    } else if (item?.type === "output_text" && typeof item.text === "string") {
+      parts.push(item.text);
+    }
+  }
+  return parts.join("");
+}
+
+async function postJson(url, apiKey, body, vendor, signal) {
+  const r = await fetch(url, {
+    method: "POST",
+    signal,
+    headers: {
+      "Content-Type": "application/json",
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+
+  const d = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    const msg = d?.error?.message || d?.message || `${vendor} error (${r.status})`;
+    throw new Error(msg);
+  }
+  return d;
+}
+
+// POSTs with stream: true and returns the Server-Sent Events body.
+async function postStream(url, apiKey, body, vendor, signal) {
+  const r = await fetch(url, {
+    method: "POST",
+    signal,
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "text/event-stream",
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify({ ...body, stream: true }),
+  });
+  if (!r.ok || !r.body) {
+    const d = await r.json().catch(() => ({}));
+    throw new Error(d?.error?.message || d?.message || `${vendor} error (${r.status})`);
+  }
+  return r.body;
+}
+
+// The data of each event in a Server-Sent Events body
+async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true }).replace(/\r/g, "");
+    let sep;
+    while ((sep = buf.indexOf("\n\n")) !== -1) {
+      const block = buf.slice(0, sep);
+      buf = buf.slice(sep + 2);
+      const data = block
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart());
+      if (data.length) yield data.join("\n");
+    }
+  }
+}
+
+// OpenAI Responses API (the original integration).
+export function createOpenAIResponsesProvider({ apiKey, baseUrl = "https://api.openai.com/v1" }) {
+  const url = `${baseUrl.replace(/\/$/, "")}/responses`;
+
+  return {
+    name: "openai",
+    async complete({ model, input, max_output_tokens = 4000, json_object = false, signal, onDelta }) {
+      if (!apiKey) throw new Error("Missing OPENAI_API_KEY. Set it in backend/.env (or hosting env vars).");
+
+      const body = {
+        model,
+        input,
+        max_output_tokens,
+        truncation: "auto",
+        ...(json_object ? { text: { format: { type: "json_object" } } } : {}),
+      };
+      if (!onDelta) return extractText(await postJson(url, apiKey, body, "OpenAI", signal));
+
+      let text = "";
+      for await (const data of sseData(await postStream(url, apiKey, body, "OpenAI", signal))) {
+        const ev = JSON.parse(data);
+        if (ev.type === "response.output_text.delta") {
+          text += ev.delta;
+          onDelta(ev.delta);
+        } else if (ev.type === "error" || ev.type === "response.failed") {
+          throw new Error(ev.error?.message || ev.message || ev.response?.error?.message || "OpenAI stream failed");
+        }
+      }
+      return text;
+    },
+  };
+}
+
+function toChatContent(content) {
+  if (!Array.isArray(content)) return String(content ?? "");
+  return content.map((c) =>
+    c?.type === "input_image"
+      ? { type: "image_url", image_url: { url: c.image_url } }
+      : { type: "text", text: String(c?.text ?? "") }
+  );
+}
+
+// Any OpenAI-compatible /chat/completions endpoint (vLLM, Ollama, LM Studio,
+// OpenRouter, Azure-style gateways, ...). `model`/`visionModel` pin the model
+// names when the endpoint does not know the ones the frontend asks for.
+export function createChatCompletionsProvider({ apiKey, baseUrl, model: pinnedModel, visionModel }) {
+  if (!baseUrl) throw new Error("LLM_BASE_URL is required for the openai-compatible provider.");
+  const url = `${baseUrl.replace(/\/$/, "")}/chat/completions`;
+
+  return {
+    name: "openai-compatible",
+    async complete({ task, model, input, max_output_tokens = 4000, json_object = false, signal, onDelta }) {
+      const usedModel = (task === "ocr" ? visionModel : pinnedModel) || pinnedModel || model;
+      const messages = (Array.isArray(input) ? input : [{ role: "user", content: input }]).map((m) => ({
+        role: m.role || "user",
+        content: toChatContent(m.content),
+      }));
+
+      const body = {
+        model: usedModel,
+        messages,
+        max_tokens: max_output_tokens,
+        ...(json_object ? { response_format: { type: "json_object" } } : {}),
+      };
+      if (!onDelta) {
+        const d = await postJson(url, apiKey, body, "LLM provider", signal);
+        const text = d?.choices?.[0]?.message?.content;
+        return typeof text === "string" ? text : "";
+      }
+
+      let text = "";
+      for await (const data of sseData(await postStream(url, apiKey, body, "LLM provider", signal))) {
+        if (data === "[DONE]") break;
+        const ev = JSON.parse(data);
+        if (ev.error) throw new Error(ev.error.message || "LLM provider stream failed");
+        const piece = ev.choices?.[0]?.delta?.content;
+        if (typeof piece === "string" && piece) {
+          text += piece;
+          onDelta(piece);
+        }
+      }
+      return text;
+    },
+  };
+}
+
+// Deterministic offline provider: returns backend/fixtures/<task>.<variant>.json
+// (falling back to <task>.json, or .txt) verbatim. Handy for local dev and
+// for exercising the routes without an API key.
+export function createMockProvider({ fixturesDir = path.join(__dirname, "fixtures"), delayMs = 0 } = {}) {
+  const read = (names) => {
+    for (const name of names) {
+      for (const ext of [".json", ".txt"]) {
+        const f = path.join(fixturesDir, `${name}${ext}`);
+        if (fs.existsSync(f)) return fs.readFileSync(f, "utf8");
+      }
+    }
+    return null;
+  };
+
+  return {
+    name: "mock",
+    async complete({ task = "default", variant, signal, onDelta }) {
+      if (delayMs > 0) await new Promise((r) => setTimeout(r, delayMs));
+      if (signal?.aborted) throw new Error("Request aborted");
+      const text = read(variant ? [`${task}.${variant}`, task] : [task]);
+      if (text == null) throw new Error(`Mock provider has no fixture for task "${task}".`);
+      // streamed word by word
+      if (onDelta) for (const piece of text.match(/\s*\S+/g) || []) onDelta(piece);
+      return text;
+    },
+  };
+}
+
+export function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || "openai").toLowerCase();
+
+  if (name === "openai") {
+    return createOpenAIResponsesProvider({
+      apiKey: env.OPENAI_API_KEY || "",
+      baseUrl: env.OPENAI_BASE_URL || undefined,
+    });
+  }
+  if (name === "openai-compatible" || name === "chat") {
+    return createChatCompletionsProvider({
+      apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || "",
+      baseUrl: env.LLM_BASE_URL || "",
+      model: env.LLM_MODEL || "",
+      visionModel: env.LLM_VISION_MODEL || "",
+    });
+  }
+  if (name === "mock") {
+    return createMockProvider({
+      fixturesDir: env.MOCK_FIXTURES_DIR || undefined,
+      delayMs: Number(env.MOCK_DELAY_MS || 0),
+    });
+  }
+  throw new Error(`Unknown LLM_PROVIDER "${name}" (use openai, openai-compatible or mock).`);
+}
@@ -0,0 +1,17 @@
+// ---------- Question mix ----------
+// A mix is { mcq: 12, truefalse: 3, ... }, questions per type. Shared with
+// the frontend, which resizes the Create page's mix with it, while the
+// backend scales the final-test mix down to a checkpoint (scaledMix in
+// server.js). Plain functions only, no Node APIs.
+
+// Scales a question mix to `total` questions, keeping the proportions
+// (largest remainder). An empty mix becomes all multiple choice.
+export const resizeMix = (mix, total) => {
+  const sum = Object.values(mix).reduce((a, n) => a + n, 0);
+  if (!sum) return { ...mix, mcq: total };
+  const shares = Object.entries(mix).map(([t, n]) => ({ t, exact: (n * total) / sum }));
+  shares.forEach((x) => (x.n = Math.floor(x.exact)));
+  let left = total - shares.reduce((a, x) => a + x.n, 0);
+  for (const x of [...shares].sort((a, b) => b.exact - b.n - (a.exact - a.n))) if (left-- > 0) x.n++;
+  return Object.fromEntries(shares.map((x) => [x.t, x.n]));
+};
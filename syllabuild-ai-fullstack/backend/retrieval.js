@@ -0,0 +1,124 @@
+// ---------- Syllabus retrieval ----------
+// A local BM25 index over short passages of the uploaded syllabus. Lessons
+// and quiz questions are written from the passages retrieved for them and
+// keep their ids in `sourcePassages`, so the course can say where in the
+// syllabus something came from ("From your syllabus, page 4"). Passages are
+// cut out of the sections of syllabus.js, so ids ("p1", "p2", ...) depend on
+// the text alone and rebuilding the index from a stored sourceText gives the
+// same ones.
+
+import { hardSplit, splitSyllabus, terms } from "./syllabus.js";
+
+// Read on each use rather than at import time (server.js loads backend/.env
+// after its imports). Stored passage ids only match a rebuilt index while
+// this stays the same as when the course was generated.
+export const passageChars = () => Math.max(300, Number(process.env.PASSAGE_CHARS || 1200));
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Crude plural folding so "arrays" finds "array"; everything else is left as is.
+const stem = (w) => (w.endsWith("ies") && w.length > 4 ? `${w.slice(0, -3)}y` : /[^su]s$/.test(w) && w.length > 3 ? w.slice(0, -1) : w);
+const tokens = (s) => terms(s).map(stem);
+
+// -> [{ id, section, document, page, label, text }] in document order.
+// Short pieces of the same page are merged, long ones split, up to
+// PASSAGE_CHARS each. `label` leaves out the document ("Page 4").
+export function splitPassages(sections) {
+  const max = passageChars();
+  const out = [];
+  for (const s of sections) {
+    let cur = null;
+    const flush = () => {
+      if (cur) out.push(cur);
+      cur = null;
+    };
+    for (const piece of s.pieces || [{ text: s.text, page: s.pageStart }]) {
+      for (const text of hardSplit(piece.text, max)) {
+        if (cur && (cur.page !== piece.page || cur.text.length + text.length + 2 > max)) flush();
+        if (cur) cur.text += `\n\n${text}`;
+        else cur = { section: s.id, document: s.document || null, page: piece.page, text };
+      }
+    }
+    flush();
+  }
+  return out.map((p, i) => ({ id: `p${i + 1}`, ...p, label: p.page != null ? `Page ${p.page}` : `Passage ${i + 1}` }));
+}
+
+export function buildIndex(passages) {
+  const docs = passages.map((p) => {
+    const tf = new Map();
+    const ts = tokens(p.text);
+    for (const t of ts) tf.set(t, (tf.get(t) || 0) + 1);
+    return { p, tf, length: ts.length };
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((a, d) => a + d.length, 0) / (docs.length || 1) || 1;
+  return { passages, byId: new Map(passages.map((p) => [p.id, p])), docs, df, avgLength };
+}
+
+// Index of a whole syllabus text (empty when there is none)
+export function syllabusIndex(text) {
+  return buildIndex(splitPassages(splitSyllabus(text || "")));
+}
+
+// The `limit` passages that best match `query`, best first. `within`
+// (a Set of section or passage ids) restricts the search.
+export function searchPassages(index, query, { limit = 5, within = null } = {}) {
+  const q = [...new Set(tokens(query))];
+  const n = index.docs.length;
+  const scored = [];
+  for (const d of index.docs) {
+    if (within && !within.has(d.p.section) && !within.has(d.p.id)) continue;
+    let score = 0;
+    for (const t of q) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      const df = index.df.get(t);
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      score += (idf * f * (K1 + 1)) / (f + K1 * (1 - B + (B * d.length) / index.avgLength));
+    }
+    if (score > 0) scored.push({ p: d.p, score });
+  }
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((x) => x.p);
+}
+
+// A model's citations, kept if they name passages of the index (and of
+// `allowed`, when given). With none left, the `limit` best matches for
+// `query` instead: among the passage ids in `near` first, then anywhere.
+export function groundPassages(index, ids, query, { allowed = null, near = null, limit = 2 } = {}) {
+  const kept = [...new Set((Array.isArray(ids) ? ids : []).map(String))].filter(
+    (id) => index.byId.has(id) && (!allowed || allowed.has(id))
+  );
+  if (kept.length || !index.passages.length) return kept;
+  const hits = near?.length ? searchPassages(index, query, { limit, within: new Set(near) }) : [];
+  return (hits.length ? hits : searchPassages(index, query, { limit })).map((p) => p.id);
+}
+
+// Passage list without the text, for storing on the course.
+export function passageIndex(passages) {
+  return passages.map(({ id, section, document, page, label }) => ({ id, section, document, page, label }));
+}
+
+// Renders passages with ids the model can cite.
+export function renderPassages(passages) {
+  return passages.map((p) => `[[PASSAGE ${p.id} — ${p.document ? `${p.document} · ` : ""}${p.label}]]\n${p.text}`).join("\n\n");
+}
+
+// The first of `passages` (most wanted first) that fit in `budget` chars,
+// in document order
+export function fitPassages(passages, budget) {
+  const picked = [];
+  let used = 0;
+  for (const p of passages) {
+    if (used + p.text.length > budget && picked.length) break;
+    picked.push(p);
+    used += p.text.length;
+  }
+  return picked.sort((a, b) => Number(a.id.slice(1)) - Number(b.id.slice(1)));
+}
@@ -0,0 +1,369 @@
+// ---------- Course schema ----------
+// Validators for everything the model hands back. Each returns a list of
+// { path, message } errors (empty when valid); `path` is a dotted/indexed
+// string such as "finalTest.questions[3].options" so a repair prompt can
+// target exactly the broken item.
+
+export const MIN_LESSON_CHARS = 200;
+export const MAX_KEY_POINTS = 10;
+
+const isStr = (v) => typeof v === "string" && v.trim().length > 0;
+
+export function formatPath(parts) {
+  return parts.reduce((acc, p) => (typeof p === "number" ? `${acc}[${p}]` : acc ? `${acc}.${p}` : p), "");
+}
+
+function err(errors, parts, message) {
+  errors.push({ path: formatPath(parts), message });
+}
+
+export function validateLesson(l, at, errors = []) {
+  if (!l || typeof l !== "object") {
+    err(errors, at, "must be an object");
+    return errors;
+  }
+  if (!isStr(l.title)) err(errors, [...at, "title"], "must be a non-empty string");
+  if (!isStr(l.content)) err(errors, [...at, "content"], "must be a non-empty string");
+  else if (l.content.trim().length < MIN_LESSON_CHARS)
+    err(errors, [...at, "content"], `is too short (${l.content.trim().length} chars, need ${MIN_LESSON_CHARS}+)`);
+  if (!Array.isArray(l.keyPoints) || !l.keyPoints.length)
+    err(errors, [...at, "keyPoints"], "must be a non-empty array of strings");
+  else {
+    if (l.keyPoints.length > MAX_KEY_POINTS) err(errors, [...at, "keyPoints"], `must have at most ${MAX_KEY_POINTS} items`);
+    l.keyPoints.forEach((kp, i) => {
+      if (!isStr(kp)) err(errors, [...at, "keyPoints", i], "must be a non-empty string");
+    });
+  }
+  return errors;
+}
+
+// Final-test question types. A question without `type` is an MCQ (older courses).
+//   mcq         options[4], correctAnswer (index)
+//   truefalse   answer (boolean)
+//   multiselect options[3-6], correctAnswers (distinct indices, at least one)
+//   short       grading "keywords" (keywords[]) or "rubric" (rubric, sampleAnswer)
+//   numeric     answer (number), tolerance (>= 0), optional unit
+//   ordering    items[3-8] listed in the correct order
+export const QUESTION_TYPES = ["mcq", "truefalse", "multiselect", "short", "numeric", "ordering"];
+
+function validateOptions(q, at, errors, min, max) {
+  if (!Array.isArray(q.options) || q.options.length < min || q.options.length > max) {
+    const n = min === max ? `exactly ${min}` : `${min}-${max}`;
+    err(errors, [...at, "options"], `must be an array of ${n} answer strings`);
+    return false;
+  }
+  q.options.forEach((o, i) => {
+    if (!isStr(o)) err(errors, [...at, "options", i], "must be a non-empty string");
+  });
+  const norm = q.options.map((o) => String(o).trim().toLowerCase());
+  if (new Set(norm).size !== norm.length) err(errors, [...at, "options"], "must not contain duplicate answers");
+  return true;
+}
+
+function validateStrings(list, at, errors, min, max, what) {
+  if (!Array.isArray(list) || list.length < min || list.length > max) {
+    err(errors, at, `must be an array of ${min}-${max} ${what}`);
+    return;
+  }
+  list.forEach((x, i) => {
+    if (!isStr(x)) err(errors, [...at, i], "must be a non-empty string");
+  });
+}
+
+const isIndex = (v, n) => Number.isInteger(v) && v >= 0 && v < n;
+
+export function validateQuestion(q, at, errors = []) {
+  if (!q || typeof q !== "object") {
+    err(errors, at, "must be an object");
+    return errors;
+  }
+  const type = q.type ?? "mcq";
+  if (!QUESTION_TYPES.includes(type)) {
+    err(errors, [...at, "type"], `must be one of ${QUESTION_TYPES.join(", ")}`);
+    return errors;
+  }
+  if (!isStr(q.question)) err(errors, [...at, "question"], "must be a non-empty string");
+
+  if (type === "mcq") {
+    validateOptions(q, at, errors, 4, 4);
+    if (!isIndex(q.correctAnswer, 4)) err(errors, [...at, "correctAnswer"], "must be an integer 0-3 (index into options)");
+  } else if (type === "truefalse") {
+    if (typeof q.answer !== "boolean") err(errors, [...at, "answer"], "must be true or false");
+  } else if (type === "multiselect") {
+    const ok = validateOptions(q, at, errors, 3, 6);
+    const n = ok ? q.options.length : 6;
+    const c = q.correctAnswers;
+    if (!Array.isArray(c) || !c.length || !c.every((x) => isIndex(x, n)) || new Set(c).size !== c.length)
+      err(errors, [...at, "correctAnswers"], "must be a non-empty array of distinct indices into options");
+  } else if (type === "short") {
+    if (q.grading === "keywords") validateStrings(q.keywords, [...at, "keywords"], errors, 1, 8, "keywords");
+    else if (q.grading === "rubric") {
+      if (!isStr(q.rubric)) err(errors, [...at, "rubric"], "must be a non-empty string");
+      if (!isStr(q.sampleAnswer)) err(errors, [...at, "sampleAnswer"], "must be a non-empty string");
+    } else err(errors, [...at, "grading"], 'must be "keywords" or "rubric"');
+  } else if (type === "numeric") {
+    if (typeof q.answer !== "number" || !Number.isFinite(q.answer)) err(errors, [...at, "answer"], "must be a number");
+    if (typeof q.tolerance !== "number" || !(q.tolerance >= 0)) err(errors, [...at, "tolerance"], "must be a number >= 0");
+    if (q.unit !== undefined && typeof q.unit !== "string") err(errors, [...at, "unit"], "must be a string");
+  } else if (type === "ordering") {
+    validateStrings(q.items, [...at, "items"], errors, 3, 8, "items in the correct order");
+  }
+
+  if (!isStr(q.explanation)) err(errors, [...at, "explanation"], "must be a non-empty string");
+  return errors;
+}
+
+export function validateQuestions(questions, at, errors = []) {
+  if (!Array.isArray(questions) || !questions.length) {
+    err(errors, at, "must be a non-empty array of questions");
+    return errors;
+  }
+  questions.forEach((q, i) => validateQuestion(q, [...at, i], errors));
+  return errors;
+}
+
+// A question's unitId/lessonId name the lesson it assesses. With `unitId`
+// set (checkpoints) the lesson must be in that unit. Unless `required`,
+// questions without any link pass (courses made before links existed).
+export function validateQuestionLinks(questions, at, errors, units, { required = true, unitId = null } = {}) {
+  if (!Array.isArray(questions) || !Array.isArray(units)) return errors;
+  const ids = units.map((u) => u?.id).filter(Boolean);
+  questions.forEach((q, i) => {
+    if (!q || typeof q !== "object") return;
+    if (!required && q.unitId === undefined && q.lessonId === undefined) return;
+    const u = units.find((x) => x?.id === q.unitId);
+    if (!u || (unitId && q.unitId !== unitId)) {
+      err(errors, [...at, i, "unitId"], unitId ? `must be "${unitId}"` : `must be one of ${ids.join(", ")}`);
+    } else if (!u.lessons?.some((l) => l?.id === q.lessonId)) {
+      const lessonIds = (u.lessons || []).map((l) => l?.id).filter(Boolean);
+      err(errors, [...at, i, "lessonId"], `must be the id of a lesson in unit "${u.id}" (${lessonIds.join(", ")})`);
+    }
+  });
+  return errors;
+}
+
+// { finalTest: { questions: [...] } }, each question linked to one of `units`
+export function validateQuiz(obj, units) {
+  const errors = [];
+  if (!obj?.finalTest || typeof obj.finalTest !== "object") err(errors, ["finalTest"], "is required");
+  else {
+    validateQuestions(obj.finalTest.questions, ["finalTest", "questions"], errors);
+    if (units) validateQuestionLinks(obj.finalTest.questions, ["finalTest", "questions"], errors, units);
+  }
+  return errors;
+}
+
+// { questions: [...] } — a unit's checkpoint quiz, linked to its lessons.
+export function validateCheckpoint(obj, unit) {
+  const errors = validateQuestions(obj?.questions, ["questions"]);
+  if (unit) validateQuestionLinks(obj?.questions, ["questions"], errors, [unit], { unitId: unit.id });
+  return errors;
+}
+
+// { courseTitle, courseDescription, units: [{ title, lessons: [{ title }] }] }
+export function validateOutline(obj) {
+  const errors = [];
+  if (!isStr(obj?.courseTitle)) err(errors, ["courseTitle"], "must be a non-empty string");
+  if (!Array.isArray(obj?.units) || !obj.units.length) {
+    err(errors, ["units"], "must be a non-empty array");
+    return errors;
+  }
+  obj.units.forEach((u, ui) => {
+    if (!isStr(u?.title)) err(errors, ["units", ui, "title"], "must be a non-empty string");
+    if (!Array.isArray(u?.lessons) || !u.lessons.length) err(errors, ["units", ui, "lessons"], "must be a non-empty array");
+    else
+      u.lessons.forEach((l, li) => {
+        if (!isStr(l?.title)) err(errors, ["units", ui, "lessons", li, "title"], "must be a non-empty string");
+      });
+  });
+  return errors;
+}
+
+// { lessons: [...] } for one outline unit — one lesson per outline lesson.
+export function validateUnitLessons(obj, unit) {
+  const errors = [];
+  const lessons = obj?.lessons;
+  if (!Array.isArray(lessons)) {
+    err(errors, ["lessons"], "must be an array");
+    return errors;
+  }
+  if (lessons.length !== unit.lessons.length)
+    err(errors, ["lessons"], `must contain exactly ${unit.lessons.length} lessons (one per outline lesson)`);
+  lessons.forEach((l, i) => validateLesson(l, ["lessons", i], errors));
+  return errors;
+}
+
+// A complete course, optionally requiring a final test and question links.
+export function validateCourse(obj, { requireTest = true, requireLinks = false } = {}) {
+  const errors = [];
+  if (!isStr(obj?.courseTitle)) err(errors, ["courseTitle"], "must be a non-empty string");
+  if (typeof obj?.courseDescription !== "string") err(errors, ["courseDescription"], "must be a string");
+  if (!Array.isArray(obj?.units) || !obj.units.length) err(errors, ["units"], "must be a non-empty array");
+  else
+    obj.units.forEach((u, ui) => {
+      if (!isStr(u?.title)) err(errors, ["units", ui, "title"], "must be a non-empty string");
+      if (!Array.isArray(u?.lessons) || !u.lessons.length) err(errors, ["units", ui, "lessons"], "must be a non-empty array");
+      else u.lessons.forEach((l, li) => validateLesson(l, ["units", ui, "lessons", li], errors));
+      if (u?.checkpoint !== undefined) {
+        const at = ["units", ui, "checkpoint", "questions"];
+        validateQuestions(u.checkpoint?.questions, at, errors);
+        validateQuestionLinks(u.checkpoint?.questions, at, errors, obj.units, { required: requireLinks, unitId: u?.id });
+      }
+    });
+  if (requireTest || obj?.finalTest !== undefined) {
+    if (!obj?.finalTest || typeof obj.finalTest !== "object") err(errors, ["finalTest"], "is required");
+    else {
+      validateQuestions(obj.finalTest.questions, ["finalTest", "questions"], errors);
+      validateQuestionLinks(obj.finalTest.questions, ["finalTest", "questions"], errors, obj.units, { required: requireLinks });
+    }
+  }
+  return errors;
+}
+
+// A course read from a bundle. Only the structure the app relies on is
+// checked: lessons may be short and have no key points, and the final test
+// may be missing or empty, so small hand-written courses import. Questions
+// are checked in full because they are graded as they are.
+export function validateImportedCourse(obj) {
+  const errors = [];
+  if (!isStr(obj?.courseTitle)) err(errors, ["courseTitle"], "must be a non-empty string");
+  if (typeof obj?.courseDescription !== "string") err(errors, ["courseDescription"], "must be a string");
+  if (!Array.isArray(obj?.units) || !obj.units.length) {
+    err(errors, ["units"], "must be a non-empty array");
+    return errors;
+  }
+  obj.units.forEach((u, ui) => {
+    if (!isStr(u?.title)) err(errors, ["units", ui, "title"], "must be a non-empty string");
+    if (!Array.isArray(u?.lessons) || !u.lessons.length) err(errors, ["units", ui, "lessons"], "must be a non-empty array");
+    else
+      u.lessons.forEach((l, li) => {
+        const at = ["units", ui, "lessons", li];
+        if (!isStr(l?.title)) err(errors, [...at, "title"], "must be a non-empty string");
+        if (typeof l?.content !== "string") err(errors, [...at, "content"], "must be a string");
+        if (l?.keyPoints !== undefined && (!Array.isArray(l.keyPoints) || !l.keyPoints.every((kp) => typeof kp === "string")))
+          err(errors, [...at, "keyPoints"], "must be an array of strings");
+      });
+    if (u?.checkpoint !== undefined) {
+      const at = ["units", ui, "checkpoint", "questions"];
+      validateQuestions(u.checkpoint?.questions, at, errors);
+      validateQuestionLinks(u.checkpoint?.questions, at, errors, obj.units, { required: false, unitId: u?.id });
+    }
+  });
+  if (obj.finalTest !== undefined) {
+    const questions = obj.finalTest?.questions;
+    if (!obj.finalTest || typeof obj.finalTest !== "object" || !Array.isArray(questions))
+      err(errors, ["finalTest", "questions"], "must be an array of questions");
+    else {
+      questions.forEach((q, i) => validateQuestion(q, ["finalTest", "questions", i], errors));
+      validateQuestionLinks(questions, ["finalTest", "questions"], errors, obj.units, { required: false });
+    }
+  }
+  return errors;
+}
+
+// A translation must mirror its original: the same ids, the same array
+// lengths, and text wherever the original has text. Only keys present in
+// `original` are checked.
+export function validateAligned(obj, original, at = [], errors = []) {
+  if (typeof original === "string") {
+    if (original.trim() && !isStr(obj)) err(errors, at, "must be a non-empty string");
+    else if (typeof obj !== "string") err(errors, at, "must be a string");
+  } else if (Array.isArray(original)) {
+    if (!Array.isArray(obj) || obj.length !== original.length) err(errors, at, `must be an array of ${original.length} items`);
+    else original.forEach((x, i) => validateAligned(obj[i], x, [...at, i], errors));
+  } else if (original && typeof original === "object") {
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) err(errors, at, "must be an object");
+    else
+      for (const [k, v] of Object.entries(original)) {
+        if (k === "id") {
+          if (obj.id !== v) err(errors, [...at, "id"], `must stay "${v}"`);
+        } else validateAligned(obj[k], v, [...at, k], errors);
+      }
+  }
+  return errors;
+}
+
+// { results: [{ id, correct, feedback }] } — one verdict per rubric-graded answer.
+export function validateGrades(obj, ids) {
+  const errors = [];
+  if (!Array.isArray(obj?.results)) {
+    err(errors, ["results"], "must be an array");
+    return errors;
+  }
+  const seen = new Set(obj.results.map((r) => r?.id));
+  for (const id of ids) if (!seen.has(id)) err(errors, ["results"], `is missing a result for "${id}"`);
+  obj.results.forEach((r, i) => {
+    if (!ids.includes(r?.id)) err(errors, ["results", i, "id"], `must be one of ${ids.join(", ")}`);
+    if (typeof r?.correct !== "boolean") err(errors, ["results", i, "correct"], "must be true or false");
+    if (!isStr(r?.feedback)) err(errors, ["results", i, "feedback"], "must be a non-empty string");
+  });
+  return errors;
+}
+
+// { lessons: [{ id, cards: [{ front, back }] }] } — one card per key point,
+// in key-point order, for each lesson of a unit.
+export function validateFlashcards(obj, lessons) {
+  const errors = [];
+  if (!Array.isArray(obj?.lessons) || obj.lessons.length !== lessons.length) {
+    err(errors, ["lessons"], `must be an array of ${lessons.length} lessons`);
+    return errors;
+  }
+  lessons.forEach((l, li) => {
+    const out = obj.lessons[li];
+    if (out?.id !== l.id) err(errors, ["lessons", li, "id"], `must be "${l.id}"`);
+    const n = l.keyPoints?.length || 0;
+    if (!Array.isArray(out?.cards) || out.cards.length !== n) {
+      err(errors, ["lessons", li, "cards"], `must be an array of ${n} cards (one per key point)`);
+      return;
+    }
+    out.cards.forEach((c, ci) => {
+      if (!isStr(c?.front)) err(errors, ["lessons", li, "cards", ci, "front"], "must be a non-empty string");
+      if (!isStr(c?.back)) err(errors, ["lessons", li, "cards", ci, "back"], "must be a non-empty string");
+    });
+  });
+  return errors;
+}
+
+// ---------- Targeted repair helpers ----------
+
+// "units[0].lessons[2].keyPoints[1]" -> ["units", 0, "lessons", 2, "keyPoints", 1]
+export function parsePath(path) {
+  const parts = [];
+  for (const m of String(path || "").matchAll(/([^.[\]]+)|\[(\d+)\]/g)) {
+    parts.push(m[2] !== undefined ? Number(m[2]) : m[1]);
+  }
+  return parts;
+}
+
+export function getAt(obj, parts) {
+  return parts.reduce((o, p) => (o == null ? undefined : o[p]), obj);
+}
+
+export function setAt(obj, parts, value) {
+  if (!parts.length) return value;
+  const parent = getAt(obj, parts.slice(0, -1));
+  if (parent != null && typeof parent === "object") parent[parts[parts.length - 1]] = value;
+  return obj;
+}
+
+// Errors grouped by the smallest array item that contains them (a lesson, a
+// question, ...). Errors that aren't inside an array item group under "" —
+// the whole document has to be resent.
+export function groupErrorsByItem(errors) {
+  const groups = new Map();
+  for (const e of errors) {
+    const parts = parsePath(e.path);
+    // deepest index that is followed by a field, i.e. an item — so
+    // "questions[3].options[2]" belongs to question 3, not to the option
+    let cut = -1;
+    for (let i = 0; i < parts.length; i++) {
+      if (typeof parts[i] === "number" && i < parts.length - 1) cut = i;
+    }
+    const key = cut === -1 ? "" : formatPath(parts.slice(0, cut + 1));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  }
+  // a root-level error makes per-item repair pointless
+  if (groups.has("")) return new Map([["", errors]]);
+  return groups;
+}
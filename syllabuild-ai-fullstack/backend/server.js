@@ -4,274 +4,2480 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import crypto from "crypto";
+import { collection, save } from "./db.js";
+import {
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  findUserByEmail,
+  createSession,
+  destroySession,
+  readCookie,
+  userFromRequest,
+  requireAuth,
+  requireInstructor,
+} from "./auth.js";
+import { createProvider } from "./llm.js";
+import { EXPORT_FORMATS, exportCourse, slug } from "./export.js";
+import { DOCUMENT_FORMATS, exportDocument } from "./documents.js";
+import { createBundle, readBundle } from "./bundle.js";
+import { detectLanguage, languageName } from "./language.js";
+import { MAX_GRADE, questionCards, keyPointCards, schedule } from "./flashcards.js";
+import { gradeQuestion } from "./grading.js";
+import { resizeMix } from "./mix.js";
+import { courseAnalytics, focusedComparisons } from "./analytics.js";
+import {
+  validateOutline,
+  validateUnitLessons,
+  validateQuiz,
+  validateCourse,
+  validateLesson,
+  validateGrades,
+  validateCheckpoint,
+  validateQuestions,
+  validateAligned,
+  validateFlashcards,
+  QUESTION_TYPES,
+  groupErrorsByItem,
+  parsePath,
+  getAt,
+  setAt,
+} from "./schema.js";
+import {
+  chunkChars,
+  splitSyllabus,
+  groupSections,
+  renderSections,
+  sectionIndex,
+} from "./syllabus.js";
+import {
+  buildIndex,
+  fitPassages,
+  groundPassages,
+  passageIndex,
+  renderPassages,
+  searchPassages,
+  splitPassages,
+  syllabusIndex,
+} from "./retrieval.js";
 dotenv.config();
 
 const app = express();
 
+// LLM_PROVIDER=openai (default) | openai-compatible | mock — see llm.js
+const llm = createProvider();
+
 const PORT = Number(process.env.PORT || 3001);
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
-const OPENAI_URL = "https://api.openai.com/v1/responses";
 
-// Safer defaults (you can override via env)
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4.1";
-const OPENAI_VISION_MODEL = process.env.OPENAI_VISION_MODEL || "gpt-4.1-mini";
+// Safer defaults (you can override via env)
+const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4.1";
+const OPENAI_VISION_MODEL = process.env.OPENAI_VISION_MODEL || "gpt-4.1-mini";
+
+// For local dev only
+const CORS_ORIGIN = process.env.CORS_ORIGIN || "http://localhost:5173";
+const NODE_ENV = process.env.NODE_ENV || "development";
+const IS_PROD = NODE_ENV === "production";
+
+app.use(express.json({ limit: "25mb" }));
+
+// ✅ In production (single-link hosting), don’t enable CORS at all.
+// That keeps your API from being callable by random websites.
+if (!IS_PROD) {
+  const allowed = CORS_ORIGIN.split(",").map((s) => s.trim()).filter(Boolean);
+  // Content-Disposition carries export file names to the browser
+  app.use(cors({ origin: allowed.length ? allowed : true, credentials: true, exposedHeaders: ["Content-Disposition"] }));
+}
+
+app.get("/api/health", (_req, res) => {
+  res.json({ ok: true, env: NODE_ENV, provider: llm.name, time: new Date().toISOString() });
+});
+
+// ---------- Accounts & sessions ----------
+
+const sessionCookieOptions = {
+  httpOnly: true,
+  sameSite: "lax",
+  secure: IS_PROD,
+  path: "/",
+};
+
+function startSession(res, userId) {
+  const token = createSession(userId);
+  res.cookie(SESSION_COOKIE, token, { ...sessionCookieOptions, maxAge: SESSION_TTL_MS });
+}
+
+app.post("/api/auth/signup", async (req, res) => {
+  try {
+    const { name, email, password } = req.body || {};
+    const n = String(name || "").trim();
+    const e = String(email || "").trim().toLowerCase();
+    if (!n || !e || !password) return res.status(400).json({ error: "All fields are required." });
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)) return res.status(400).json({ error: "Please enter a valid email." });
+
+    const pw = validatePassword(password);
+    if (!pw.ok) return res.status(400).json({ error: pw.message });
+    if (findUserByEmail(e)) return res.status(409).json({ error: "Email already registered." });
+
+    const u = {
+      id: crypto.randomUUID(),
+      name: n,
+      email: e,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString(),
+    };
+    // re-check after the async hash so two concurrent signups can't both win
+    if (findUserByEmail(e)) return res.status(409).json({ error: "Email already registered." });
+    collection("users").push(u);
+    save();
+
+    startSession(res, u.id);
+    res.status(201).json({ user: publicUser(u) });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Sign up failed" });
+  }
+});
+
+app.post("/api/auth/signin", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const u = findUserByEmail(email);
+    if (!u || !(await verifyPassword(password, u.passwordHash))) {
+      return res.status(401).json({ error: "Invalid credentials." });
+    }
+
+    startSession(res, u.id);
+    res.json({ user: publicUser(u) });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Sign in failed" });
+  }
+});
+
+app.post("/api/auth/signout", (req, res) => {
+  destroySession(readCookie(req, SESSION_COOKIE));
+  res.clearCookie(SESSION_COOKIE, sessionCookieOptions);
+  res.json({ ok: true });
+});
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: publicUser(userFromRequest(req)) });
+});
+
+// ---------- Course storage (per signed-in user) ----------
+
+// Fields a client may set on a stored course. Everything else (id, ownerId,
+// timestamps) is owned by the server.
+const COURSE_FIELDS = [
+  "courseTitle",
+  "courseDescription",
+  "units",
+  "finalTest",
+  "sourceText",
+  "sourceSections",
+  "sourcePassages",
+  "coverage",
+  "masteryThreshold",
+  "generation",
+];
+
+function pickCourseFields(src) {
+  const out = {};
+  for (const k of COURSE_FIELDS) if (src?.[k] !== undefined) out[k] = src[k];
+  return out;
+}
+
+function publicCourse(c) {
+  const { ownerId: _ownerId, ...rest } = c;
+  return rest;
+}
+
+function courseSummary(c, progress) {
+  return {
+    id: c.id,
+    courseTitle: c.courseTitle,
+    courseDescription: c.courseDescription,
+    language: c.generation?.settings?.language || null,
+    translationOf: c.translationOf || null,
+    unitCount: c.units?.length || 0,
+    questionCount: c.finalTest?.questions?.length || 0,
+    progress: progressSummary(c, progress),
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+  };
+}
+
+function findOwnCourse(req) {
+  return collection("courses").find((c) => c.id === req.params.id && c.ownerId === req.user.id) || null;
+}
+
+// Courses assigned to any class the user is enrolled in (see "Classes").
+function assignedCourseIds(userId) {
+  const classIds = new Set(collection("enrollments").filter((e) => e.userId === userId).map((e) => e.classId));
+  return new Set(collection("assignments").filter((a) => classIds.has(a.classId)).map((a) => a.courseId));
+}
+
+// A course the caller may study: their own or one assigned to their class.
+// Only the owner may change it; routes that do use findOwnCourse.
+function findReadableCourse(req) {
+  const c = collection("courses").find((x) => x.id === req.params.id);
+  if (!c) return null;
+  return c.ownerId === req.user.id || assignedCourseIds(req.user.id).has(c.id) ? c : null;
+}
+
+function readableCourses(userId) {
+  const assigned = assignedCourseIds(userId);
+  return collection("courses").filter((c) => c.ownerId === userId || assigned.has(c.id));
+}
+
+// Fields of a question that give its answer away
+const ANSWER_FIELDS = ["correctAnswer", "correctAnswers", "answer", "tolerance", "keywords", "rubric", "sampleAnswer", "explanation"];
+
+// Ordering items as a student sees them: sorted, so the listed order is not
+// the answer (rotated by one when sorting leaves them solved).
+function scrambledOrder(items) {
+  const order = items.map((_, i) => i).sort((a, b) => String(items[a]).localeCompare(String(items[b])) || a - b);
+  return order.length > 1 && order.every((x, i) => x === i) ? [...order.slice(1), order[0]] : order;
+}
+
+// A question without its answer key, or with it (`reveal`) once the student
+// has taken the quiz. Ordering items always come scrambled; the revealed
+// `solution` lists them in the right order (see grading.js).
+function readerQuestion(q, reveal) {
+  const out = { ...q };
+  if (q.type === "ordering" && Array.isArray(q.items)) {
+    const order = scrambledOrder(q.items);
+    out.items = order.map((j) => q.items[j]);
+    if (reveal) out.solution = q.items.map((_, k) => order.indexOf(k));
+  }
+  if (!reveal) for (const f of ANSWER_FIELDS) delete out[f];
+  return out;
+}
+
+// A student sees an assigned course without the syllabus text, generation
+// details, flashcards or answer keys, so the only way to a score is to take
+// the quiz (answers are checked by POST /api/courses/:id/grade). A quiz they
+// have taken comes with its key for the review. Either way the checkpoint
+// results are the reader's own.
+function courseForReader(c, userId) {
+  const p = findProgress(userId, c.id);
+  if (c.ownerId === userId) return { ...publicCourse(c), checkpointResults: checkpointResultsFrom(p) };
+  const taken = (kind, unitId = null) => (p?.attempts || []).some((a) => a.kind === kind && a.unitId === unitId);
+  const quiz = (qs, reveal) => ({ questions: (qs || []).map((q) => readerQuestion(q, reveal)) });
+  return {
+    access: "student",
+    id: c.id,
+    courseTitle: c.courseTitle,
+    courseDescription: c.courseDescription,
+    units: (c.units || []).map((u) => (u.checkpoint ? { ...u, checkpoint: { ...u.checkpoint, ...quiz(u.checkpoint.questions, taken("checkpoint", u.id)) } } : u)),
+    finalTest: c.finalTest ? { ...c.finalTest, ...quiz(c.finalTest.questions, taken("final")) } : c.finalTest,
+    sourceSections: c.sourceSections,
+    sourcePassages: c.sourcePassages,
+    masteryThreshold: c.masteryThreshold,
+    translationOf: c.translationOf,
+    checkpointResults: checkpointResultsFrom(p),
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+  };
+}
+
+function insertCourse(ownerId, src, extra = {}) {
+  if (!src || typeof src !== "object" || !Array.isArray(src.units)) {
+    throw Object.assign(new Error("course.units must be an array"), { status: 400 });
+  }
+  const now = new Date().toISOString();
+  const c = {
+    ...pickCourseFields(src),
+    createdAt: now,
+    updatedAt: now,
+    ...extra,
+    id: crypto.randomUUID(),
+    ownerId,
+  };
+  collection("courses").push(c);
+  return c;
+}
+
+app.get("/api/courses", requireAuth, (req, res) => {
+  const progress = new Map(
+    collection("progress")
+      .filter((p) => p.userId === req.user.id)
+      .map((p) => [p.courseId, p])
+  );
+  const list = collection("courses")
+    .filter((c) => c.ownerId === req.user.id)
+    .map((c) => courseSummary(c, progress.get(c.id)))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  res.json({ courses: list });
+});
+
+app.post("/api/courses", requireAuth, (req, res) => {
+  try {
+    const src = req.body?.course;
+    // a focused review course points back at the course it came from, which
+    // may be one assigned to the caller's class
+    if (src?.focusedFrom !== undefined && !readableCourses(req.user.id).some((c) => c.id === src.focusedFrom)) {
+      return res.status(400).json({ error: "course.focusedFrom must be the id of a course you study" });
+    }
+    const c = insertCourse(req.user.id, src, src?.focusedFrom !== undefined ? { focusedFrom: src.focusedFrom } : {});
+    save();
+    res.status(201).json({ course: publicCourse(c) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Could not save course" });
+  }
+});
+
+// One-time import of courses a browser kept in localStorage before storage
+// moved server-side. legacyId keeps a retried import from duplicating.
+app.post("/api/courses/import", requireAuth, (req, res) => {
+  try {
+    const { courses } = req.body || {};
+    if (!Array.isArray(courses)) return res.status(400).json({ error: "courses must be an array" });
+
+    const own = collection("courses").filter((c) => c.ownerId === req.user.id);
+    let imported = 0;
+    for (const src of courses) {
+      const legacyId = src?.id != null ? String(src.id) : null;
+      if (legacyId && own.some((c) => c.legacyId === legacyId)) continue;
+      if (!Array.isArray(src?.units)) continue;
+
+      // legacy ids were Date.now() at creation time
+      const ts = Number(legacyId);
+      const extra = legacyId ? { legacyId } : {};
+      if (Number.isFinite(ts) && ts > 0) extra.createdAt = new Date(ts).toISOString();
+      own.push(insertCourse(req.user.id, src, extra));
+      imported++;
+    }
+    if (imported) save();
+    res.json({ imported });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Import failed" });
+  }
+});
+
+// Portable course bundle (see bundle.js): download one, or import one as a
+// new course owned by the caller.
+app.get("/api/courses/:id/bundle", requireAuth, (req, res) => {
+  const c = findOwnCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  res.set("Content-Disposition", `attachment; filename="${slug(c.courseTitle)}.syllabuild.json"`);
+  res.json(createBundle(c));
+});
+
+app.post("/api/courses/bundle", requireAuth, (req, res) => {
+  try {
+    const { course, meta } = readBundle(req.body?.bundle);
+    const settings = meta.generationSettings || (course.language ? {} : null);
+    const generation = {
+      sourceFileName: meta.sourceFileName || null,
+      settings: settings && (course.language ? { ...settings, language: course.language } : settings),
+      model: meta.model || null,
+      provider: meta.provider || null,
+    };
+    // the link to the original survives only within the account that has it
+    const original = collection("courses").find((x) => x.id === course.translationOf && x.ownerId === req.user.id);
+    const c = insertCourse(req.user.id, { ...course, generation }, original ? { translationOf: original.id } : {});
+    save();
+    res.status(201).json({ course: publicCourse(c) });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Import failed"));
+  }
+});
+
+app.get("/api/courses/:id", requireAuth, (req, res) => {
+  const c = findReadableCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  res.json({ course: courseForReader(c, req.user.id) });
+});
+
+app.patch("/api/courses/:id", requireAuth, (req, res) => {
+  const c = findOwnCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+
+  const patch = pickCourseFields(req.body?.course);
+  if (patch.units !== undefined && !Array.isArray(patch.units)) {
+    return res.status(400).json({ error: "course.units must be an array" });
+  }
+  if (patch.masteryThreshold !== undefined && !(patch.masteryThreshold >= 0 && patch.masteryThreshold <= 100)) {
+    return res.status(400).json({ error: "course.masteryThreshold must be a number from 0 to 100" });
+  }
+  Object.assign(c, patch, { updatedAt: new Date().toISOString() });
+  save();
+  res.json({ course: courseForReader(c, req.user.id) });
+});
+
+app.delete("/api/courses/:id", requireAuth, (req, res) => {
+  const courses = collection("courses");
+  const i = courses.findIndex((c) => c.id === req.params.id && c.ownerId === req.user.id);
+  if (i === -1) return res.status(404).json({ error: "Course not found" });
+  const [removed] = courses.splice(i, 1);
+  const reviews = collection("cardReviews");
+  for (let j = reviews.length - 1; j >= 0; j--) {
+    if (reviews[j].courseId === removed.id) reviews.splice(j, 1);
+  }
+  const progress = collection("progress");
+  for (let j = progress.length - 1; j >= 0; j--) {
+    if (progress[j].courseId === removed.id) progress.splice(j, 1);
+  }
+  for (const name of ["assignments", "shares", "tutorChats"]) {
+    const list = collection(name);
+    for (let j = list.length - 1; j >= 0; j--) {
+      if (list[j].courseId === removed.id) list.splice(j, 1);
+    }
+  }
+  save();
+  res.json({ ok: true });
+});
+
+// ?format=scorm12 (default) | cmi5 -> LMS package (zip)
+// ?format=md | pdf | docx [&guide=1] [&worksheet=1] -> printable document
+// ?format=md | pdf | docx &answerKey=1 -> the worksheet's answer key on its own
+// Owner only: exports carry the answer key.
+app.get("/api/courses/:id/export", requireAuth, async (req, res) => {
+  const c = findOwnCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  try {
+    const format = String(req.query.format || "scorm12");
+    if (!EXPORT_FORMATS.includes(format) && !DOCUMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${[...EXPORT_FORMATS, ...DOCUMENT_FORMATS].join(", ")}` });
+    }
+    const { filename, contentType, data } = DOCUMENT_FORMATS.includes(format)
+      ? await exportDocument(c, format, {
+          guide: req.query.guide === "1",
+          worksheet: req.query.worksheet === "1",
+          answerKey: req.query.answerKey === "1",
+        })
+      : {
+          contentType: "application/zip",
+          ...exportCourse(c, format, { iriBase: `${req.protocol}://${req.get("host")}/courses/${c.id}` }),
+        };
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    res.send(data);
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Export failed"));
+  }
+});
+
+// ---------- Learner progress ----------
+// One record per (user, course) in the "progress" collection, kept apart
+// from the course so each learner of a course has their own:
+//   { userId, courseId, completedLessons: [lessonId], position: { unitId, lessonId },
+//     attempts: [{ id, kind: "final" | "checkpoint", unitId, at, durationMs, answers, results,
+//                  questions: [{ id, ok }], score, analysis }],
+//     updatedAt }
+// answers/results are stored as the client grades them (keyed by question
+// index), so a finished test can be shown again exactly as it was;
+// `questions` pins each verdict to a question id for analytics.js.
+
+const ATTEMPT_KINDS = ["final", "checkpoint"];
+const MAX_ATTEMPT_CHARS = 200_000;
+
+const lessonIds = (c) => (c.units || []).flatMap((u) => (u.lessons || []).map((l) => l.id));
+
+function findProgress(userId, courseId) {
+  return collection("progress").find((p) => p.userId === userId && p.courseId === courseId) || null;
+}
+
+function ensureProgress(userId, courseId) {
+  let p = findProgress(userId, courseId);
+  if (!p) {
+    p = { userId, courseId, completedLessons: [], position: null, attempts: [], updatedAt: new Date().toISOString() };
+    collection("progress").push(p);
+  } else if (!p.attempts) {
+    // saved before lessons and attempts were tracked, when it only held
+    // checkpoint scores (now worked out from the attempts)
+    Object.assign(p, { completedLessons: [], position: null, attempts: [] });
+    delete p.checkpointResults;
+  }
+  return p;
+}
+
+function publicProgress(p) {
+  const { userId: _userId, ...rest } = p;
+  return rest;
+}
+
+// Latest and best score per unit checkpoint, from the learner's own
+// checkpoint attempts: { [unitId]: { pct, best, attempts, at } }. Sent to
+// the client as course.checkpointResults (see courseForReader).
+function checkpointResultsFrom(p) {
+  const out = {};
+  for (const a of p?.attempts || []) {
+    if (a.kind !== "checkpoint") continue;
+    const prev = out[a.unitId];
+    out[a.unitId] = { pct: a.score.pct, best: Math.max(a.score.pct, prev?.best ?? 0), attempts: (prev?.attempts || 0) + 1, at: a.at };
+  }
+  return out;
+}
+
+// What a course card needs: lesson completion, where to resume, test scores.
+function progressSummary(c, p) {
+  const ids = lessonIds(c);
+  const done = ids.filter((id) => p?.completedLessons?.includes(id)).length;
+  const finals = (p?.attempts || []).filter((a) => a.kind === "final");
+  return {
+    completedLessons: done,
+    totalLessons: ids.length,
+    pct: ids.length ? Math.round((done / ids.length) * 100) : 0,
+    position: p?.position || null,
+    attempts: finals.length,
+    lastScore: finals.at(-1)?.score?.pct ?? null,
+    bestScore: finals.length ? Math.max(...finals.map((a) => a.score?.pct ?? 0)) : null,
+    lastActivityAt: p?.updatedAt || null,
+  };
+}
+
+const progressError = (message) => Object.assign(new Error(message), { status: 400 });
+
+function checkPosition(c, position) {
+  const unit = c.units?.find((u) => u.id === position?.unitId);
+  if (!unit?.lessons?.some((l) => l.id === position.lessonId)) {
+    throw progressError("position must be { unitId, lessonId } of a lesson in this course");
+  }
+  return { unitId: position.unitId, lessonId: position.lessonId };
+}
+
+// The questions of the final test, or of one unit's checkpoint
+function quizQuestions(c, kind, unitId) {
+  if (!ATTEMPT_KINDS.includes(kind)) throw progressError(`kind must be one of ${ATTEMPT_KINDS.join(", ")}`);
+  const unit = kind === "checkpoint" ? c.units?.find((u) => u.id === unitId && u.checkpoint) : null;
+  if (kind === "checkpoint" && !unit) throw progressError("unitId must name a unit with a checkpoint quiz");
+  return (unit ? unit.checkpoint.questions : c.finalTest?.questions) || [];
+}
+
+function checkAttempt(c, body) {
+  const { kind, unitId, answers, results, score, durationMs } = body || {};
+  const qs = quizQuestions(c, kind, unitId);
+  if (!answers || typeof answers !== "object") throw progressError("answers must be an object keyed by question index");
+  if (!Array.isArray(results) || results.length !== qs.length) {
+    throw progressError(`results must be an array with one verdict per question (${qs.length})`);
+  }
+  if (durationMs !== undefined && !(Number.isFinite(durationMs) && durationMs >= 0)) {
+    throw progressError("durationMs must be a number >= 0");
+  }
+  const { pct, correct, total } = score || {};
+  if (![pct, correct, total].every(Number.isFinite) || pct < 0 || pct > 100) {
+    throw progressError("score must be { pct (0-100), correct, total }");
+  }
+  if (JSON.stringify({ answers, results }).length > MAX_ATTEMPT_CHARS) throw progressError("attempt is too large");
+  return {
+    id: crypto.randomUUID(),
+    kind,
+    unitId: kind === "checkpoint" ? unitId : null,
+    at: new Date().toISOString(),
+    durationMs: durationMs === undefined ? null : Math.round(durationMs),
+    answers,
+    results,
+    questions: qs.map((q, i) => ({ id: q.id, ok: !!results[i]?.ok })),
+    score: { pct, correct, total },
+    analysis: typeof body.analysis === "string" ? body.analysis : "",
+  };
+}
+
+app.get("/api/courses/:id/progress", requireAuth, (req, res) => {
+  const c = findReadableCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  const p = findProgress(req.user.id, c.id);
+  res.json({ progress: p ? publicProgress(p) : null, summary: progressSummary(c, p) });
+});
+
+// { position?, completed?: [lessonId] } — completed lessons are added, never removed
+app.patch("/api/courses/:id/progress", requireAuth, (req, res) => {
+  const c = findReadableCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  try {
+    const { position, completed } = req.body || {};
+    const ids = new Set(lessonIds(c));
+    if (completed !== undefined && (!Array.isArray(completed) || !completed.every((id) => ids.has(id)))) {
+      throw progressError("completed must be an array of lesson ids from this course");
+    }
+    const pos = position === undefined ? undefined : checkPosition(c, position);
+
+    const p = ensureProgress(req.user.id, c.id);
+    if (pos) p.position = pos;
+    for (const id of completed || []) if (!p.completedLessons.includes(id)) p.completedLessons.push(id);
+    p.updatedAt = new Date().toISOString();
+    save();
+    res.json({ progress: publicProgress(p), summary: progressSummary(c, p) });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Could not save progress"));
+  }
+});
+
+function addAttempt(userId, courseId, attempt) {
+  const p = ensureProgress(userId, courseId);
+  p.attempts.push(attempt);
+  p.updatedAt = attempt.at;
+  save();
+}
+
+// An owner grades in the browser and sends the verdicts; on an assigned
+// course the verdicts come from the backend (POST /api/courses/:id/grade),
+// which records the attempt itself.
+app.post("/api/courses/:id/attempts", requireAuth, (req, res) => {
+  const c = findReadableCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  if (c.ownerId !== req.user.id) {
+    return res.status(403).json({ error: "Attempts on an assigned course are recorded when it is graded (POST /api/courses/:id/grade)." });
+  }
+  try {
+    const attempt = checkAttempt(c, req.body);
+    addAttempt(req.user.id, c.id, attempt);
+    res.status(201).json({ attempt });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Could not save attempt"));
+  }
+});
+
+// Dashboard: every course the caller studies (their own and assigned ones)
+// with test attempts, plus focused review courses compared with their
+// originals (see analytics.js).
+app.get("/api/analytics", requireAuth, (req, res) => {
+  const progress = new Map(
+    collection("progress")
+      .filter((p) => p.userId === req.user.id)
+      .map((p) => [p.courseId, p])
+  );
+  const all = readableCourses(req.user.id).map((c) => courseAnalytics(c, progress.get(c.id)));
+  res.json({
+    courses: all.filter((a) => a.scores.attempts > 0 || a.checkpoints.length > 0),
+    comparisons: focusedComparisons(all),
+  });
+});
+
+// { kind, unitId?, answers, durationMs? } -> { results: [{ ok, feedback }],
+// questions, attempt }
+// Grades a student's answers (their copy of the course has no key, see
+// courseForReader), records the attempt and returns the quiz with its key
+// for the review. Rubric answers are graded with the model the course was
+// made with, not one the student picks.
+app.post("/api/courses/:id/grade", requireAuth, async (req, res) => {
+  const c = findReadableCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  try {
+    const { kind, unitId, answers, durationMs } = req.body || {};
+    const qs = quizQuestions(c, kind, unitId).map((q) => readerQuestion(q, true));
+    if (!qs.length) throw progressError("this quiz has no questions");
+    if (!answers || typeof answers !== "object") throw progressError("answers must be an object keyed by question index");
+    const results = qs.map((q, i) => ({ ok: gradeQuestion(q, answers[i]), feedback: "" }));
+    const pending = qs.flatMap((q, i) => (results[i].ok === null ? [i] : []));
+    if (pending.length) {
+      const graded = await gradeRubricAnswers(
+        pending.map((i) => ({ id: qs[i].id || String(i), question: qs[i].question, rubric: qs[i].rubric, sampleAnswer: qs[i].sampleAnswer, answer: answers[i] })),
+        c.generation?.model || OPENAI_MODEL
+      );
+      graded.forEach((r, k) => (results[pending[k]] = { ok: r.correct, feedback: r.feedback }));
+    }
+    const correct = results.filter((r) => r.ok).length;
+    const score = { pct: qs.length ? Math.round((correct / qs.length) * 100) : 0, correct, total: qs.length };
+    const attempt = checkAttempt(c, { kind, unitId, answers, results, score, durationMs });
+    addAttempt(req.user.id, c.id, attempt);
+    res.json({ results, questions: qs, attempt });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Grading failed"));
+  }
+});
+
+// The AI analysis arrives after the score, so it is added afterwards.
+app.patch("/api/courses/:id/attempts/:attemptId", requireAuth, (req, res) => {
+  const c = findReadableCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  const attempt = findProgress(req.user.id, c.id)?.attempts.find((a) => a.id === req.params.attemptId);
+  if (!attempt) return res.status(404).json({ error: "Attempt not found" });
+  const { analysis } = req.body || {};
+  if (typeof analysis !== "string") return res.status(400).json({ error: "analysis (string) is required" });
+  attempt.analysis = analysis;
+  save();
+  res.json({ attempt });
+});
+
+// ---------- Classes ----------
+// Instructors run classes ("classes": { id, instructorId, name, joinCode,
+// createdAt }). Students join with the class's code ("enrollments":
+// { classId, userId, joinedAt }) and study the courses assigned to it
+// ("assignments": { id, classId, courseId, dueAt, assignedAt }) in place:
+// the course stays the instructor's, each student keeps their own progress
+// and attempts (see findReadableCourse and "Learner progress").
+
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I
+const JOIN_CODE_LENGTH = 6;
+const MAX_CLASS_NAME = 120;
+
+const classError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+function newJoinCode() {
+  const taken = new Set(collection("classes").map((k) => k.joinCode));
+  for (;;) {
+    const code = Array.from(crypto.randomBytes(JOIN_CODE_LENGTH), (b) => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length]).join("");
+    if (!taken.has(code)) return code;
+  }
+}
+
+function checkClassName(name) {
+  const n = String(name ?? "").trim();
+  if (!n || n.length > MAX_CLASS_NAME) throw classError(`name is required (up to ${MAX_CLASS_NAME} characters)`);
+  return n;
+}
+
+// An ISO date, or null for no due date
+function checkDueAt(dueAt) {
+  if (dueAt === null || dueAt === undefined || dueAt === "") return null;
+  const t = typeof dueAt === "string" ? Date.parse(dueAt) : NaN;
+  if (!Number.isFinite(t)) throw classError("dueAt must be a date (ISO 8601) or null");
+  return new Date(t).toISOString();
+}
+
+function findTaughtClass(req) {
+  return collection("classes").find((k) => k.id === req.params.id && k.instructorId === req.user.id) || null;
+}
+
+const enrollmentsOf = (classId) => collection("enrollments").filter((e) => e.classId === classId);
+const assignmentsOf = (classId) => collection("assignments").filter((a) => a.classId === classId);
+
+// Done once every lesson is completed and the final test (if any) taken;
+// overdue when not done by the due date.
+function assignmentStatus(c, summary, dueAt) {
+  const done = summary.pct === 100 && (!c.finalTest?.questions?.length || summary.attempts > 0);
+  if (done) return "done";
+  return dueAt && Date.parse(dueAt) < Date.now() ? "overdue" : "open";
+}
+
+// One assignment as one student stands with it
+function studentAssignment(a, userId) {
+  const c = collection("courses").find((x) => x.id === a.courseId);
+  const progress = progressSummary(c, findProgress(userId, c.id));
+  return {
+    id: a.id,
+    courseId: c.id,
+    courseTitle: c.courseTitle,
+    dueAt: a.dueAt,
+    assignedAt: a.assignedAt,
+    progress,
+    status: assignmentStatus(c, progress, a.dueAt),
+  };
+}
+
+function publicAssignment(a) {
+  const c = collection("courses").find((x) => x.id === a.courseId);
+  return { id: a.id, courseId: a.courseId, courseTitle: c.courseTitle, dueAt: a.dueAt, assignedAt: a.assignedAt };
+}
+
+function classSummary(k) {
+  return {
+    id: k.id,
+    name: k.name,
+    joinCode: k.joinCode,
+    createdAt: k.createdAt,
+    studentCount: enrollmentsOf(k.id).length,
+    assignmentCount: assignmentsOf(k.id).length,
+  };
+}
+
+// The instructor's view: the roster with every student's standing on every
+// assigned course.
+function classDetail(k) {
+  const users = new Map(collection("users").map((u) => [u.id, u]));
+  const assignments = assignmentsOf(k.id).sort((a, b) => String(a.dueAt || "~").localeCompare(String(b.dueAt || "~")));
+  return {
+    ...classSummary(k),
+    assignments: assignments.map(publicAssignment),
+    students: enrollmentsOf(k.id)
+      .filter((e) => users.has(e.userId))
+      .map((e) => ({
+        ...publicUser(users.get(e.userId)),
+        joinedAt: e.joinedAt,
+        assignments: assignments.map((a) => studentAssignment(a, e.userId)),
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+// { teaching: classes the caller runs, enrolled: classes they joined, with
+// their assignments and how far they are with each }
+app.get("/api/classes", requireAuth, (req, res) => {
+  const classes = collection("classes");
+  const users = new Map(collection("users").map((u) => [u.id, u]));
+  const enrolled = collection("enrollments")
+    .filter((e) => e.userId === req.user.id)
+    .map((e) => {
+      const k = classes.find((x) => x.id === e.classId);
+      return {
+        id: k.id,
+        name: k.name,
+        instructor: users.get(k.instructorId)?.name || null,
+        joinedAt: e.joinedAt,
+        assignments: assignmentsOf(k.id).map((a) => studentAssignment(a, req.user.id)),
+      };
+    });
+  res.json({
+    teaching: classes.filter((k) => k.instructorId === req.user.id).map(classSummary),
+    enrolled,
+  });
+});
+
+app.post("/api/classes", requireAuth, requireInstructor, (req, res) => {
+  try {
+    const k = {
+      id: crypto.randomUUID(),
+      instructorId: req.user.id,
+      name: checkClassName(req.body?.name),
+      joinCode: newJoinCode(),
+      createdAt: new Date().toISOString(),
+    };
+    collection("classes").push(k);
+    save();
+    res.status(201).json({ class: classDetail(k) });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Could not create class"));
+  }
+});
+
+// { code } — any signed-in user can join a class, except its instructor
+app.post("/api/classes/join", requireAuth, (req, res) => {
+  const code = String(req.body?.code || "").trim().toUpperCase();
+  const k = code && collection("classes").find((x) => x.joinCode === code);
+  if (!k) return res.status(404).json({ error: "No class has that join code." });
+  if (k.instructorId === req.user.id) return res.status(400).json({ error: "You teach this class." });
+  const enrollments = collection("enrollments");
+  if (!enrollments.some((e) => e.classId === k.id && e.userId === req.user.id)) {
+    enrollments.push({ classId: k.id, userId: req.user.id, joinedAt: new Date().toISOString() });
+    save();
+  }
+  res.json({ class: { id: k.id, name: k.name } });
+});
+
+app.get("/api/classes/:id", requireAuth, requireInstructor, (req, res) => {
+  const k = findTaughtClass(req);
+  if (!k) return res.status(404).json({ error: "Class not found" });
+  res.json({ class: classDetail(k) });
+});
+
+// { name?, newJoinCode?: true } — a new code stops the old one from working
+app.patch("/api/classes/:id", requireAuth, requireInstructor, (req, res) => {
+  const k = findTaughtClass(req);
+  if (!k) return res.status(404).json({ error: "Class not found" });
+  try {
+    const { name, newJoinCode: renew } = req.body || {};
+    if (name !== undefined) k.name = checkClassName(name);
+    if (renew === true) k.joinCode = newJoinCode();
+    save();
+    res.json({ class: classDetail(k) });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Could not update class"));
+  }
+});
+
+// Students keep their progress on its courses, but lose access to them.
+app.delete("/api/classes/:id", requireAuth, requireInstructor, (req, res) => {
+  const classes = collection("classes");
+  const i = classes.findIndex((k) => k.id === req.params.id && k.instructorId === req.user.id);
+  if (i === -1) return res.status(404).json({ error: "Class not found" });
+  classes.splice(i, 1);
+  for (const name of ["enrollments", "assignments"]) {
+    const list = collection(name);
+    for (let j = list.length - 1; j >= 0; j--) {
+      if (list[j].classId === req.params.id) list.splice(j, 1);
+    }
+  }
+  save();
+  res.json({ ok: true });
+});
+
+function removeEnrollment(classId, userId) {
+  const enrollments = collection("enrollments");
+  const i = enrollments.findIndex((e) => e.classId === classId && e.userId === userId);
+  if (i === -1) return false;
+  enrollments.splice(i, 1);
+  save();
+  return true;
+}
+
+// A student leaving a class
+app.delete("/api/classes/:id/enrollment", requireAuth, (req, res) => {
+  if (!removeEnrollment(req.params.id, req.user.id)) return res.status(404).json({ error: "You are not in this class" });
+  res.json({ ok: true });
+});
+
+// The instructor removing a student
+app.delete("/api/classes/:id/students/:userId", requireAuth, requireInstructor, (req, res) => {
+  const k = findTaughtClass(req);
+  if (!k) return res.status(404).json({ error: "Class not found" });
+  if (!removeEnrollment(k.id, req.params.userId)) return res.status(404).json({ error: "Student not found" });
+  res.json({ class: classDetail(k) });
+});
+
+// One student's test results on the class's courses: every attempt, plus
+// the analytics the student sees on their own dashboard.
+app.get("/api/classes/:id/students/:userId", requireAuth, requireInstructor, (req, res) => {
+  const k = findTaughtClass(req);
+  if (!k) return res.status(404).json({ error: "Class not found" });
+  const e = enrollmentsOf(k.id).find((x) => x.userId === req.params.userId);
+  const u = e && collection("users").find((x) => x.id === e.userId);
+  if (!u) return res.status(404).json({ error: "Student not found" });
+  const courses = assignmentsOf(k.id).map((a) => {
+    const c = collection("courses").find((x) => x.id === a.courseId);
+    const p = findProgress(u.id, c.id);
+    const unitTitles = new Map((c.units || []).map((x) => [x.id, x.title]));
+    return {
+      ...studentAssignment(a, u.id),
+      attempts: (p?.attempts || []).map((x) => ({
+        id: x.id,
+        kind: x.kind,
+        unitId: x.unitId,
+        unitTitle: unitTitles.get(x.unitId) || null,
+        at: x.at,
+        durationMs: x.durationMs,
+        score: x.score,
+      })),
+      analytics: courseAnalytics(c, p),
+    };
+  });
+  res.json({ student: { ...publicUser(u), joinedAt: e.joinedAt }, courses });
+});
+
+// { courseId, dueAt? } — the course must be the instructor's own
+app.post("/api/classes/:id/assignments", requireAuth, requireInstructor, (req, res) => {
+  const k = findTaughtClass(req);
+  if (!k) return res.status(404).json({ error: "Class not found" });
+  try {
+    const { courseId, dueAt } = req.body || {};
+    if (!collection("courses").some((c) => c.id === courseId && c.ownerId === req.user.id)) {
+      throw classError("courseId must be the id of one of your courses");
+    }
+    if (assignmentsOf(k.id).some((a) => a.courseId === courseId)) throw classError("That course is already assigned to this class.", 409);
+    collection("assignments").push({
+      id: crypto.randomUUID(),
+      classId: k.id,
+      courseId,
+      dueAt: checkDueAt(dueAt),
+      assignedAt: new Date().toISOString(),
+    });
+    save();
+    res.status(201).json({ class: classDetail(k) });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Could not assign course"));
+  }
+});
+
+// { dueAt } — null clears it
+app.patch("/api/classes/:id/assignments/:assignmentId", requireAuth, requireInstructor, (req, res) => {
+  const k = findTaughtClass(req);
+  const a = k && assignmentsOf(k.id).find((x) => x.id === req.params.assignmentId);
+  if (!a) return res.status(404).json({ error: "Assignment not found" });
+  try {
+    a.dueAt = checkDueAt(req.body?.dueAt);
+    save();
+    res.json({ class: classDetail(k) });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Could not update assignment"));
+  }
+});
+
+app.delete("/api/classes/:id/assignments/:assignmentId", requireAuth, requireInstructor, (req, res) => {
+  const k = findTaughtClass(req);
+  const list = collection("assignments");
+  const i = k ? list.findIndex((x) => x.id === req.params.assignmentId && x.classId === k.id) : -1;
+  if (i === -1) return res.status(404).json({ error: "Assignment not found" });
+  list.splice(i, 1);
+  save();
+  res.json({ class: classDetail(k) });
+});
+
+// ---------- Shared links ----------
+// An owner can publish a course as a read-only link, /share/<token>, which
+// works without an account ("shares": { token, courseId, ownerId,
+// visibility, includeTest, createdAt, expiresAt }). "unlisted" links ask
+// search engines not to index them, "public" ones don't. Without the test
+// the link shows lessons only: no checkpoints, no final test. Revoking a
+// link deletes it.
+
+const SHARE_VISIBILITY = ["unlisted", "public"];
+const MAX_SHARE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sharePath = (token) => `/share/${token}`;
+const shareExpired = (s) => !!s.expiresAt && Date.parse(s.expiresAt) <= Date.now();
+
+function publicShare(s) {
+  return {
+    token: s.token,
+    path: sharePath(s.token),
+    visibility: s.visibility,
+    includeTest: s.includeTest,
+    createdAt: s.createdAt,
+    expiresAt: s.expiresAt,
+    expired: shareExpired(s),
+  };
+}
+
+// What a visitor gets: the lessons, and the quizzes only if shared with the
+// test. Nothing about the owner, the source syllabus or anyone's results.
+function sharedCourse(c, s) {
+  return {
+    access: "shared",
+    courseTitle: c.courseTitle,
+    courseDescription: c.courseDescription,
+    units: (c.units || []).map((u) => (s.includeTest ? u : { ...u, checkpoint: undefined })),
+    finalTest: s.includeTest ? c.finalTest : { questions: [] },
+    masteryThreshold: s.includeTest ? c.masteryThreshold : undefined,
+  };
+}
+
+function findShare(token) {
+  return collection("shares").find((s) => s.token === token) || null;
+}
+
+app.get("/api/courses/:id/shares", requireAuth, (req, res) => {
+  const c = findOwnCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  const shares = collection("shares").filter((s) => s.courseId === c.id);
+  res.json({ shares: shares.map(publicShare) });
+});
+
+// { visibility?: "unlisted" | "public", includeTest?, expiresInDays?: 1-365 | null }
+app.post("/api/courses/:id/shares", requireAuth, (req, res) => {
+  const c = findOwnCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  const { visibility = "unlisted", includeTest = false, expiresInDays = null } = req.body || {};
+  if (!SHARE_VISIBILITY.includes(visibility)) {
+    return res.status(400).json({ error: `visibility must be one of ${SHARE_VISIBILITY.join(", ")}` });
+  }
+  if (typeof includeTest !== "boolean") return res.status(400).json({ error: "includeTest must be true or false" });
+  if (expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= MAX_SHARE_DAYS)) {
+    return res.status(400).json({ error: `expiresInDays must be a whole number of days from 1 to ${MAX_SHARE_DAYS}, or null` });
+  }
+  const now = Date.now();
+  const s = {
+    token: crypto.randomBytes(18).toString("base64url"),
+    courseId: c.id,
+    ownerId: req.user.id,
+    visibility,
+    includeTest,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: expiresInDays === null ? null : new Date(now + expiresInDays * DAY_MS).toISOString(),
+  };
+  collection("shares").push(s);
+  save();
+  res.status(201).json({ share: publicShare(s) });
+});
+
+app.delete("/api/courses/:id/shares/:token", requireAuth, (req, res) => {
+  const c = findOwnCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  const shares = collection("shares");
+  const i = shares.findIndex((s) => s.token === req.params.token && s.courseId === c.id);
+  if (i === -1) return res.status(404).json({ error: "Link not found" });
+  shares.splice(i, 1);
+  save();
+  res.json({ ok: true });
+});
+
+// No account needed: the token is the permission.
+app.get("/api/share/:token", (req, res) => {
+  const s = findShare(req.params.token);
+  const c = s && collection("courses").find((x) => x.id === s.courseId);
+  if (!c) return res.status(404).json({ error: "This link doesn't exist or was revoked." });
+  if (shareExpired(s)) return res.status(410).json({ error: "This link has expired." });
+  if (s.visibility !== "public") res.set("X-Robots-Tag", "noindex");
+  res.json({
+    course: sharedCourse(c, s),
+    share: { visibility: s.visibility, includeTest: s.includeTest, expiresAt: s.expiresAt },
+  });
+});
+
+app.post("/api/ai/ocr-image", async (req, res) => {
+  try {
+    const { imageDataUrl, instruction, model } = req.body || {};
+    if (!imageDataUrl) return res.status(400).json({ error: "imageDataUrl is required" });
+
+    const usedModel = model || OPENAI_VISION_MODEL;
+    const usedInstruction =
+      instruction || "OCR this image and extract ALL visible text verbatim. Return only raw text.";
+
+    const input = [
+      {
+        role: "user",
+        content: [
+          { type: "input_text", text: usedInstruction },
+          { type: "input_image", image_url: imageDataUrl },
+        ],
+      },
+    ];
+
+    const text = await llm.complete({
+      task: "ocr",
+      model: usedModel,
+      input,
+      max_output_tokens: 4000,
+      json_object: false,
+    });
+
+    res.json({ text });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "OCR failed" });
+  }
+});
+
+// ---------- Generation settings ----------
+// What the Create page lets a teacher tune. Missing or out-of-range values
+// fall back to defaults; the normalised settings are stored on the course
+// (generation.settings) so regenerations reuse them.
+//   audience            "" | beginner | intermediate | advanced
+//   language            "" (the syllabus' own language) or a language name
+//   unitCount           0 (as many as needed) or 1-20
+//   minimumLessonWords  100-2000
+//   tone                "" | friendly | academic | concise
+//   quizCountTarget     test size when there is no questionMix; null = the
+//                       default (20, or 18 for a focused review course)
+//   difficulty          "" | easy | medium | hard | mixed
+//   workedExamples      step-by-step worked examples in every lesson
+//   exercises           end every lesson with practice exercises
+//   questionMix         { mcq: 12, truefalse: 3, ... }, see questionMix()
+//   checkpointQuestions 0-10 per unit checkpoint, see checkpointCount()
+// Anything else in the raw settings is dropped.
+
+const AUDIENCES = {
+  beginner: "beginners with no prior knowledge of the subject; define every term",
+  intermediate: "learners who know the basics and want depth",
+  advanced: "advanced learners; skip introductory material and go deep",
+};
+const TONES = {
+  friendly: 'friendly and conversational, addressing the student as "you"',
+  academic: "formal and academic, with precise terminology",
+  concise: "concise and direct; short sentences, no filler",
+};
+const DIFFICULTIES = {
+  easy: "mostly recall and straightforward application",
+  medium: "a balance of recall, understanding and application",
+  hard: "challenging multi-step application, analysis and edge cases",
+  mixed: "a spread from easy to hard",
+};
+
+const clampInt = (v, min, max, fallback) => {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+};
+
+function normalizeSettings(raw) {
+  const s = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const oneOf = (v, table) => (typeof v === "string" && Object.hasOwn(table, v) ? v : "");
+  const mix = Object.fromEntries(questionMix(s, 0).filter(([, n]) => n > 0));
+  return {
+    audience: oneOf(s.audience, AUDIENCES),
+    language: languageName(s.language),
+    unitCount: clampInt(s.unitCount, 0, 20, 0),
+    minimumLessonWords: clampInt(s.minimumLessonWords, 100, 2000, 300),
+    tone: oneOf(s.tone, TONES),
+    quizCountTarget: s.quizCountTarget == null ? null : clampInt(s.quizCountTarget, 1, 50, null),
+    difficulty: oneOf(s.difficulty, DIFFICULTIES),
+    workedExamples: s.workedExamples !== false,
+    exercises: s.exercises === true,
+    questionMix: Object.keys(mix).length ? mix : null,
+    checkpointQuestions: checkpointCount(s),
+  };
+}
+
+// Extra "- rule" lines (newline-terminated) for the prompt stages given:
+// "outline", "chunk" (part of a long outline), "lessons", "questions".
+function settingsRules(settings, ...stages) {
+  const s = normalizeSettings(settings);
+  const rules = [];
+  if (s.language) {
+    rules.push(`Write ALL text (titles, lessons, questions, explanations) in ${s.language}, even where the source is in another language. Keep JSON keys and ids as shown.`);
+  }
+  if (s.audience) rules.push(`Target audience: ${AUDIENCES[s.audience]}.`);
+  if (stages.includes("outline") && s.unitCount) rules.push(`Organise the course into exactly ${s.unitCount} units.`);
+  if (stages.includes("lessons")) {
+    if (s.tone) rules.push(`Tone: ${TONES[s.tone]}.`);
+    rules.push(
+      s.workedExamples
+        ? "Include at least one worked example per lesson, solved step by step."
+        : "Keep examples short; do not include long worked examples."
+    );
+    if (s.exercises) rules.push('End each lesson\'s content with a "Practice" section of 2-3 exercises (no solutions).');
+  }
+  if (stages.includes("questions") && s.difficulty) rules.push(`Question difficulty: ${DIFFICULTIES[s.difficulty]}.`);
+  return rules.map((r) => `- ${r}\n`).join("");
+}
+
+// ---------- Staged generation: outline -> lessons per unit -> quiz ----------
+// Small calls instead of one huge one: nothing gets truncated, and each stage
+// can be reported to the client as soon as it finishes (see the /stream route).
+// The syllabus is split into labelled sections (syllabus.js); long ones are
+// outlined chunk by chunk and the partial outlines merged (map-reduce), and
+// every unit records the sections it was written from. Lessons and questions
+// are then written from passages retrieved for them (retrieval.js) and record
+// those in `sourcePassages`.
+
+const OUTLINE_SCHEMA = `{
+  "courseTitle": "string",
+  "courseDescription": "string (2-3 sentences)",
+  "units": [
+    {
+      "id": "u1",
+      "title": "Unit 1: Title",
+      "description": "string",
+      "sourceSections": ["s1","s2"],
+      "lessons": [
+        { "id": "u1l1", "title": "string", "summary": "one sentence on what this lesson covers" }
+      ]
+    }
+  ]
+}`;
+
+// Course material can come from several files (a syllabus plus lecture
+// notes, slides, ...), joined with document markers (syllabus.js).
+function documentsNote(sections) {
+  const docs = [...new Set(sections.map((s) => s.document).filter(Boolean))];
+  if (docs.length < 2) return "";
+  return `The material comes from ${docs.length} documents (${docs.join(", ")}); each starts with a ==== DOCUMENT ==== heading and section labels name their document.
+Build ONE course from all of them: merge topics they share instead of repeating them, and follow the syllabus or outline document, if there is one, for the order.
+`;
+}
+
+// The files a unit's sections come from, in document order
+function unitDocuments(sections, ids) {
+  return [...new Set(sections.filter((s) => s.document && ids.includes(s.id)).map((s) => s.document))];
+}
+
+function buildOutlinePrompt({ sections, settings }) {
+  return `You are an expert curriculum designer. Plan a comprehensive course from the syllabus below.
+The syllabus is split into sections marked [[SECTION id — label]].
+${documentsNote(sections)}
+Return ONLY a valid JSON object (no markdown fences) with this EXACT structure (titles only — NO lesson content in this step):
+${OUTLINE_SCHEMA}
+
+Rules:
+- Cover ALL major topics from the syllabus. Do NOT skip sections.
+- Every section id must appear in the sourceSections of at least one unit (unless it has no teachable content).
+- sourceSections lists the ids of the sections each unit is based on.
+- Create as many units and lessons as needed for full coverage.
+- Ids follow the pattern u1, u2, ... for units and u1l1, u1l2, ... for lessons.
+${settingsRules(settings, "outline")}- Return ONLY the JSON, nothing else.
+
+SYLLABUS:
+${renderSections(sections)}`;
+}
+
+// Map step for long syllabi: outline only the topics in one chunk.
+function buildChunkOutlinePrompt({ sections, chunkIndex, chunkCount, settings }) {
+  return `You are an expert curriculum designer. You are reading part ${chunkIndex + 1} of ${chunkCount} of a long syllabus.
+List the units and lessons needed to teach ONLY the material in this part. Sections are marked [[SECTION id — label]].
+${documentsNote(sections)}
+Return ONLY a valid JSON object (no markdown fences) with this EXACT structure:
+${OUTLINE_SCHEMA}
+
+Rules:
+- Cover every topic in this part; sourceSections lists the section ids each unit is based on.
+- Leave courseTitle/courseDescription describing this part only; they will be merged later.
+${settingsRules(settings, "chunk")}- Return ONLY the JSON, nothing else.
+
+SYLLABUS PART ${chunkIndex + 1}/${chunkCount}:
+${renderSections(sections)}`;
+}
+
+// Reduce step: merge the per-chunk outlines into one course outline.
+function buildOutlineMergePrompt({ partials, sections, settings }) {
+  return `You are an expert curriculum designer. A long syllabus was outlined in ${partials.length} parts.
+Merge the partial outlines below into ONE coherent course outline.
+${documentsNote(sections)}
+Syllabus sections (id — label):
+${sections.map((s) => `${s.id} — ${s.label}`).join("\n")}
+
+Partial outlines (JSON):
+${JSON.stringify(partials, null, 2)}
+
+Return ONLY a valid JSON object (no markdown fences) with this EXACT structure:
+${OUTLINE_SCHEMA}
+
+Rules:
+- Keep ALL topics from every part; merge duplicates and order units logically.
+- Carry sourceSections over from the partial units (union them when merging).
+- Every section id listed above must appear in at least one unit's sourceSections (unless it has no teachable content).
+- Renumber ids as u1, u2, ... for units and u1l1, u1l2, ... for lessons.
+${settingsRules(settings, "outline")}- Return ONLY the JSON, nothing else.`;
+}
+
+function buildUnitLessonsPrompt({ passages, lessonPassages, outline, unit, settings }) {
+  const minWords = normalizeSettings(settings).minimumLessonWords;
+
+  return `You are an expert curriculum designer writing ONE unit of the course "${outline.courseTitle}".
+
+Full course outline (for context — write only the unit below):
+${JSON.stringify(outline.units.map((u) => ({ id: u.id, title: u.title, lessons: u.lessons.map((l) => l.title) })), null, 2)}
+
+Unit to write:
+${JSON.stringify(unit, null, 2)}
+
+Return ONLY a valid JSON object (no markdown fences) with this EXACT structure:
+{
+  "lessons": [
+    {
+      "id": "${unit.lessons[0]?.id || `${unit.id}l1`}",
+      "title": "string",
+      "content": "Thorough lesson content — minimum ${minWords} words. Include explanations, examples, and elaboration.",
+      "keyPoints": ["string","string","string","string"],
+      "sourcePassages": ["p1","p2"]
+    }
+  ]
+}
+
+Passages retrieved for each lesson:
+${unit.lessons.map((l) => `- ${l.id}: ${lessonPassages[l.id]?.join(", ") || "(none)"}`).join("\n")}
+
+Rules:
+- Write exactly one lesson per outline lesson, in the same order and with the same ids.
+- Each lesson content must be ${minWords}+ words with examples.
+- Keep content tight and high-signal; do not repeat material that belongs to other units.
+- Base the lessons on the source passages below, starting from the ones retrieved for each lesson.
+- sourcePassages lists the ids of the passages each lesson is actually based on.
+${settingsRules(settings, "lessons")}- Return ONLY the JSON, nothing else.
+
+SOURCE PASSAGES FOR THIS UNIT:
+${passages.length ? renderPassages(passages) : "(none matched; use the outline)"}`;
+}
+
+// One example object and one rule per final-test question type.
+const QUESTION_FORMATS = {
+  mcq: {
+    example: `{ "id": "q1", "type": "mcq", "question": "string", "options": ["Option A text","Option B text","Option C text","Option D text"], "correctAnswer": 0, "explanation": "string" }`,
+    rule: "mcq: exactly 4 options; correctAnswer is 0-indexed (0=A,1=B,2=C,3=D). Distribute correct answers across A/B/C/D (avoid bias).",
+  },
+  truefalse: {
+    example: `{ "id": "q2", "type": "truefalse", "question": "A statement to judge", "answer": true, "explanation": "string" }`,
+    rule: "truefalse: the question is a statement; answer is true or false. Mix true and false statements.",
+  },
+  multiselect: {
+    example: `{ "id": "q3", "type": "multiselect", "question": "Select ALL that apply: ...", "options": ["string","string","string","string"], "correctAnswers": [0, 2], "explanation": "string" }`,
+    rule: "multiselect: 3-6 options; correctAnswers lists EVERY correct 0-indexed option (usually two or more).",
+  },
+  short: {
+    example: `{ "id": "q4", "type": "short", "question": "string", "grading": "keywords", "keywords": ["term one","term two"], "explanation": "string" }
+        or { "id": "q4", "type": "short", "question": "string", "grading": "rubric", "rubric": "what a correct answer must say", "sampleAnswer": "string", "explanation": "string" }`,
+    rule: 'short: free-text answer. Use grading "keywords" (1-8 words or phrases a correct answer must all contain) for factual answers, or grading "rubric" with a rubric and sampleAnswer when wording can vary.',
+  },
+  numeric: {
+    example: `{ "id": "q5", "type": "numeric", "question": "string", "answer": 42.5, "tolerance": 0.5, "unit": "ms", "explanation": "string" }`,
+    rule: "numeric: answer is a plain number, tolerance the accepted absolute error (0 for exact), unit optional.",
+  },
+  ordering: {
+    example: `{ "id": "q6", "type": "ordering", "question": "Put these steps in order: ...", "items": ["first","second","third","fourth"], "explanation": "string" }`,
+    rule: "ordering: 3-8 items listed in the CORRECT order (the app shuffles them).",
+  },
+};
+
+// settings.questionMix is { mcq: 12, truefalse: 3, ... }; without one the
+// test is `fallbackCount` MCQs. -> [[type, count], ...]
+function questionMix(settings, fallbackCount) {
+  const mix = QUESTION_TYPES.map((t) => [t, Math.max(0, Math.min(50, Math.floor(Number(settings?.questionMix?.[t]) || 0)))]).filter(
+    ([, n]) => n > 0
+  );
+  return mix.length ? mix : [["mcq", fallbackCount]];
+}
+
+// Questions point back at the lesson they assess, so a wrong answer can send
+// the learner to it and remediation knows which lessons were weak.
+const LINK_RULE = `- Every question also has "unitId" and "lessonId": the ids of the unit and lesson of this course that it assesses.`;
+
+// ...and, when the prompt carries syllabus passages, the ones it is based on.
+const SOURCE_RULE = `- Every question also has "sourcePassages": the ids of the source passages below that its answer is based on.`;
+
+// Example formats + per-type rules for the requested mix.
+function questionInstructions(settings, fallbackCount) {
+  const mix = questionMix(settings, fallbackCount);
+  const total = mix.reduce((a, [, n]) => a + n, 0);
+  return {
+    total,
+    summary: `exactly ${total} questions (${mix.map(([t, n]) => `${n} ${t}`).join(", ")})`,
+    formats: mix.map(([t]) => `      ${QUESTION_FORMATS[t].example}`).join(",\n"),
+    rules: [...mix.map(([t]) => `- ${QUESTION_FORMATS[t].rule}`), LINK_RULE].join("\n"),
+  };
+}
+
+// The final-test mix scaled down to `count` questions, so checkpoints use the
+// same kinds of questions as the final test.
+function scaledMix(settings, count) {
+  return resizeMix(Object.fromEntries(questionMix(settings, count)), count);
+}
+
+// Short quiz shown after a unit's last lesson.
+function buildCheckpointPrompt({ outline, unit, passages, settings }) {
+  const count = checkpointCount(settings);
+  const q = questionInstructions({ questionMix: scaledMix(settings, count) }, count);
+
+  return `You are an expert examiner. Write a short checkpoint quiz for ONE unit of the course "${outline.courseTitle}".
+It is taken right after the unit's last lesson and decides whether the student has mastered the unit.
+
+Unit (JSON):
+${JSON.stringify(
+  {
+    id: unit.id,
+    title: unit.title,
+    lessons: unit.lessons.map((l) => ({ id: l.id, title: l.title, keyPoints: l.keyPoints, content: l.content.slice(0, 2000) })),
+  },
+  null,
+  2
+)}
+
+Return ONLY a valid JSON object (no markdown fences) with this EXACT structure:
+{
+  "questions": [
+${q.formats}
+  ]
+}
+Every question has an id, a "type", a "unitId" and "lessonId", and an explanation; the other fields depend on the type.
+
+Rules:
+- Create ${q.summary} about THIS unit only, spread across its lessons.
+- Test understanding of the key points, not trivia.
+${q.rules}
+${passages.length ? `${SOURCE_RULE}\n` : ""}${settingsRules(settings, "questions")}- Return ONLY JSON, nothing else.${
+    passages.length ? `\n\nSOURCE PASSAGES:\n${renderPassages(passages)}` : ""
+  }`;
+}
+
+// settings.checkpointQuestions: questions per unit checkpoint (0 = none)
+function checkpointCount(settings) {
+  return Math.max(0, Math.min(10, Math.floor(Number(settings?.checkpointQuestions ?? 4)) || 0));
+}
+
+function buildQuizOnlyPrompt({ courseOutline, passages, settings }) {
+  const q = questionInstructions(settings, normalizeSettings(settings).quizCountTarget ?? 20);
+
+  return `You are an expert examiner. Create a final test for the course outline below.
+
+Return ONLY a valid JSON object (no markdown fences) with this EXACT structure:
+{
+  "finalTest": {
+    "questions": [
+${q.formats}
+    ]
+  }
+}
+Every question has an id, a "type", a "unitId" and "lessonId", and an explanation; the other fields depend on the type.
+
+Rules:
+- Create ${q.summary} covering ALL units and lessons.
+- Questions must test understanding and application, not just recall.
+${q.rules}
+${passages.length ? `${SOURCE_RULE}\n` : ""}${settingsRules(settings, "questions")}- Return ONLY JSON, nothing else.
+
+COURSE OUTLINE (with the passages each lesson is based on):
+${JSON.stringify(courseOutline, null, 2)}${passages.length ? `\n\nSOURCE PASSAGES:\n${renderPassages(passages)}` : ""}`;
+}
+
+// json_object mode should already give bare JSON; tolerate a ```json fence
+// but nothing looser — anything else goes through repair.
+function parseModelJson(raw) {
+  const t = String(raw || "").trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, "$1");
+  const v = JSON.parse(t);
+  if (!v || typeof v !== "object" || Array.isArray(v)) throw new Error("expected a JSON object");
+  return v;
+}
+
+const REPAIR_ATTEMPTS = Math.max(0, Number(process.env.REPAIR_ATTEMPTS ?? 2));
+
+function schemaError(what, errors) {
+  return Object.assign(new Error(`${what} did not match the course schema (${errors.length} problem${errors.length === 1 ? "" : "s"}).`), {
+    status: 502,
+    details: errors.slice(0, 50),
+  });
+}
+
+// Asks the model to fix its own output. Errors inside array items (a lesson,
+// a question) are repaired item by item and spliced back; anything else means
+// resending the whole object.
+async function repairJson({ task, variant, model, prompt, raw, obj, errors, max_output_tokens, signal }) {
+  const history = [
+    { role: "user", content: prompt },
+    { role: "assistant", content: String(raw || "") },
+  ];
+
+  if (!obj) {
+    const t = await llm.complete({
+      task: "repair",
+      variant: task,
+      model,
+      input: [
+        ...history,
+        { role: "user", content: `That reply was not valid JSON (${errors[0]?.message}). Return the same content as ONE valid JSON object with the structure requested above. Return ONLY the JSON.` },
+      ],
+      max_output_tokens,
+      json_object: true,
+      signal,
+    });
+    return { raw: t, obj: parseModelJson(t) };
+  }
+
+  const groups = groupErrorsByItem(errors);
+  const listErrors = (errs) => errs.map((e) => `- ${e.path || "(root)"}: ${e.message}`).join("\n");
+
+  if (groups.has("")) {
+    const t = await llm.complete({
+      task: "repair",
+      variant: task,
+      model,
+      input: [
+        ...history,
+        {
+          role: "user",
+          content: `Your JSON has these problems:\n${listErrors(errors)}\n\nReturn the full corrected JSON object. Fix ONLY these problems and keep everything else exactly as it was. Return ONLY the JSON.`,
+        },
+      ],
+      max_output_tokens,
+      json_object: true,
+      signal,
+    });
+    return { raw: t, obj: parseModelJson(t) };
+  }
+
+  const items = [...groups.entries()].map(([path, errs]) => ({
+    path,
+    current: getAt(obj, parsePath(path)),
+    problems: errs.map((e) => `${e.path}: ${e.message}`),
+  }));
+  const t = await llm.complete({
+    task: "repair-items",
+    variant: task,
+    model,
+    input: [
+      ...history,
+      {
+        role: "user",
+        content: `Some items in your JSON are invalid. Rewrite ONLY these items so they follow the structure and rules requested above:
+${JSON.stringify(items, null, 2)}
+
+Return ONLY a JSON object of this form (one entry per item, same paths):
+{ "fixes": [ { "path": "<path from above>", "value": { ...the corrected item... } } ] }`,
+      },
+    ],
+    max_output_tokens,
+    json_object: true,
+    signal,
+  });
+
+  const fixes = parseModelJson(t)?.fixes;
+  const next = structuredClone(obj);
+  for (const f of Array.isArray(fixes) ? fixes : []) {
+    if (groups.has(f?.path) && f.value !== undefined) setAt(next, parsePath(f.path), f.value);
+  }
+  return { raw: JSON.stringify(next), obj: next };
+}
+
+// One model call that must return JSON passing `validate(obj) -> errors`.
+// Invalid output is sent back for repair up to REPAIR_ATTEMPTS times; after
+// that we fail loudly rather than patch in placeholders.
+async function completeJson({ task, variant, model, prompt, max_output_tokens, validate, signal, what = "Model output" }) {
+  let raw = await llm.complete({
+    task,
+    variant,
+    model,
+    input: [{ role: "user", content: prompt }],
+    max_output_tokens,
+    json_object: true,
+    signal,
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    let obj = null;
+    let errors;
+    try {
+      obj = parseModelJson(raw);
+      errors = validate(obj);
+    } catch (e) {
+      errors = [{ path: "", message: `not valid JSON: ${e.message}` }];
+    }
+    if (!errors.length) return obj;
+    if (attempt >= REPAIR_ATTEMPTS) throw schemaError(what, errors);
+
+    try {
+      ({ raw } = await repairJson({ task, variant, model, prompt, raw, obj, errors, max_output_tokens, signal }));
+    } catch (e) {
+      // an unusable repair reply just counts as a failed attempt
+      if (signal?.aborted) throw e;
+    }
+  }
+}
+
+// Runs fn over items with at most `limit` calls in flight.
+async function mapWithConcurrency(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+const UNIT_CONCURRENCY = Math.max(1, Number(process.env.UNIT_CONCURRENCY || 3));
+
+function normalizeOutline(o, sectionIds) {
+  const units = (Array.isArray(o?.units) ? o.units : []).map((u, ui) => ({
+    id: u?.id || `u${ui + 1}`,
+    title: u?.title || `Unit ${ui + 1}`,
+    description: u?.description || "",
+    sourceSections: (Array.isArray(u?.sourceSections) ? u.sourceSections : [])
+      .map(String)
+      .filter((id, i, a) => sectionIds.has(id) && a.indexOf(id) === i),
+    lessons: (Array.isArray(u?.lessons) ? u.lessons : []).map((l, li) => ({
+      id: l?.id || `u${ui + 1}l${li + 1}`,
+      title: l?.title || `Lesson ${li + 1}`,
+      summary: l?.summary || "",
+    })),
+  }));
+  if (!units.length) throw new Error("Model returned an empty course outline.");
+  return {
+    courseTitle: o?.courseTitle || "Untitled Course",
+    courseDescription: o?.courseDescription || "",
+    units,
+  };
+}
+
+const QUESTION_FIELDS = {
+  mcq: ["options", "correctAnswer"],
+  truefalse: ["answer"],
+  multiselect: ["options", "correctAnswers"],
+  short: ["grading", "keywords", "rubric", "sampleAnswer"],
+  numeric: ["answer", "tolerance", "unit"],
+  ordering: ["items"],
+};
+
+// Keeps only the schema fields of already-validated questions (per type),
+// the lesson link and cited passages, fills missing ids and makes the type
+// explicit.
+function normalizeQuestions(questions) {
+  return questions.map((q, i) => {
+    const type = q.type || "mcq";
+    const out = { id: typeof q.id === "string" && q.id ? q.id : `q${i + 1}`, type };
+    if (q.unitId !== undefined) Object.assign(out, { unitId: q.unitId, lessonId: q.lessonId });
+    out.question = q.question;
+    for (const f of QUESTION_FIELDS[type]) if (q[f] !== undefined) out[f] = q[f];
+    out.explanation = q.explanation;
+    if (Array.isArray(q.sourcePassages)) out.sourcePassages = q.sourcePassages;
+    return out;
+  });
+}
+
+// Fills ids on an already-validated full course (focused-course output).
+function normalizeCourse(c) {
+  return {
+    ...c,
+    units: c.units.map((u, ui) => ({
+      ...u,
+      id: u.id || `u${ui + 1}`,
+      lessons: u.lessons.map((l, li) => ({ ...l, id: l.id || `u${ui + 1}l${li + 1}` })),
+    })),
+    finalTest: { questions: normalizeQuestions(c.finalTest.questions) },
+  };
+}
+
+// { error, details? } — details carries schema problems for the client.
+function errorBody(e, fallback) {
+  return { error: e.message || fallback, ...(e.details ? { details: e.details } : {}) };
+}
+
+// Which units draw on each section; sections nobody used are "uncovered".
+function computeCoverage(sections, units) {
+  const bySection = sections.map((s) => ({
+    id: s.id,
+    label: s.label,
+    units: units.filter((u) => u.sourceSections.includes(s.id)).map((u) => u.id),
+  }));
+  return { sections: bySection, uncovered: bySection.filter((x) => !x.units.length).map((x) => x.id) };
+}
+
+const LESSON_PASSAGES = 4; // retrieved per lesson
+const QUIZ_SOURCE_CHARS = 12000;
+
+// Source passages for one unit: the best matches for each lesson within the
+// unit's own sections (the whole syllabus if it has none or nothing
+// matched), best ranks of every lesson first, capped at CHUNK_CHARS.
+// -> { passages, lessonPassages: { [lessonId]: [passage id] } }
+function unitPassages(index, unit) {
+  const own = unit.sourceSections?.length ? new Set(unit.sourceSections) : null;
+  const hits = unit.lessons.map((l) => {
+    const query = `${unit.title} ${l.title} ${l.summary || (l.keyPoints || []).join(" ")}`;
+    const found = own ? searchPassages(index, query, { limit: LESSON_PASSAGES, within: own }) : [];
+    return found.length ? found : searchPassages(index, query, { limit: LESSON_PASSAGES });
+  });
+
+  let ranked = [];
+  for (let r = 0; r < LESSON_PASSAGES; r++) for (const h of hits) if (h[r] && !ranked.includes(h[r])) ranked.push(h[r]);
+  if (!ranked.length) ranked = index.passages.filter((p) => !own || own.has(p.section));
+
+  const passages = fitPassages(ranked, chunkChars());
+  const kept = new Set(passages);
+  const lessonPassages = Object.fromEntries(unit.lessons.map((l, i) => [l.id, hits[i].filter((p) => kept.has(p)).map((p) => p.id)]));
+  return { passages, lessonPassages };
+}
+
+// Questions keep the passages they cite among `shown`; the rest get the best
+// match for their text among the passages of the lesson they assess.
+function groundQuestions(index, questions, units, shown) {
+  const allowed = new Set(shown.map((p) => p.id));
+  return questions.map((q) => {
+    const lesson = units.find((u) => u.id === q.unitId)?.lessons.find((l) => l.id === q.lessonId);
+    const sourcePassages = groundPassages(index, q.sourcePassages, `${q.question} ${q.explanation}`, {
+      allowed,
+      near: lesson?.sourcePassages,
+      limit: 1,
+    });
+    return { ...q, sourcePassages };
+  });
+}
+
+// The passages a unit's (or course's) lessons are based on, the first one of
+// each lesson before the second, capped at `budget` chars.
+function lessonSourcePassages(index, units, budget) {
+  const lists = units.flatMap((u) => u.lessons.map((l) => l.sourcePassages || []));
+  const ranked = [];
+  for (let r = 0; r < LESSON_PASSAGES; r++) {
+    for (const ids of lists) if (ids[r] && !ranked.includes(ids[r])) ranked.push(ids[r]);
+  }
+  return fitPassages(ranked.map((id) => index.byId.get(id)).filter(Boolean), budget);
+}
+
+// A course written in one call from `shown` passages (the focused course),
+// with every lesson and question grounded as above.
+function groundCourse(index, course, shown) {
+  const allowed = new Set(shown.map((p) => p.id));
+  const near = [...allowed];
+  const units = course.units.map((u) => ({
+    ...u,
+    lessons: u.lessons.map((l) => ({
+      ...l,
+      sourcePassages: groundPassages(index, l.sourcePassages, `${l.title} ${(l.keyPoints || []).join(" ")}`, { allowed, near }),
+    })),
+  }));
+  return {
+    ...course,
+    units,
+    finalTest: { ...course.finalTest, questions: groundQuestions(index, course.finalTest.questions, units, shown) },
+    sourcePassages: passageIndex(index.passages),
+  };
+}
+
+async function buildOutline({ sections, settings, model, emit, signal }) {
+  const sectionIds = new Set(sections.map((s) => s.id));
+  const chunks = groupSections(sections);
+
+  if (chunks.length === 1) {
+    const o = await completeJson({
+      task: "outline",
+      model,
+      prompt: buildOutlinePrompt({ sections, settings }),
+      max_output_tokens: 4000,
+      validate: validateOutline,
+      signal,
+      what: "Course outline",
+    });
+    return normalizeOutline(o, sectionIds);
+  }
+
+  // Map: outline each chunk
+  let done = 0;
+  const partials = await mapWithConcurrency(chunks, UNIT_CONCURRENCY, async (chunk, i) => {
+    const o = await completeJson({
+      task: "chunk-outline",
+      variant: `c${i + 1}`,
+      model,
+      prompt: buildChunkOutlinePrompt({ sections: chunk, chunkIndex: i, chunkCount: chunks.length, settings }),
+      max_output_tokens: 4000,
+      validate: validateOutline,
+      signal,
+      what: `Outline of syllabus part ${i + 1}`,
+    });
+    emit("outline-chunk", { done: ++done, total: chunks.length });
+    const p = normalizeOutline(o, new Set(chunk.map((s) => s.id)));
+    // if the model forgot sourceSections, the whole chunk is the honest answer
+    for (const u of p.units) if (!u.sourceSections.length) u.sourceSections = chunk.map((s) => s.id);
+    return p;
+  });
 
-// For local dev only
-const CORS_ORIGIN = process.env.CORS_ORIGIN || "http://localhost:5173";
-const NODE_ENV = process.env.NODE_ENV || "development";
-const IS_PROD = NODE_ENV === "production";
+  // Reduce: merge into one outline
+  const merged = await completeJson({
+    task: "outline-merge",
+    model,
+    prompt: buildOutlineMergePrompt({ partials, sections, settings }),
+    max_output_tokens: 6000,
+    validate: validateOutline,
+    signal,
+    what: "Merged course outline",
+  });
+  return normalizeOutline(merged, sectionIds);
+}
 
-app.use(express.json({ limit: "25mb" }));
+// Generates a full course. `emit(event, data)` is called as each stage
+// finishes; `signal` aborts outstanding model calls (e.g. client went away).
+async function generateCourse({ syllabusText, settings: requested, model, emit = () => {}, signal }) {
+  const sections = splitSyllabus(syllabusText);
+  if (!sections.length) throw new Error("Syllabus text is empty.");
+  const index = buildIndex(splitPassages(sections));
 
-// ✅ In production (single-link hosting), don’t enable CORS at all.
-// That keeps your API from being callable by random websites.
-if (!IS_PROD) {
-  const allowed = CORS_ORIGIN.split(",").map((s) => s.trim()).filter(Boolean);
-  app.use(cors({ origin: allowed.length ? allowed : true }));
-}
-
-function extractText(data) {
-  if (typeof data?.output_text === "string" && data.output_text.trim()) return data.output_text;
-  const parts = [];
-  for (const item of data?.output || []) {
-    if (item?.type === "message" && Array.isArray(item.content)) {
-      for (const c of item.content) {
-        if (c?.type === "output_text" && typeof c.text === "string") parts.push(c.text);
-      }
-    } else if (item?.type === "output_text" && typeof item.text === "string") {
-      parts.push(item.text);
-    }
+  // no language chosen: write in the syllabus' own language, spelled out so
+  // the prompts (and later regenerations) don't drift into English
+  const sourceLanguage = detectLanguage(syllabusText)?.language || null;
+  const settings = normalizeSettings(requested);
+  if (!settings.language && sourceLanguage) settings.language = sourceLanguage;
+
+  // Stage 1: outline (map-reduce over chunks when the syllabus is long)
+  emit("phase", { phase: "outline", sections: sections.length, chunks: groupSections(sections).length });
+  const outline = await buildOutline({ sections, settings, model, emit, signal });
+  for (const u of outline.units) {
+    const docs = unitDocuments(sections, u.sourceSections);
+    if (docs.length) u.sourceDocuments = docs;
   }
-  return parts.join("");
-}
+  const coverage = computeCoverage(sections, outline.units);
+  emit("outline", { ...outline, sourceSections: sectionIndex(sections), coverage });
 
-async function openaiResponses({ model, input, max_output_tokens = 4000, json_object = false }) {
-  if (!OPENAI_API_KEY) throw new Error("Missing OPENAI_API_KEY. Set it in backend/.env (or hosting env vars).");
+  // Stage 2: lessons, a few units at a time
+  emit("phase", { phase: "lessons", total: outline.units.length });
+  const units = await mapWithConcurrency(outline.units, UNIT_CONCURRENCY, async (unit, unitIndex) => {
+    const { passages, lessonPassages } = unitPassages(index, unit);
+    const { lessons: got } = await completeJson({
+      task: "unit-lessons",
+      variant: unit.id,
+      model,
+      prompt: buildUnitLessonsPrompt({ passages, lessonPassages, outline, unit, settings }),
+      max_output_tokens: 8000,
+      validate: (o) => validateUnitLessons(o, unit),
+      signal,
+      what: `Lessons for "${unit.title}"`,
+    });
+    const shown = new Set(passages.map((p) => p.id));
+    const lessons = unit.lessons.map((ol, li) => {
+      const l = got.find((x) => x.id === ol.id) || got[li];
+      const sourcePassages = groundPassages(index, l.sourcePassages, `${l.title} ${l.keyPoints.join(" ")}`, {
+        allowed: shown,
+        near: lessonPassages[ol.id],
+      });
+      return { id: ol.id, title: l.title, content: l.content, keyPoints: l.keyPoints, sourcePassages };
+    });
+    const full = {
+      id: unit.id,
+      title: unit.title,
+      description: unit.description,
+      sourceSections: unit.sourceSections,
+      ...(unit.sourceDocuments ? { sourceDocuments: unit.sourceDocuments } : {}),
+      lessons,
+    };
+    if (checkpointCount(settings) > 0) {
+      const shownToQuiz = lessonSourcePassages(index, [full], QUIZ_SOURCE_CHARS);
+      const cp = await completeJson({
+        task: "unit-checkpoint",
+        variant: unit.id,
+        model,
+        prompt: buildCheckpointPrompt({ outline, unit: full, passages: shownToQuiz, settings }),
+        max_output_tokens: 2500,
+        validate: (o) => validateCheckpoint(o, full),
+        signal,
+        what: `Checkpoint quiz for "${unit.title}"`,
+      });
+      full.checkpoint = { questions: groundQuestions(index, normalizeQuestions(cp.questions), [full], shownToQuiz) };
+    }
+    emit("unit", { index: unitIndex, total: outline.units.length, unit: full });
+    return full;
+  });
 
-  const body = {
+  // Stage 3: quiz over the outline
+  emit("phase", { phase: "quiz" });
+  const outlineForQuiz = {
+    courseTitle: outline.courseTitle,
+    units: units.map((u) => ({
+      id: u.id,
+      title: u.title,
+      lessons: u.lessons.map((l) => ({ id: l.id, title: l.title, sourcePassages: l.sourcePassages })),
+    })),
+  };
+  const quizPassages = lessonSourcePassages(index, units, QUIZ_SOURCE_CHARS);
+  const quizObj = await completeJson({
+    task: "quiz",
     model,
-    input,
-    max_output_tokens,
-    truncation: "auto",
-    ...(json_object ? { text: { format: { type: "json_object" } } } : {}),
+    prompt: buildQuizOnlyPrompt({ courseOutline: outlineForQuiz, passages: quizPassages, settings }),
+    max_output_tokens: 5000,
+    validate: (o) => validateQuiz(o, outlineForQuiz.units),
+    signal,
+    what: "Final test",
+  });
+  const finalTest = { questions: groundQuestions(index, normalizeQuestions(quizObj.finalTest.questions), units, quizPassages) };
+  emit("quiz", { finalTest });
+
+  const course = {
+    courseTitle: outline.courseTitle,
+    courseDescription: outline.courseDescription,
+    units,
+    finalTest,
+    sourceSections: sectionIndex(sections),
+    sourcePassages: passageIndex(index.passages),
+    coverage,
+    generation: { model, provider: llm.name, settings, sourceLanguage },
   };
+  const errors = validateCourse(course);
+  if (errors.length) throw schemaError("Assembled course", errors);
+  return course;
+}
 
-  const r = await fetch(OPENAI_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-    },
-    body: JSON.stringify(body),
-  });
+app.post("/api/ai/generate-course", async (req, res) => {
+  try {
+    const { syllabusText, settings, model } = req.body || {};
+    if (!syllabusText || typeof syllabusText !== "string") {
+      return res.status(400).json({ error: "syllabusText (string) is required" });
+    }
 
-  const d = await r.json().catch(() => ({}));
-  if (!r.ok) {
-    const msg = d?.error?.message || d?.message || `OpenAI error (${r.status})`;
-    throw new Error(msg);
+    const courseObj = await generateCourse({ syllabusText, settings, model: model || OPENAI_MODEL });
+    res.json({ jsonText: JSON.stringify(courseObj) });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Course generation failed"));
   }
-  return d;
+});
+
+// Opens a Server-Sent Events response. Returns send(event, data) and a
+// close() that ends the stream. A comment line every 15s keeps proxies
+// from timing out the connection while a long model call runs.
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  return {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    },
+  };
 }
 
-app.get("/api/health", (_req, res) => {
-  res.json({ ok: true, env: NODE_ENV, time: new Date().toISOString() });
+// Same as /generate-course, but streams progress:
+//   phase {phase}, outline {...}, unit {index, total, unit}, quiz {finalTest},
+//   done {jsonText} or error {error}
+app.post("/api/ai/generate-course/stream", async (req, res) => {
+  const { syllabusText, settings, model } = req.body || {};
+  if (!syllabusText || typeof syllabusText !== "string") {
+    return res.status(400).json({ error: "syllabusText (string) is required" });
+  }
+
+  const abort = new AbortController();
+  res.on("close", () => abort.abort());
+
+  const stream = openEventStream(res);
+  try {
+    const courseObj = await generateCourse({
+      syllabusText,
+      settings,
+      model: model || OPENAI_MODEL,
+      emit: stream.send,
+      signal: abort.signal,
+    });
+    stream.send("done", { jsonText: JSON.stringify(courseObj) });
+  } catch (e) {
+    if (!abort.signal.aborted) stream.send("error", errorBody(e, "Course generation failed"));
+  } finally {
+    stream.close();
+  }
 });
 
-app.post("/api/ai/ocr-image", async (req, res) => {
+// ---------- Regenerate one unit or lesson ----------
+// The rest of the course goes along as context so the rewrite fits in; the
+// client applies the result to its draft and saves it via PATCH /api/courses/:id.
+
+function buildRegeneratePrompt({ course, unit, lesson, instructions, passages, lessonPassages, settings }) {
+  const minWords = normalizeSettings(settings).minimumLessonWords;
+  const target = lesson
+    ? `the lesson "${lesson.title}" (id ${lesson.id}) in "${unit.title}"`
+    : `the unit "${unit.title}" (id ${unit.id}), keeping its ${unit.lessons.length} lessons and their ids`;
+  const shape = lesson
+    ? `{
+  "lesson": {
+    "id": "${lesson.id}",
+    "title": "string",
+    "content": "Thorough lesson content — minimum ${minWords} words. Include explanations, examples, and elaboration.",
+    "keyPoints": ["string","string","string","string"],
+    "sourcePassages": ["p1","p2"]
+  }
+}`
+    : `{
+  "lessons": [
+    {
+      "id": "${unit.lessons[0]?.id}",
+      "title": "string",
+      "content": "Thorough lesson content — minimum ${minWords} words. Include explanations, examples, and elaboration.",
+      "keyPoints": ["string","string","string","string"],
+      "sourcePassages": ["p1","p2"]
+    }
+  ]
+}`;
+  const retrieved = Object.entries(lessonPassages)
+    .map(([id, ids]) => `- ${id}: ${ids.join(", ") || "(none)"}`)
+    .join("\n");
+
+  return `You are an expert curriculum designer revising part of the course "${course.courseTitle}".
+Rewrite ${target}.
+
+Course outline (for context):
+${JSON.stringify((course.units || []).map((u) => ({ id: u.id, title: u.title, lessons: (u.lessons || []).map((l) => l.title) })), null, 2)}
+
+Current version:
+${JSON.stringify(lesson || unit, null, 2)}
+
+Teacher's instructions:
+${instructions?.trim() || "(none — improve clarity, accuracy and examples)"}
+
+Return ONLY a valid JSON object (no markdown fences) with this EXACT structure:
+${shape}
+
+Rules:
+- Follow the teacher's instructions.
+- Each lesson content must be ${minWords}+ words with examples.
+- Stay consistent with the rest of the course; do not cover other units' material.
+- Keep the same ids.
+- Base the content on the source passages below when there are any; sourcePassages lists the ids of the ones each lesson is based on (empty when there are none).
+${settingsRules(settings, "lessons")}- Return ONLY the JSON, nothing else.
+
+Passages retrieved for each lesson:
+${retrieved}
+
+SOURCE PASSAGES:
+${passages.length ? renderPassages(passages) : "(not available)"}`;
+}
+
+app.post("/api/ai/regenerate", async (req, res) => {
   try {
-    const { imageDataUrl, instruction, model } = req.body || {};
-    if (!imageDataUrl) return res.status(400).json({ error: "imageDataUrl is required" });
+    const { course, unitId, lessonId, instructions, settings, model } = req.body || {};
+    if (!course || !Array.isArray(course.units)) return res.status(400).json({ error: "course (with units) is required" });
 
-    const usedModel = model || OPENAI_VISION_MODEL;
-    const usedInstruction =
-      instruction || "OCR this image and extract ALL visible text verbatim. Return only raw text.";
+    const unit = course.units.find((u) => u?.id === unitId);
+    if (!unit || !Array.isArray(unit.lessons) || !unit.lessons.length) {
+      return res.status(400).json({ error: "unitId must name a unit of the course" });
+    }
+    const lesson = lessonId ? unit.lessons.find((l) => l?.id === lessonId) : null;
+    if (lessonId && !lesson) return res.status(400).json({ error: "lessonId must name a lesson of that unit" });
 
-    const input = [
-      {
-        role: "user",
-        content: [
-          { type: "input_text", text: usedInstruction },
-          { type: "input_image", image_url: imageDataUrl },
-        ],
-      },
-    ];
+    const index = syllabusIndex(course.sourceText);
+    const target = {
+      ...unit,
+      title: [unit.title, instructions].filter(Boolean).join(" "),
+      lessons: lesson ? [lesson] : unit.lessons,
+    };
+    const { passages, lessonPassages } = index.passages.length ? unitPassages(index, target) : { passages: [], lessonPassages: {} };
+    const shown = new Set(passages.map((p) => p.id));
+    // the passages a rewritten lesson cites, or its best matches
+    const cite = (l, id) =>
+      index.passages.length
+        ? { sourcePassages: groundPassages(index, l.sourcePassages, `${l.title} ${l.keyPoints.join(" ")}`, { allowed: shown, near: lessonPassages[id] }) }
+        : {};
+    // older courses have no passage list yet; the client stores this one
+    const extra = index.passages.length ? { sourcePassages: passageIndex(index.passages) } : {};
+
+    const prompt = buildRegeneratePrompt({ course, unit, lesson, instructions, passages, lessonPassages, settings });
+    const usedModel = model || OPENAI_MODEL;
 
-    const d = await openaiResponses({
+    if (lesson) {
+      const o = await completeJson({
+        task: "regenerate-lesson",
+        model: usedModel,
+        prompt,
+        max_output_tokens: 4000,
+        validate: (x) => validateLesson(x?.lesson, ["lesson"]),
+        what: "Regenerated lesson",
+      });
+      const l = o.lesson;
+      return res.json({ lesson: { id: lesson.id, title: l.title, content: l.content, keyPoints: l.keyPoints, ...cite(l, lesson.id) }, ...extra });
+    }
+
+    const o = await completeJson({
+      task: "regenerate-unit",
       model: usedModel,
-      input,
-      max_output_tokens: 4000,
-      json_object: false,
+      prompt,
+      max_output_tokens: 8000,
+      validate: (x) => validateUnitLessons(x, unit),
+      what: "Regenerated unit",
     });
-
-    res.json({ text: extractText(d) });
+    const lessons = unit.lessons.map((ol, li) => {
+      const l = o.lessons.find((x) => x.id === ol.id) || o.lessons[li];
+      return { id: ol.id, title: l.title, content: l.content, keyPoints: l.keyPoints, ...cite(l, ol.id) };
+    });
+    res.json({ unit: { ...unit, lessons }, ...extra });
   } catch (e) {
-    res.status(500).json({ error: e.message || "OCR failed" });
+    res.status(e.status || 500).json(errorBody(e, "Regeneration failed"));
   }
 });
 
-// ---------- 2-pass generation to avoid truncated JSON ----------
+// ---------- Translation ----------
+// "Translate course" makes a linked copy (translationOf = original id) in
+// another language. Only text goes to the model — ids, answer indices,
+// numbers and the order of options/items stay as they are, so progress,
+// results and answer keys line up across languages.
 
-function buildCourseOnlyPrompt({ syllabusText, settings }) {
-  const minWords = settings?.minimumLessonWords ?? 300;
+app.post("/api/ai/detect-language", (req, res) => {
+  const { text } = req.body || {};
+  if (typeof text !== "string") return res.status(400).json({ error: "text (string) is required" });
+  res.json({ detected: detectLanguage(text) });
+});
 
-  return `You are an expert curriculum designer. Create a comprehensive, detailed course from the syllabus below.
+const LESSON_TEXT_FIELDS = ["title", "content", "keyPoints"];
+const QUESTION_TEXT_FIELDS = ["question", "options", "keywords", "rubric", "sampleAnswer", "items", "unit", "explanation"];
 
-Return ONLY a valid JSON object (no markdown fences) with this EXACT structure (NO finalTest in this step):
-{
-  "courseTitle": "string",
-  "courseDescription": "string (2-3 sentences)",
-  "units": [
-    {
-      "id": "u1",
-      "title": "Unit 1: Title",
-      "description": "string",
-      "lessons": [
-        {
-          "id": "u1l1",
-          "title": "string",
-          "content": "Thorough lesson content — minimum ${minWords} words. Include explanations, examples, and elaboration.",
-          "keyPoints": ["string","string","string","string"]
-        }
-      ]
-    }
-  ]
+// The text fields of `src` listed in `fields` (plus the id)
+function textFields(src, fields) {
+  const out = { id: src.id };
+  for (const f of fields) if (src[f] !== undefined) out[f] = src[f];
+  return out;
 }
 
+function buildTranslatePrompt({ language, what, data }) {
+  return `You are a professional translator of course material. Translate the ${what} below into ${language}.
+
+Return ONLY a valid JSON object (no markdown fences) with EXACTLY the same structure, keys, ids and array lengths as the input; only the text values change.
+
 Rules:
-- Cover ALL major topics from the syllabus. Do NOT skip sections.
-- Create as many units and lessons as needed for full coverage, but keep content tight and high-signal.
-- Each lesson content must be ${minWords}+ words with examples.
+- Translate every text value; keep "id" values unchanged.
+- Keep arrays in the same order (answer options and ordering items must stay in their positions).
+- Keep code, formulas, numbers and units of measurement as they are; use the technical terms a textbook in ${language} would use.
+- Short-answer keywords must be the words a student would write in ${language}.
 - Return ONLY the JSON, nothing else.
 
-SYLLABUS:
-${syllabusText}`;
+INPUT:
+${JSON.stringify(data, null, 2)}`;
 }
 
-function buildQuizOnlyPrompt({ courseOutline, settings }) {
-  const quizCount = settings?.quizCountTarget ?? 20;
-
-  return `You are an expert examiner. Create a final test for the course outline below.
+function translateJson({ language, what, data, task, variant, model, max_output_tokens = 6000 }) {
+  return completeJson({
+    task,
+    variant,
+    model,
+    prompt: buildTranslatePrompt({ language, what, data }),
+    max_output_tokens,
+    validate: (x) => validateAligned(x, data),
+    what: `Translated ${what}`,
+  });
+}
 
-Return ONLY a valid JSON object (no markdown fences) with this EXACT structure:
-{
-  "finalTest": {
-    "questions": [
-      {
-        "id": "q1",
-        "question": "string",
-        "options": ["Option A text","Option B text","Option C text","Option D text"],
-        "correctAnswer": 0,
-        "explanation": "string"
-      }
-    ]
-  }
+async function translateQuestions({ questions, language, variant, model }) {
+  const data = { questions: questions.map((q) => textFields(q, QUESTION_TEXT_FIELDS)) };
+  const t = await translateJson({ language, what: "quiz questions", data, task: "translate-questions", variant, model });
+  // take back only the text, whatever else the model returned
+  const merged = questions.map((q, i) => ({ ...q, ...textFields(t.questions[i], QUESTION_TEXT_FIELDS), id: q.id }));
+  const errors = validateQuestions(merged, ["questions"]);
+  if (errors.length) throw schemaError("Translated questions", errors);
+  return merged;
 }
 
-Rules:
-- Create exactly ${quizCount} MCQs covering ALL units and lessons.
-- Questions must test understanding and application, not just recall.
-- correctAnswer is 0-indexed (0=A,1=B,2=C,3=D)
-- IMPORTANT: Distribute correct answers across A/B/C/D (avoid bias).
-- Return ONLY JSON, nothing else.
+async function translateCourse({ course, language, model }) {
+  const head = await translateJson({
+    language,
+    what: "course title and description",
+    data: { courseTitle: course.courseTitle, courseDescription: course.courseDescription || "" },
+    task: "translate-course",
+    model,
+    max_output_tokens: 1000,
+  });
 
-COURSE OUTLINE:
-${JSON.stringify(courseOutline, null, 2)}`;
+  const units = await mapWithConcurrency(course.units, UNIT_CONCURRENCY, async (u) => {
+    const data = {
+      id: u.id,
+      title: u.title,
+      description: u.description || "",
+      lessons: (u.lessons || []).map((l) => ({ ...textFields(l, LESSON_TEXT_FIELDS), keyPoints: l.keyPoints || [] })),
+    };
+    const t = await translateJson({ language, what: "course unit", data, task: "translate-unit", variant: u.id, model, max_output_tokens: 12000 });
+    const unit = {
+      ...u,
+      title: t.title,
+      description: t.description,
+      lessons: (u.lessons || []).map((l, li) => ({ ...l, ...textFields(t.lessons[li], LESSON_TEXT_FIELDS), id: l.id })),
+    };
+    if (u.checkpoint?.questions?.length) {
+      unit.checkpoint = { ...u.checkpoint, questions: await translateQuestions({ questions: u.checkpoint.questions, language, variant: u.id, model }) };
+    }
+    return unit;
+  });
+
+  const questions = course.finalTest?.questions || [];
+  return {
+    ...course,
+    courseTitle: head.courseTitle,
+    courseDescription: head.courseDescription,
+    units,
+    finalTest: { ...course.finalTest, questions: questions.length ? await translateQuestions({ questions, language, variant: "final", model }) : [] },
+  };
 }
 
-function safeParseJson(raw) {
-  // json_object mode should already be valid JSON, but keep a fallback
+app.post("/api/courses/:id/translate", requireAuth, async (req, res) => {
+  const c = findOwnCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
   try {
-    return JSON.parse(raw);
-  } catch {
-    const m = String(raw || "").match(/\{[\s\S]*\}/);
-    if (!m) throw new Error("Model output was not valid JSON.");
-    return JSON.parse(m[0]);
+    const { language: requested, model } = req.body || {};
+    const language = languageName(requested);
+    if (!language) return res.status(400).json({ error: "language is required" });
+
+    const translated = await translateCourse({ course: c, language, model: model || OPENAI_MODEL });
+    const generation = { ...c.generation, settings: { ...normalizeSettings(c.generation?.settings), language } };
+    const copy = insertCourse(req.user.id, { ...translated, generation }, { translationOf: c.id });
+    save();
+    res.status(201).json({ course: publicCourse(copy) });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Translation failed"));
   }
-}
+});
 
-app.post("/api/ai/generate-course", async (req, res) => {
-  try {
-    const { syllabusText, settings, model } = req.body || {};
-    if (!syllabusText || typeof syllabusText !== "string") {
-      return res.status(400).json({ error: "syllabusText (string) is required" });
-    }
+// ---------- Flashcards & reviews ----------
+// "Build flashcards" turns each lesson's key points into question/answer
+// cards (one model call per unit) and adds a card per quiz question; see
+// flashcards.js. Reviews are scheduled per user with SM-2.
 
-    const usedModel = model || OPENAI_MODEL;
-    const trimmed = syllabusText.slice(0, 24000);
+function buildFlashcardsPrompt({ course, unit }) {
+  const lessons = unit.lessons.map((l) => ({ id: l.id, title: l.title, keyPoints: l.keyPoints || [] }));
+  return `You write flashcards for spaced-repetition review of the course "${course.courseTitle}", unit "${unit.title}".
 
-    // Pass 1: course (no quiz)
-    const coursePrompt = buildCourseOnlyPrompt({ syllabusText: trimmed, settings });
-    const d1 = await openaiResponses({
-      model: usedModel,
-      input: [{ role: "user", content: coursePrompt }],
-      max_output_tokens: 12000,
-      json_object: true,
-    });
+Return ONLY a valid JSON object (no markdown fences) with this shape:
+{ "lessons": [ { "id": "lesson id", "cards": [ { "front": "string", "back": "string" } ] } ] }
 
-    const courseObj = safeParseJson(extractText(d1));
+Rules:
+- One entry per lesson below, in the same order and with the same id.
+- Exactly one card per key point, in key-point order.
+- "front" is a short question or prompt that the key point answers; it must not give the answer away.
+- "back" is the answer in one or two sentences, self-contained so it makes sense weeks later.
+- Write in the language of the key points.
+- Return ONLY the JSON, nothing else.
 
-    // Pass 2: quiz only
-    const outlineForQuiz = {
-      courseTitle: courseObj.courseTitle,
-      units: (courseObj.units || []).map((u) => ({
-        id: u.id,
-        title: u.title,
-        lessons: (u.lessons || []).map((l) => ({ id: l.id, title: l.title })),
-      })),
-    };
+LESSONS:
+${JSON.stringify(lessons, null, 2)}`;
+}
 
-    const quizPrompt = buildQuizOnlyPrompt({ courseOutline: outlineForQuiz, settings });
-    const d2 = await openaiResponses({
-      model: usedModel,
-      input: [{ role: "user", content: quizPrompt }],
-      max_output_tokens: 5000,
-      json_object: true,
+async function buildDeck({ course, model }) {
+  const units = course.units.filter((u) => u.lessons?.some((l) => l.keyPoints?.length));
+  const perUnit = await mapWithConcurrency(units, UNIT_CONCURRENCY, async (unit) => {
+    const generated = await completeJson({
+      task: "flashcards",
+      variant: unit.id,
+      model,
+      prompt: buildFlashcardsPrompt({ course, unit }),
+      max_output_tokens: 4000,
+      validate: (x) => validateFlashcards(x, unit.lessons),
+      what: `Flashcards for ${unit.title}`,
     });
+    return keyPointCards(unit, generated);
+  });
+  return [...perUnit.flat(), ...questionCards(course)];
+}
+
+app.post("/api/courses/:id/flashcards", requireAuth, async (req, res) => {
+  const c = findOwnCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  try {
+    const cards = await buildDeck({ course: c, model: req.body?.model || OPENAI_MODEL });
+    const now = new Date().toISOString();
+    Object.assign(c, { flashcards: { cards, createdAt: now }, updatedAt: now });
+    save();
+    res.json({ course: courseForReader(c, req.user.id) });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Could not build flashcards"));
+  }
+});
+
+const REVIEW_LIMIT = 100;
 
-    const quizObj = safeParseJson(extractText(d2));
+function reviewState(r) {
+  return { repetitions: r.repetitions, interval: r.interval, ease: r.ease, due: r.due, lastReviewedAt: r.lastReviewedAt };
+}
 
-    // Merge
-    courseObj.finalTest = quizObj.finalTest;
+// Cards due now across the caller's courses, assigned ones included (or one
+// course with ?courseId=):
+// overdue cards first, then cards never reviewed, in deck order.
+app.get("/api/reviews/due", requireAuth, (req, res) => {
+  const now = Date.now();
+  const courseId = req.query.courseId ? String(req.query.courseId) : null;
+  const limit = Math.min(REVIEW_LIMIT, Math.max(1, Number(req.query.limit) || REVIEW_LIMIT));
+  const states = new Map(
+    collection("cardReviews")
+      .filter((r) => r.userId === req.user.id)
+      .map((r) => [`${r.courseId}/${r.cardId}`, r])
+  );
 
-    res.json({ jsonText: JSON.stringify(courseObj) });
-  } catch (e) {
-    res.status(500).json({ error: e.message || "Course generation failed" });
+  const due = [];
+  const fresh = [];
+  let total = 0;
+  for (const c of readableCourses(req.user.id)) {
+    if (!c.flashcards?.cards?.length) continue;
+    if (courseId && c.id !== courseId) continue;
+    for (const card of c.flashcards.cards) {
+      total++;
+      const r = states.get(`${c.id}/${card.id}`);
+      const item = { courseId: c.id, courseTitle: c.courseTitle, card, review: r ? reviewState(r) : null };
+      if (!r) fresh.push(item);
+      else if (Date.parse(r.due) <= now) due.push(item);
+    }
   }
+  due.sort((a, b) => Date.parse(a.review.due) - Date.parse(b.review.due));
+  res.json({
+    cards: [...due, ...fresh].slice(0, limit),
+    counts: { due: due.length, new: fresh.length, total },
+  });
+});
+
+// { courseId, cardId, grade: 0-5 } -> the card's next review
+app.post("/api/reviews", requireAuth, (req, res) => {
+  const { courseId, cardId, grade } = req.body || {};
+  if (!Number.isInteger(grade) || grade < 0 || grade > MAX_GRADE) {
+    return res.status(400).json({ error: `grade must be an integer from 0 to ${MAX_GRADE}` });
+  }
+  const c = readableCourses(req.user.id).find((x) => x.id === courseId);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  if (!c.flashcards?.cards?.some((card) => card.id === cardId)) return res.status(404).json({ error: "Card not found" });
+
+  const reviews = collection("cardReviews");
+  let r = reviews.find((x) => x.userId === req.user.id && x.courseId === courseId && x.cardId === cardId);
+  if (!r) {
+    r = { userId: req.user.id, courseId, cardId, history: [] };
+    reviews.push(r);
+  }
+  const now = Date.now();
+  Object.assign(r, schedule(r, grade, now), { lastReviewedAt: new Date(now).toISOString() });
+  r.history.push({ at: r.lastReviewedAt, grade, interval: r.interval });
+  save();
+  res.json({ review: reviewState(r) });
 });
 
+// Wrong answers carry the unit and lesson of their question (unitTitle,
+// lessonTitle) when the course has question links; this tallies them.
+function missedByLesson(wrong) {
+  const counts = new Map();
+  for (const w of wrong) {
+    if (!w?.lessonTitle) continue;
+    const k = w.unitTitle ? `${w.unitTitle} › ${w.lessonTitle}` : w.lessonTitle;
+    counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  return [...counts]
+    .sort((a, b) => b[1] - a[1])
+    .map(([k, n]) => `- ${k}: ${n} missed`)
+    .join("\n");
+}
+
 app.post("/api/ai/analyze-test", async (req, res) => {
   try {
-    const { courseTitle, score, wrong, model } = req.body || {};
+    // unitTitle is set for a unit checkpoint; checkpoints lists the unit
+    // checkpoint scores so far ([{ unit, pct }]) so weak units show up early
+    const { courseTitle, unitTitle, score, wrong, checkpoints, model } = req.body || {};
     const usedModel = model || OPENAI_MODEL;
     if (!Array.isArray(wrong)) return res.status(400).json({ error: "wrong must be an array" });
 
-    const prompt = `A student finished "${courseTitle || "a course"}" scoring ${score?.pct ?? "?"}% (${score?.correct ?? "?"}/${score?.total ?? "?"}).
+    const what = unitTitle ? `the checkpoint quiz for unit "${unitTitle}" of "${courseTitle || "a course"}"` : `"${courseTitle || "a course"}"`;
+    const history = Array.isArray(checkpoints) && checkpoints.length
+      ? `\nUnit checkpoint scores so far:\n${checkpoints.map((c) => `- ${c.unit}: ${c.pct}%`).join("\n")}\n`
+      : "";
+    const byLesson = missedByLesson(wrong);
+    const lessons = byLesson ? `\nMissed questions by lesson:\n${byLesson}\n` : "";
+
+    const prompt = `A student finished ${what} scoring ${score?.pct ?? "?"}% (${score?.correct ?? "?"}/${score?.total ?? "?"}).
 Incorrect answers (JSON):
 ${JSON.stringify(wrong, null, 2)}
-
+${history}${lessons}
 Provide:
-1) Main weak areas/topics (bullet list)
+1) Main weak areas/topics${history ? ", naming the weakest units" : ""}${lessons ? " and the lessons to revisit (by title)" : ""} (bullet list)
 2) Specific study recommendations for each weak area (bullet list)
 3) A short encouraging closing message
 
 Be concise and actionable (under 250 words).`;
 
-    const d = await openaiResponses({
+    const text = await llm.complete({
+      task: "analysis",
       model: usedModel,
       input: [{ role: "user", content: prompt }],
       max_output_tokens: 900,
       json_object: false,
     });
 
-    res.json({ text: extractText(d) });
+    res.json({ text });
   } catch (e) {
     res.status(500).json({ error: e.message || "Analysis failed" });
   }
 });
 
-function buildFocusedPrompt({ originalCourse, wrongAnswers, priorAnalysis, sourceText, settings }) {
-  const minWords = settings?.minimumLessonWords ?? 300;
-  const quizCount = settings?.quizCountTarget ?? 18;
+// Short answers with grading "rubric" are judged by the model against the
+// rubric; keyword-graded ones never reach the server.
+function buildGradePrompt({ answers }) {
+  return `You are a fair examiner grading short free-text answers. Judge each student answer against its rubric.
+Accept answers that are correct in substance even when worded differently or with minor spelling mistakes.
+
+Return ONLY a valid JSON object (no markdown fences):
+{ "results": [ { "id": "question id", "correct": true, "feedback": "one or two sentences for the student" } ] }
+
+Answers (JSON):
+${JSON.stringify(answers, null, 2)}
+
+Rules:
+- Exactly one result per answer, with the same id.
+- An empty or off-topic answer is not correct.
+- Return ONLY JSON.`;
+}
+
+// [{ id, question, rubric, sampleAnswer, answer }] -> [{ id, correct, feedback }] in the same order
+async function gradeRubricAnswers(answers, model) {
+  const items = answers.map((a) => ({
+    id: String(a?.id || ""),
+    question: String(a?.question || ""),
+    rubric: String(a?.rubric || ""),
+    sampleAnswer: String(a?.sampleAnswer || ""),
+    answer: String(a?.answer || "").slice(0, 4000),
+  }));
+  const ids = items.map((a) => a.id);
+  if (ids.some((id) => !id) || new Set(ids).size !== ids.length) {
+    throw Object.assign(new Error("every answer needs a unique id"), { status: 400 });
+  }
+
+  const o = await completeJson({
+    task: "grade-answers",
+    model: model || OPENAI_MODEL,
+    prompt: buildGradePrompt({ answers: items }),
+    max_output_tokens: 2000,
+    validate: (x) => validateGrades(x, ids),
+    what: "Grading",
+  });
+  return ids.map((id) => o.results.find((r) => r.id === id));
+}
+
+app.post("/api/ai/grade-answers", async (req, res) => {
+  try {
+    const { answers, model } = req.body || {};
+    if (!Array.isArray(answers) || !answers.length) return res.status(400).json({ error: "answers must be a non-empty array" });
+    res.json({ results: await gradeRubricAnswers(answers, model) });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Grading failed"));
+  }
+});
+
+const FOCUSED_SOURCE_CHARS = 24000;
+
+// The remediation prompt can't take a whole long syllabus, so pick the
+// passages that best match what the student got wrong instead of the first
+// 24k characters.
+function focusedPassages(index, { wrongAnswers, priorAnalysis }) {
+  const query = [JSON.stringify(wrongAnswers), priorAnalysis || ""].join(" ");
+  return fitPassages(searchPassages(index, query, { limit: index.passages.length }), FOCUSED_SOURCE_CHARS);
+}
+
+function buildFocusedPrompt({ originalCourse, wrongAnswers, priorAnalysis, passages, settings }) {
+  const { minimumLessonWords: minWords, quizCountTarget } = normalizeSettings(settings);
+  const q = questionInstructions(settings, quizCountTarget ?? 18);
 
   return `You are an expert tutor and curriculum designer.
 
@@ -291,20 +2497,15 @@ Return ONLY a valid JSON object:
           "id": "u1l1",
           "title": "string",
           "content": "Minimum ${minWords} words. Clear explanations + examples + practice guidance.",
-          "keyPoints": ["string","string","string","string"]
+          "keyPoints": ["string","string","string","string"],
+          "sourcePassages": ["p1"]
         }
       ]
     }
   ],
   "finalTest": {
     "questions": [
-      {
-        "id": "q1",
-        "question": "string",
-        "options": ["Option A","Option B","Option C","Option D"],
-        "correctAnswer": 0,
-        "explanation": "string"
-      }
+${q.formats}
     ]
   }
 }
@@ -316,25 +2517,28 @@ ${JSON.stringify(originalCourse, null, 2)}
 - Student wrong answers:
 ${JSON.stringify(wrongAnswers, null, 2)}
 
+- Lessons of the original course behind those wrong answers:
+${missedByLesson(wrongAnswers) || "(not recorded)"}
+
 - Prior performance analysis:
 ${priorAnalysis || "(none)"}
 
 Rules:
-- Focus heavily on weak areas revealed by wrong answers.
+- Focus heavily on weak areas revealed by wrong answers, starting from the lessons listed above.
 - Include prerequisite refreshers only when needed.
 - Create as many units as needed for remediation (typical 5–10).
 - Each lesson: ${minWords}+ words, worked examples, and common pitfalls.
-- Create ${quizCount} MCQs targeted to weak areas and application.
-- Distribute correct answers across A/B/C/D.
-- Return ONLY JSON.
+- Create ${q.summary} targeted to weak areas and application.
+${q.rules}
+${passages.length ? `${SOURCE_RULE}\n- Each lesson's sourcePassages lists the ids of the source passages it is based on (empty if none).\n` : ""}${settingsRules(settings, "lessons", "questions")}- Return ONLY JSON.
 
-Reference syllabus (optional):
-${(sourceText || "").slice(0, 24000)}`;
+Reference syllabus (optional — the source passages most related to the wrong answers):
+${passages.length ? renderPassages(passages) : "(none)"}`;
 }
 
 app.post("/api/ai/focused-course", async (req, res) => {
   try {
-    const { originalCourse, wrongAnswers, priorAnalysis, sourceText, settings, model } = req.body || {};
+    const { originalCourse, wrongAnswers, priorAnalysis, sourceText, courseId, settings, model } = req.body || {};
     const usedModel = model || OPENAI_MODEL;
 
     if (!originalCourse) return res.status(400).json({ error: "originalCourse is required" });
@@ -342,18 +2546,178 @@ app.post("/api/ai/focused-course", async (req, res) => {
       return res.status(400).json({ error: "wrongAnswers must be a non-empty array" });
     }
 
-    const prompt = buildFocusedPrompt({ originalCourse, wrongAnswers, priorAnalysis, sourceText, settings });
+    // students get assigned courses without the syllabus text (see
+    // courseForReader), so with courseId the stored one is used
+    const user = !sourceText && courseId ? userFromRequest(req) : null;
+    const stored = user ? readableCourses(user.id).find((c) => c.id === courseId)?.sourceText : "";
+    const index = syllabusIndex(sourceText || stored);
+    const passages = focusedPassages(index, { wrongAnswers, priorAnalysis });
+    const prompt = buildFocusedPrompt({ originalCourse, wrongAnswers, priorAnalysis, passages, settings });
 
-    const d = await openaiResponses({
+    const courseObj = await completeJson({
+      task: "focused-course",
       model: usedModel,
-      input: [{ role: "user", content: prompt }],
+      prompt,
       max_output_tokens: 15000,
-      json_object: true,
+      validate: (o) => validateCourse(o, { requireLinks: true }),
+      what: "Focused course",
+    });
+
+    const generation = { model: usedModel, provider: llm.name, settings: normalizeSettings(settings) };
+    let course = normalizeCourse(courseObj);
+    if (index.passages.length) course = groundCourse(index, course, passages);
+    res.json({ jsonText: JSON.stringify({ ...course, generation }) });
+  } catch (e) {
+    res.status(e.status || 500).json(errorBody(e, "Focused course generation failed"));
+  }
+});
+
+// ---------- Lesson tutor ----------
+// A chat beside each lesson. Answers draw on the lesson, the course outline
+// and the syllabus passages that best match the question (retrieval.js), and
+// cite them inline as [lesson:<id>] / [source:<passage id>] for the client
+// to link.
+// One conversation per (user, course, lesson) in "tutorChats":
+//   { userId, courseId, lessonId, messages: [{ role, content, citations?, at }], updatedAt }
+
+const TUTOR_HISTORY = 12; // earlier messages the model sees
+const MAX_TUTOR_MESSAGES = 100; // kept per lesson
+const MAX_TUTOR_QUESTION = 2000;
+const TUTOR_SOURCE_CHARS = 8000;
+const CITATION_RE = /\[(lesson|source):([\w.-]+)\]/g;
+
+function findTutorChat(userId, courseId, lessonId) {
+  return (
+    collection("tutorChats").find((t) => t.userId === userId && t.courseId === courseId && t.lessonId === lessonId) || null
+  );
+}
+
+function findLesson(c, lessonId) {
+  for (const unit of c.units || []) {
+    const lesson = unit.lessons?.find((l) => l.id === lessonId);
+    if (lesson) return { unit, lesson };
+  }
+  return null;
+}
+
+function buildTutorInstructions({ course, unit, lesson, passages }) {
+  const outline = course.units
+    .map((u) => `- ${u.title}\n${(u.lessons || []).map((l) => `  - [lesson:${l.id}] ${l.title}`).join("\n")}`)
+    .join("\n");
+  const source = passages.length ? `\n\nSYLLABUS PASSAGES:\n${renderPassages(passages)}` : "";
+  return `You are a friendly tutor for the course "${course.courseTitle}". The learner is reading the lesson "${lesson.title}" (unit "${unit.title}") and asks you about it.
+
+Rules:
+- Answer from the lesson, the course outline and the syllabus passages below. Explain simply, with an example when it helps, in under 200 words unless asked for more.
+- Cite what you used right after the sentence it supports: [lesson:<lesson id>] for a lesson, [source:<passage id>] for a syllabus passage (e.g. [source:p2]). Only use ids that appear below.
+- If the course material doesn't cover something, say so before answering from general knowledge.
+- If the question has nothing to do with this course's subject, don't answer it: say in one sentence that you can only help with this course and suggest a related question.
+- Answer in the language the learner writes in.
+
+COURSE OUTLINE:
+${outline}
+
+CURRENT LESSON [lesson:${lesson.id}]: ${lesson.title}
+${lesson.content}
+
+Key points:
+${(lesson.keyPoints || []).map((k) => `- ${k}`).join("\n")}${source}`;
+}
+
+// The lessons and passages an answer cites, in order of first mention.
+// Ids the model made up are dropped.
+function tutorCitations(text, course, passages) {
+  const out = [];
+  const seen = new Set();
+  for (const [, type, id] of text.matchAll(CITATION_RE)) {
+    if (seen.has(`${type}:${id}`)) continue;
+    seen.add(`${type}:${id}`);
+    if (type === "lesson") {
+      const hit = findLesson(course, id);
+      if (hit) out.push({ type, id, unitId: hit.unit.id, title: hit.lesson.title });
+    } else {
+      const p = passages.find((x) => x.id === id);
+      if (p) out.push({ type, id, label: p.label, document: p.document });
+    }
+  }
+  return out;
+}
+
+app.get("/api/courses/:id/tutor/:lessonId", requireAuth, (req, res) => {
+  const c = findReadableCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  res.json({ messages: findTutorChat(req.user.id, c.id, req.params.lessonId)?.messages || [] });
+});
+
+app.delete("/api/courses/:id/tutor/:lessonId", requireAuth, (req, res) => {
+  const c = findReadableCourse(req);
+  if (!c) return res.status(404).json({ error: "Course not found" });
+  const chats = collection("tutorChats");
+  const i = chats.findIndex((t) => t.userId === req.user.id && t.courseId === c.id && t.lessonId === req.params.lessonId);
+  if (i !== -1) {
+    chats.splice(i, 1);
+    save();
+  }
+  res.json({ ok: true });
+});
+
+// { courseId, lessonId, message } -> Server-Sent Events:
+//   sources {sources: [{ id, label, document }]} (the passages the model was given),
+//   delta {text}..., done {message} or error {error}
+app.post("/api/ai/tutor", requireAuth, async (req, res) => {
+  const { courseId, lessonId, message, model } = req.body || {};
+  const course = readableCourses(req.user.id).find((c) => c.id === courseId);
+  if (!course) return res.status(404).json({ error: "Course not found" });
+  const at = findLesson(course, lessonId);
+  if (!at) return res.status(404).json({ error: "Lesson not found" });
+  const question = String(message || "").trim();
+  if (!question || question.length > MAX_TUTOR_QUESTION) {
+    return res.status(400).json({ error: `message is required (up to ${MAX_TUTOR_QUESTION} characters)` });
+  }
+
+  const history = (findTutorChat(req.user.id, course.id, lessonId)?.messages || []).slice(-TUTOR_HISTORY);
+  // the lesson's own passages, then the best matches for the question
+  const index = syllabusIndex(course.sourceText);
+  const own = (at.lesson.sourcePassages || []).map((id) => index.byId.get(id)).filter(Boolean);
+  const matches = searchPassages(index, `${at.lesson.title} ${question}`, { limit: LESSON_PASSAGES * 2 });
+  const passages = fitPassages([...new Set([...own, ...matches])], TUTOR_SOURCE_CHARS);
+
+  const abort = new AbortController();
+  res.on("close", () => abort.abort());
+
+  const stream = openEventStream(res);
+  try {
+    stream.send("sources", { sources: passages.map(({ id, label, document }) => ({ id, label, document })) });
+    const answer = await llm.complete({
+      task: "tutor",
+      model: model || OPENAI_MODEL,
+      input: [
+        { role: "system", content: buildTutorInstructions({ course, ...at, passages }) },
+        ...history.map((m) => ({ role: m.role, content: m.content })),
+        { role: "user", content: question },
+      ],
+      max_output_tokens: 1500,
+      json_object: false,
+      signal: abort.signal,
+      onDelta: (text) => stream.send("delta", { text }),
     });
 
-    res.json({ jsonText: extractText(d) });
+    const now = new Date().toISOString();
+    const reply = { role: "assistant", content: answer.trim(), citations: tutorCitations(answer, course, passages), at: now };
+    let chat = findTutorChat(req.user.id, course.id, lessonId);
+    if (!chat) {
+      chat = { userId: req.user.id, courseId: course.id, lessonId, messages: [] };
+      collection("tutorChats").push(chat);
+    }
+    chat.messages.push({ role: "user", content: question, at: now }, reply);
+    if (chat.messages.length > MAX_TUTOR_MESSAGES) chat.messages.splice(0, chat.messages.length - MAX_TUTOR_MESSAGES);
+    chat.updatedAt = now;
+    save();
+    stream.send("done", { message: reply });
   } catch (e) {
-    res.status(500).json({ error: e.message || "Focused course generation failed" });
+    if (!abort.signal.aborted) stream.send("error", errorBody(e, "The tutor could not answer"));
+  } finally {
+    stream.close();
   }
 });
 
@@ -365,6 +2729,11 @@ const frontendDist = path.join(__dirname, "..", "frontend", "dist");
 if (IS_PROD) {
   if (fs.existsSync(frontendDist)) {
     app.use(express.static(frontendDist));
+    // shared course pages are the SPA too; only public ones may be indexed
+    app.get("/share/:token", (req, res, next) => {
+      if (findShare(req.params.token)?.visibility !== "public") res.set("X-Robots-Tag", "noindex");
+      next();
+    });
     app.get("*", (req, res) => {
       // keep /api routes above; this catch-all serves the SPA
       res.sendFile(path.join(frontendDist, "index.html"));
@@ -377,5 +2746,6 @@ if (IS_PROD) {
 app.listen(PORT, () => {
   console.log(`Backend running on http://localhost:${PORT}`);
   console.log(`NODE_ENV=${NODE_ENV}`);
+  console.log(`LLM provider: ${llm.name}`);
   if (!IS_PROD) console.log(`CORS origin(s): ${CORS_ORIGIN}`);
 });
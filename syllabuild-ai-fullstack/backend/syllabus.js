@@ -0,0 +1,163 @@
+// ---------- Syllabus sectioning ----------
+// Long syllabi are cut into labelled sections ("s1", "s2", ...) so that every
+// part of the document reaches the model in some call instead of being
+// truncated. Page markers ("--- Page N ---", emitted by the frontend PDF
+// extractor) become section boundaries and labels when present. A course
+// made from several files has them joined with document markers
+// ("=== Document: notes.pdf ==="); sections never span two documents and
+// their labels name the file.
+
+// Read on each use rather than at import time: server.js loads backend/.env
+// after its imports.
+export const sectionChars = () => Math.max(1000, Number(process.env.SECTION_CHARS || 6000));
+export const chunkChars = () => Math.max(sectionChars(), Number(process.env.CHUNK_CHARS || 20000));
+
+const PAGE_RE = /^--- Page (\d+) ---$/m;
+const DOCUMENT_RE = /^=== Document: (.+?) ===$/m;
+
+// Splits text into pieces of at most `max` chars, preferring paragraph and
+// line boundaries.
+export function hardSplit(text, max) {
+  const out = [];
+  let rest = text;
+  while (rest.length > max) {
+    let cut = rest.lastIndexOf("\n\n", max);
+    if (cut < max / 2) cut = rest.lastIndexOf("\n", max);
+    if (cut < max / 2) cut = rest.lastIndexOf(" ", max);
+    if (cut < max / 2) cut = max;
+    out.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) out.push(rest);
+  return out;
+}
+
+// -> [{ text, page }] in document order
+function splitPages(text) {
+  if (PAGE_RE.test(text)) {
+    const pieces = [];
+    const parts = text.split(/^--- Page (\d+) ---$/m);
+    if (parts[0].trim()) pieces.push({ text: parts[0].trim(), page: null });
+    for (let i = 1; i < parts.length; i += 2) {
+      const page = Number(parts[i]);
+      for (const t of hardSplit(parts[i + 1].trim(), sectionChars())) if (t) pieces.push({ text: t, page });
+    }
+    return pieces;
+  }
+  return text
+    .split(/\n{2,}/)
+    .flatMap((p) => hardSplit(p.trim(), sectionChars()))
+    .filter(Boolean)
+    .map((t) => ({ text: t, page: null }));
+}
+
+// -> [{ text, page, document }]; document is null for text before any marker
+function splitPieces(text) {
+  if (!DOCUMENT_RE.test(text)) return splitPages(text).map((p) => ({ ...p, document: null }));
+  const parts = text.split(new RegExp(DOCUMENT_RE.source, "m"));
+  const pieces = splitPages(parts[0].trim()).map((p) => ({ ...p, document: null }));
+  for (let i = 1; i < parts.length; i += 2) {
+    const document = parts[i].trim();
+    pieces.push(...splitPages(parts[i + 1].trim()).map((p) => ({ ...p, document })));
+  }
+  return pieces;
+}
+
+function pageLabel(first, last) {
+  if (first == null) return "";
+  return first === last ? `Page ${first}` : `Pages ${first}–${last}`;
+}
+
+// -> [{ id, label, text, document, pageStart, pageEnd, pieces }], `pieces`
+// being the section's text as [{ text, page, document }] (see retrieval.js).
+// Page and part numbers count within each document.
+export function splitSyllabus(text) {
+  const pieces = splitPieces(String(text || "").trim());
+  const max = sectionChars();
+  const sections = [];
+  const parts = new Map(); // document -> sections so far
+  let cur = null;
+
+  const flush = () => {
+    if (!cur) return;
+    const n = sections.length + 1;
+    const part = (parts.get(cur.document) || 0) + 1;
+    parts.set(cur.document, part);
+    const label = pageLabel(cur.pageStart, cur.pageEnd) || `Part ${part}`;
+    sections.push({
+      id: `s${n}`,
+      label: cur.document ? `${cur.document} · ${label}` : label,
+      text: cur.parts.map((p) => p.text).join("\n\n"),
+      document: cur.document,
+      pageStart: cur.pageStart,
+      pageEnd: cur.pageEnd,
+      pieces: cur.parts,
+    });
+    cur = null;
+  };
+
+  for (const p of pieces) {
+    if (cur && (cur.document !== p.document || cur.length + p.text.length + 2 > max)) flush();
+    if (!cur) cur = { parts: [], length: 0, document: p.document, pageStart: p.page, pageEnd: p.page };
+    cur.parts.push(p);
+    cur.length += p.text.length + 2;
+    if (p.page != null) {
+      if (cur.pageStart == null) cur.pageStart = p.page;
+      cur.pageEnd = p.page;
+    }
+  }
+  flush();
+  return sections;
+}
+
+// Groups consecutive sections into chunks of at most CHUNK_CHARS for the map step.
+export function groupSections(sections, max = chunkChars()) {
+  const chunks = [];
+  let cur = [];
+  let size = 0;
+  for (const s of sections) {
+    if (cur.length && size + s.text.length > max) {
+      chunks.push(cur);
+      cur = [];
+      size = 0;
+    }
+    cur.push(s);
+    size += s.text.length;
+  }
+  if (cur.length) chunks.push(cur);
+  return chunks;
+}
+
+// Renders sections with visible boundaries the model can cite by id, and a
+// heading wherever a new document starts.
+export function renderSections(sections) {
+  return sections
+    .map((s, i) => {
+      const head = s.document && s.document !== sections[i - 1]?.document ? `==== DOCUMENT: ${s.document} ====\n\n` : "";
+      return `${head}[[SECTION ${s.id} — ${s.label}]]\n${s.text}`;
+    })
+    .join("\n\n");
+}
+
+// Section list without the text, for storing on the course.
+export function sectionIndex(sections) {
+  return sections.map(({ id, label, document, pageStart, pageEnd, text }) => ({
+    id,
+    label,
+    document,
+    pageStart,
+    pageEnd,
+    chars: text.length,
+  }));
+}
+
+const STOP = new Set(
+  "the a an and or of to in on for with by is are was were be as at from that this it its into your you not but can will".split(" ")
+);
+
+// Lower-cased words worth matching on (no stop words or very short ones)
+export const terms = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length > 2 && !STOP.has(w));
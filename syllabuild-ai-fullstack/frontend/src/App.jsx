@@ -1,6 +1,8 @@
 import { useEffect, useRef, useState } from "react";
 import * as mammoth from "mammoth";
 import * as pdfjsLib from "pdfjs-dist";
+import { gradeQuestion, orderingSolution } from "../../backend/grading.js";
+import { resizeMix } from "../../backend/mix.js";
 
 /** PDF.js worker setup */
 try {
@@ -29,8 +31,46 @@ const apiUrl = (path) => `${API_BASE}${path}`;
 const API = {
   OCR_IMAGE: apiUrl("/api/ai/ocr-image"),
   GENERATE_COURSE: apiUrl("/api/ai/generate-course"),
+  GENERATE_COURSE_STREAM: apiUrl("/api/ai/generate-course/stream"),
   ANALYZE_TEST: apiUrl("/api/ai/analyze-test"),
   FOCUSED_COURSE: apiUrl("/api/ai/focused-course"),
+  REGENERATE: apiUrl("/api/ai/regenerate"),
+  GRADE_ANSWERS: apiUrl("/api/ai/grade-answers"),
+  TUTOR: apiUrl("/api/ai/tutor"),
+  DETECT_LANGUAGE: apiUrl("/api/ai/detect-language"),
+  AUTH_SIGNUP: apiUrl("/api/auth/signup"),
+  AUTH_SIGNIN: apiUrl("/api/auth/signin"),
+  AUTH_SIGNOUT: apiUrl("/api/auth/signout"),
+  AUTH_ME: apiUrl("/api/auth/me"),
+  COURSES: apiUrl("/api/courses"),
+  COURSES_IMPORT: apiUrl("/api/courses/import"),
+  COURSES_BUNDLE: apiUrl("/api/courses/bundle"),
+  REVIEWS: apiUrl("/api/reviews"),
+  ANALYTICS: apiUrl("/api/analytics"),
+  CLASSES: apiUrl("/api/classes"),
+  CLASSES_JOIN: apiUrl("/api/classes/join"),
+  reviewsDue: (params) => apiUrl(`/api/reviews/due?${new URLSearchParams(params)}`),
+  course: (id) => apiUrl(`/api/courses/${encodeURIComponent(id)}`),
+  courseBundle: (id) => apiUrl(`/api/courses/${encodeURIComponent(id)}/bundle`),
+  courseTranslate: (id) => apiUrl(`/api/courses/${encodeURIComponent(id)}/translate`),
+  courseFlashcards: (id) => apiUrl(`/api/courses/${encodeURIComponent(id)}/flashcards`),
+  courseProgress: (id) => apiUrl(`/api/courses/${encodeURIComponent(id)}/progress`),
+  courseAttempts: (id) => apiUrl(`/api/courses/${encodeURIComponent(id)}/attempts`),
+  courseAttempt: (id, attemptId) =>
+    apiUrl(`/api/courses/${encodeURIComponent(id)}/attempts/${encodeURIComponent(attemptId)}`),
+  classroom: (id) => apiUrl(`/api/classes/${encodeURIComponent(id)}`),
+  classroomEnrollment: (id) => apiUrl(`/api/classes/${encodeURIComponent(id)}/enrollment`),
+  classroomStudent: (id, userId) =>
+    apiUrl(`/api/classes/${encodeURIComponent(id)}/students/${encodeURIComponent(userId)}`),
+  classroomAssignments: (id) => apiUrl(`/api/classes/${encodeURIComponent(id)}/assignments`),
+  classroomAssignment: (id, assignmentId) =>
+    apiUrl(`/api/classes/${encodeURIComponent(id)}/assignments/${encodeURIComponent(assignmentId)}`),
+  courseTutor: (id, lessonId) => apiUrl(`/api/courses/${encodeURIComponent(id)}/tutor/${encodeURIComponent(lessonId)}`),
+  courseShares: (id) => apiUrl(`/api/courses/${encodeURIComponent(id)}/shares`),
+  courseShare: (id, token) => apiUrl(`/api/courses/${encodeURIComponent(id)}/shares/${encodeURIComponent(token)}`),
+  share: (token) => apiUrl(`/api/share/${encodeURIComponent(token)}`),
+  courseGrade: (id) => apiUrl(`/api/courses/${encodeURIComponent(id)}/grade`),
+  courseExport: (id, params) => apiUrl(`/api/courses/${encodeURIComponent(id)}/export?${new URLSearchParams(params)}`),
 };
 
 const C = {
@@ -137,6 +177,64 @@ const Info = ({ msg }) =>
     </div>
   ) : null;
 
+const ProgressBar = ({ pct }) => (
+  <div style={{ height: "6px", borderRadius: "3px", background: `${C.accent}22`, margin: "0.5rem 0 0.3rem", overflow: "hidden" }}>
+    <div
+      style={{
+        width: `${Math.min(100, Math.max(0, pct))}%`,
+        height: "100%",
+        background: `linear-gradient(90deg,${C.accent},${C.accent2})`,
+        transition: "width 0.3s",
+      }}
+    />
+  </div>
+);
+
+// Final-test scores over time as a small line chart.
+const ScoreTrend = ({ points }) => {
+  const w = 240;
+  const h = 60;
+  const x = (i) => (points.length > 1 ? (i / (points.length - 1)) * (w - 8) + 4 : w / 2);
+  const y = (pct) => h - 4 - (pct / 100) * (h - 8);
+  return (
+    <svg viewBox={`0 0 ${w} ${h}`} style={{ width: "100%", height: `${h}px`, display: "block" }}>
+      <line x1="0" x2={w} y1={y(50)} y2={y(50)} stroke={C.border} strokeDasharray="3 3" />
+      <polyline
+        fill="none"
+        stroke={C.accent}
+        strokeWidth="2"
+        points={points.map((p, i) => `${x(i)},${y(p.pct)}`).join(" ")}
+      />
+      {points.map((p, i) => (
+        <circle key={i} cx={x(i)} cy={y(p.pct)} r="3" fill={C.accent2}>
+          <title>{`${new Date(p.at).toLocaleString()}: ${p.pct}%`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const formatDuration = (ms) => {
+  if (!Number.isFinite(ms)) return "—";
+  const s = Math.round(ms / 1000);
+  return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, "0")}s`;
+};
+
+// <input type="date"> works in local days; a due date is the end of that day.
+const dueDateInput = (iso) => {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+const dueDateIso = (value) => (value ? new Date(`${value}T23:59:59`).toISOString() : null);
+
+// see assignmentStatus in backend/server.js
+const ASSIGNMENT_STATUS = {
+  done: ["✓ Done", C.success],
+  overdue: ["Overdue", C.danger],
+  open: ["Open", C.muted],
+};
+
 const Logo = ({ onClick }) => (
   <span
     style={{
@@ -155,17 +253,116 @@ const Logo = ({ onClick }) => (
   </span>
 );
 
-const postJSON = async (url, body) => {
+// Server errors look like { error, details?: [{ path, message }] }.
+const errorMessage = (d, status) => {
+  const msg = d?.error || d?.message || `Request failed (${status})`;
+  const details = Array.isArray(d?.details) ? d.details : [];
+  if (!details.length) return msg;
+  const shown = details.slice(0, 3).map((x) => `${x.path || "(root)"}: ${x.message}`);
+  return `${msg} ${shown.join("; ")}${details.length > 3 ? ` (+${details.length - 3} more)` : ""}`;
+};
+
+// credentials: "include" so the HTTP-only session cookie rides along
+// (also when VITE_API_BASE_URL points at another origin)
+const sendJSON = async (method, url, body) => {
   const r = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
+    method,
+    credentials: "include",
+    ...(body !== undefined
+      ? { headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) }
+      : {}),
   });
   const d = await r.json().catch(() => ({}));
-  if (!r.ok) throw new Error(d?.error || d?.message || `Request failed (${r.status})`);
+  if (!r.ok) throw new Error(errorMessage(d, r.status));
   return d;
 };
 
+const getJSON = (url) => sendJSON("GET", url);
+
+// Authenticated file download (course exports) through a temporary link.
+const downloadFile = async (url, fallbackName) => {
+  const r = await fetch(url, { credentials: "include" });
+  if (!r.ok) {
+    const d = await r.json().catch(() => ({}));
+    throw new Error(errorMessage(d, r.status));
+  }
+  const name = /filename="([^"]+)"/.exec(r.headers.get("Content-Disposition") || "")?.[1] || fallbackName;
+  const href = URL.createObjectURL(await r.blob());
+  const a = document.createElement("a");
+  a.href = href;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(href);
+};
+const postJSON = (url, body) => sendJSON("POST", url, body);
+
+// POSTs JSON and reads a Server-Sent Events response (EventSource can't POST).
+// Calls onEvent(event, data) per message; resolves with the "done" payload and
+// rejects on an "error" event or if the stream ends without "done".
+const postSSE = async (url, body, onEvent) => {
+  const r = await fetch(url, {
+    method: "POST",
+    credentials: "include",
+    headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+    body: JSON.stringify(body),
+  });
+  if (!r.ok || !r.body) {
+    const d = await r.json().catch(() => ({}));
+    throw new Error(errorMessage(d, r.status));
+  }
+
+  const reader = r.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+
+    let sep;
+    while ((sep = buf.indexOf("\n\n")) !== -1) {
+      const block = buf.slice(0, sep);
+      buf = buf.slice(sep + 2);
+
+      let event = "message";
+      const data = [];
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      }
+      if (!data.length) continue; // heartbeat comment
+
+      const payload = JSON.parse(data.join("\n"));
+      if (event === "error") throw new Error(errorMessage(payload, "stream"));
+      if (event === "done") {
+        reader.cancel().catch(() => {});
+        return payload;
+      }
+      onEvent(event, payload);
+    }
+  }
+  throw new Error("Connection closed before generation finished.");
+};
+
+// Courses used to live in localStorage under sb_courses, keyed by email.
+// Push them to the backend once, then forget them locally.
+const importLegacyCourses = async (email) => {
+  let all;
+  try {
+    all = JSON.parse(localStorage.getItem("sb_courses") || "{}");
+  } catch {
+    all = {};
+  }
+  const mine = Array.isArray(all?.[email]) ? all[email] : [];
+  if (mine.length) await postJSON(API.COURSES_IMPORT, { courses: mine });
+
+  delete all[email];
+  if (Object.keys(all).length) localStorage.setItem("sb_courses", JSON.stringify(all));
+  else localStorage.removeItem("sb_courses");
+};
+
 const toB64 = (f) =>
   new Promise((res, rej) => {
     const r = new FileReader();
@@ -182,14 +379,14 @@ const normalizeText = (s = "") =>
     .replace(/[ \t]{2,}/g, " ")
     .trim();
 
-const parseJSONLoosely = (raw) => {
+// The backend validates (and repairs) model output against the course
+// schema, so anything that isn't clean JSON here is a real error.
+const parseCourseJSON = (raw) => {
   if (!raw || typeof raw !== "string") throw new Error("Empty AI response");
   try {
     return JSON.parse(raw);
   } catch {
-    const m = raw.match(/\{[\s\S]*\}/);
-    if (!m) throw new Error("AI response did not contain valid JSON.");
-    return JSON.parse(m[0]);
+    throw new Error("AI response was not valid JSON.");
   }
 };
 
@@ -217,19 +414,460 @@ const shuffleArray = (arr) => {
   return a;
 };
 
+// ===== Final-test question types (same shapes as backend/schema.js) =====
+const QUESTION_TYPES = {
+  mcq: "Multiple choice",
+  truefalse: "True / false",
+  multiselect: "Multi-select",
+  short: "Short answer",
+  numeric: "Numeric",
+  ordering: "Ordering",
+};
+
+const QUESTION_FIELDS = {
+  mcq: ["options", "correctAnswer"],
+  truefalse: ["answer"],
+  multiselect: ["options", "correctAnswers"],
+  short: ["grading", "keywords", "rubric", "sampleAnswer"],
+  numeric: ["answer", "tolerance", "unit"],
+  ordering: ["items"],
+};
+
+const DEFAULT_QUESTION_MIX = { mcq: 12, truefalse: 3, multiselect: 2, short: 1, numeric: 1, ordering: 1 };
+
+// Create-page generation settings (the backend's normalizeSettings() has the
+// full list and limits). Stored on the course as generation.settings.
+const DEFAULT_GEN_SETTINGS = {
+  audience: "",
+  language: "",
+  unitCount: 0,
+  minimumLessonWords: 450,
+  tone: "",
+  difficulty: "",
+  workedExamples: true,
+  exercises: false,
+};
+
+const GEN_CHOICES = {
+  audience: [
+    ["", "Match the syllabus"],
+    ["beginner", "Beginner"],
+    ["intermediate", "Intermediate"],
+    ["advanced", "Advanced"],
+  ],
+  tone: [
+    ["", "Default"],
+    ["friendly", "Friendly"],
+    ["academic", "Academic"],
+    ["concise", "Concise"],
+  ],
+  difficulty: [
+    ["", "Default"],
+    ["easy", "Easy"],
+    ["medium", "Medium"],
+    ["hard", "Hard"],
+    ["mixed", "Mixed"],
+  ],
+};
+
+const LANGUAGE_SUGGESTIONS = ["English", "Spanish", "French", "German", "Portuguese", "Italian", "Dutch", "Arabic", "Hindi", "Chinese", "Japanese", "Korean"];
+
+const LETTERS = ["A", "B", "C", "D", "E", "F"];
+
+const blankQuestion = (type, base = {}) => ({
+  id: base.id || `q${Date.now()}`,
+  type,
+  ...(base.lessonId ? { unitId: base.unitId, lessonId: base.lessonId } : {}),
+  ...(base.sourcePassages ? { sourcePassages: base.sourcePassages } : {}),
+  question: base.question || "",
+  explanation: base.explanation || "",
+  ...{
+    mcq: { options: ["", "", "", ""], correctAnswer: 0 },
+    truefalse: { answer: true },
+    multiselect: { options: ["", "", "", ""], correctAnswers: [0] },
+    short: { grading: "keywords", keywords: [""], rubric: "", sampleAnswer: "" },
+    numeric: { answer: 0, tolerance: 0, unit: "" },
+    ordering: { items: ["", "", ""] },
+  }[type],
+});
+
+const filled = (v) => typeof v === "string" && v.trim() !== "";
+const isIndex = (v, n) => Number.isInteger(v) && v >= 0 && v < n;
+
+// What is wrong with a question ("has an empty option"), or "" when usable.
+const questionProblem = (q) => {
+  if (!QUESTION_TYPES[q?.type]) return "has an unknown type";
+  if (!filled(q.question)) return "has no text";
+  const opts = Array.isArray(q.options) ? q.options : [];
+  switch (q.type) {
+    case "mcq":
+      if (opts.length !== 4) return "needs exactly 4 options";
+      if (!opts.every(filled)) return "has an empty option";
+      return isIndex(q.correctAnswer, 4) ? "" : "has no correct answer";
+    case "truefalse":
+      return typeof q.answer === "boolean" ? "" : "has no correct answer";
+    case "multiselect":
+      if (opts.length < 3 || opts.length > 6) return "needs 3-6 options";
+      if (!opts.every(filled)) return "has an empty option";
+      return Array.isArray(q.correctAnswers) && q.correctAnswers.length && q.correctAnswers.every((x) => isIndex(x, opts.length))
+        ? ""
+        : "has no correct answers";
+    case "short":
+      if (q.grading === "rubric") return filled(q.rubric) && filled(q.sampleAnswer) ? "" : "needs a rubric and a sample answer";
+      return Array.isArray(q.keywords) && q.keywords.length && q.keywords.every(filled) ? "" : "needs at least one keyword";
+    case "numeric":
+      if (typeof q.answer !== "number" || !Number.isFinite(q.answer)) return "needs a numeric answer";
+      return typeof q.tolerance === "number" && q.tolerance >= 0 ? "" : "needs a tolerance of 0 or more";
+    case "ordering":
+      return Array.isArray(q.items) && q.items.length >= 3 && q.items.length <= 8 && q.items.every(filled) ? "" : "needs 3-8 items";
+    default:
+      return "";
+  }
+};
+
+// MCQ and multi-select options are shuffled client-side so answers are not all A.
 const shuffleQuestionOptions = (q) => {
-  const opts = (q.options || []).slice(0, 4).map((opt, idx) => ({
-    text: opt,
-    correct: idx === q.correctAnswer,
-  }));
-  const shuffled = shuffleArray(opts);
+  if (q.type !== "mcq" && q.type !== "multiselect") return q;
+  const correct = q.type === "mcq" ? [q.correctAnswer] : q.correctAnswers;
+  const shuffled = shuffleArray(q.options.map((text, idx) => ({ text, correct: correct.includes(idx) })));
+  const picks = shuffled.flatMap((x, i) => (x.correct ? [i] : []));
   return {
     ...q,
     options: shuffled.map((x) => x.text),
-    correctAnswer: shuffled.findIndex((x) => x.correct),
+    ...(q.type === "mcq" ? { correctAnswer: picks[0] } : { correctAnswers: picks }),
   };
 };
 
+// Choice-style questions (mcq, truefalse, multiselect) share one renderer.
+const isChoiceQuestion = (q) => q.type === "mcq" || q.type === "truefalse" || q.type === "multiselect";
+const choiceOptions = (q) => (q.type === "truefalse" ? ["True", "False"] : q.options);
+const correctChoices = (q) =>
+  q.type === "truefalse" ? [q.answer ? 0 : 1] : q.type === "multiselect" ? q.correctAnswers : [q.correctAnswer];
+const chosenChoices = (q, a) =>
+  a === undefined ? [] : q.type === "truefalse" ? [a ? 0 : 1] : q.type === "multiselect" ? a : [a];
+
+// Answer shapes: mcq index · truefalse boolean · multiselect [indices] ·
+// short/numeric the typed string · ordering [item indices] in the chosen order.
+const isAnswered = (q, a) => {
+  if (q.type === "multiselect") return Array.isArray(a) && a.length > 0;
+  if (q.type === "short" || q.type === "numeric") return String(a ?? "").trim() !== "";
+  return a !== undefined;
+};
+
+// Shuffled item order for an ordering question, never already solved.
+const shuffledOrder = (n) => {
+  const idx = [...Array(n).keys()];
+  let order = shuffleArray(idx);
+  while (n > 1 && order.every((x, i) => x === i)) order = shuffleArray(idx);
+  return order;
+};
+
+const answerText = (q, a) => {
+  if (!isAnswered(q, a)) return "(not answered)";
+  if (isChoiceQuestion(q)) return chosenChoices(q, a).map((j) => choiceOptions(q)[j]).join("; ");
+  if (q.type === "ordering") return a.map((j) => q.items[j]).join(" → ");
+  if (q.type === "numeric" && q.unit) return `${a} ${q.unit}`;
+  return String(a);
+};
+
+const correctText = (q) => {
+  if (isChoiceQuestion(q)) return correctChoices(q).map((j) => choiceOptions(q)[j]).join("; ");
+  if (q.type === "ordering") return orderingSolution(q).map((j) => q.items[j]).join(" → ");
+  if (q.type === "numeric") return `${q.answer}${q.tolerance ? ` ± ${q.tolerance}` : ""}${q.unit ? ` ${q.unit}` : ""}`;
+  if (q.grading === "rubric") return q.sampleAnswer;
+  return `Mentions: ${q.keywords.join(", ")}`;
+};
+
+// Grades a whole quiz -> [{ ok, feedback }] (see backend/grading.js).
+// Rubric-graded short answers go to the backend in one call; throws when
+// that call fails.
+const gradeAnswers = async (qs, answers) => {
+  const res = qs.map((q, i) => ({ ok: gradeQuestion(q, answers[i]), feedback: "" }));
+  const pending = qs.flatMap((q, i) => (res[i].ok === null ? [i] : []));
+  if (pending.length) {
+    const d = await postJSON(API.GRADE_ANSWERS, {
+      model: AI_MODEL,
+      answers: pending.map((i) => ({
+        id: qs[i].id || String(i),
+        question: qs[i].question,
+        rubric: qs[i].rubric,
+        sampleAnswer: qs[i].sampleAnswer,
+        answer: answers[i],
+      })),
+    });
+    // results come back in the order of `pending`
+    d.results.forEach((r, k) => (res[pending[k]] = { ok: r.correct, feedback: r.feedback }));
+  }
+  return res;
+};
+
+// The course with one quiz's questions replaced: the final test, or the
+// checkpoint of unit `unitId`
+const withQuizQuestions = (c, unitId, questions) =>
+  unitId
+    ? { ...c, units: c.units.map((u) => (u.id === unitId ? { ...u, checkpoint: { ...u.checkpoint, questions } } : u)) }
+    : { ...c, finalTest: { ...c.finalTest, questions } };
+
+// The lesson a question assesses (its unitId/lessonId) as { ui, li, unit, lesson }, or null.
+const questionLesson = (course, q) => {
+  const ui = (course?.units || []).findIndex((u) => u.id === q?.unitId);
+  const li = ui === -1 ? -1 : (course.units[ui].lessons || []).findIndex((l) => l.id === q.lessonId);
+  return li === -1 ? null : { ui, li, unit: course.units[ui], lesson: course.units[ui].lessons[li] };
+};
+
+// Incorrect answers in the shape /api/ai/analyze-test expects.
+const wrongAnswers = (qs, answers, res, course) =>
+  qs.flatMap((q, i) => {
+    if (res[i].ok) return [];
+    const at = questionLesson(course, q);
+    return [
+      {
+        type: q.type,
+        question: q.question,
+        yourAnswer: answerText(q, answers[i]),
+        correctAnswer: correctText(q),
+        explanation: q.explanation || "",
+        ...(at ? { unitId: at.unit.id, lessonId: at.lesson.id, unitTitle: at.unit.title, lessonTitle: at.lesson.title } : {}),
+      },
+    ];
+  });
+
+// Ordering questions start from a shuffled order, which counts as an answer.
+const seedOrdering = (qs, answers) => {
+  const next = { ...answers };
+  qs.forEach((q, i) => {
+    if (q.type === "ordering" && next[i] === undefined) next[i] = shuffledOrder(q.items.length);
+  });
+  return next;
+};
+
+// Index of the first unit still locked behind an unmastered checkpoint
+// (units.length when everything is open).
+const firstLockedUnit = (c) => {
+  const threshold = Number(c?.masteryThreshold) || 0;
+  const units = c?.units || [];
+  if (threshold <= 0) return units.length;
+  const i = units.findIndex((u) => u.checkpoint && (c.checkpointResults?.[u.id]?.best ?? -1) < threshold);
+  return i === -1 ? units.length : i + 1;
+};
+
+// { ui, li } of a stored { unitId, lessonId } position, or null when that
+// lesson is gone or its unit is locked.
+const lessonIndex = (c, position) => {
+  const ui = (c?.units || []).findIndex((u) => u.id === position?.unitId);
+  const li = ui === -1 ? -1 : (c.units[ui].lessons || []).findIndex((l) => l.id === position.lessonId);
+  return li === -1 || ui >= firstLockedUnit(c) ? null : { ui, li };
+};
+
+// The { unitId, lessonId } position of a lesson known only by id
+const lessonPosition = (c, lessonId) => {
+  const u = (c?.units || []).find((x) => x.lessons?.some((l) => l.id === lessonId));
+  return u ? { unitId: u.id, lessonId } : null;
+};
+
+// Tutor answers cite [lesson:<id>] and [source:<section id>]; see backend "Lesson tutor".
+const TUTOR_CITATION_RE = /\[(lesson|source):([\w.-]+)\]/g;
+
+// Checkpoint scores so far, for weak-unit detection in the analysis.
+const checkpointHistory = (c) =>
+  (c?.units || []).flatMap((u) => {
+    const r = c.checkpointResults?.[u.id];
+    return r ? [{ unit: u.title, pct: r.pct }] : [];
+  });
+
+// Answer input for one question; `value` has the answer shape described above.
+const QuestionInput = ({ q, value, onChange }) => (
+  <>
+    {q.type === "multiselect" && (
+      <p style={{ color: C.muted, fontSize: "0.8rem", marginTop: "-0.6rem", marginBottom: "0.75rem" }}>Select all that apply.</p>
+    )}
+    {isChoiceQuestion(q) && (
+      <div style={{ display: "flex", flexDirection: "column", gap: "0.5rem" }}>
+        {choiceOptions(q).map((opt, j) => {
+          const picked = chosenChoices(q, value).includes(j);
+          const pick = () => {
+            if (q.type === "truefalse") return onChange(j === 0);
+            if (q.type === "mcq") return onChange(j);
+            const cur = value || [];
+            onChange(cur.includes(j) ? cur.filter((x) => x !== j) : [...cur, j]);
+          };
+          return (
+            <div
+              key={j}
+              onClick={pick}
+              style={{
+                padding: "0.7rem 1rem",
+                borderRadius: "8px",
+                cursor: "pointer",
+                border: `1px solid ${picked ? C.accent : C.border}`,
+                background: picked ? `${C.accent}18` : C.surf2,
+                color: picked ? C.accent : C.text,
+                transition: "all 0.12s",
+                fontSize: "0.92rem",
+              }}
+            >
+              {q.type !== "truefalse" && (
+                <span style={{ fontWeight: 700, marginRight: "0.75rem" }}>
+                  {q.type === "multiselect" ? (picked ? "☑" : "☐") : `${LETTERS[j]}.`}
+                </span>
+              )}
+              {opt}
+            </div>
+          );
+        })}
+      </div>
+    )}
+    {q.type === "short" && (
+      <textarea
+        style={{ ...inp, background: C.surf2, minHeight: "90px", fontFamily: "inherit" }}
+        placeholder="Type your answer..."
+        value={value || ""}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    )}
+    {q.type === "numeric" && (
+      <div style={{ display: "flex", gap: "0.6rem", alignItems: "center" }}>
+        <input
+          style={{ ...inp, background: C.surf2, maxWidth: "220px" }}
+          inputMode="decimal"
+          placeholder="Your answer"
+          value={value || ""}
+          onChange={(e) => onChange(e.target.value)}
+        />
+        {q.unit && <span style={{ color: C.muted }}>{q.unit}</span>}
+      </div>
+    )}
+    {q.type === "ordering" && (
+      <div style={{ display: "flex", flexDirection: "column", gap: "0.4rem" }}>
+        {(value || []).map((item, pos, order) => {
+          const move = (d) => {
+            const o = [...value];
+            [o[pos], o[pos + d]] = [o[pos + d], o[pos]];
+            onChange(o);
+          };
+          return (
+            <div
+              key={item}
+              style={{ display: "flex", alignItems: "center", gap: "0.6rem", padding: "0.55rem 0.8rem", borderRadius: "8px", border: `1px solid ${C.border}`, background: C.surf2, fontSize: "0.92rem" }}
+            >
+              <span style={{ fontWeight: 700, color: C.muted, width: "1.4rem" }}>{pos + 1}.</span>
+              <span style={{ flex: 1 }}>{q.items[item]}</span>
+              <button onClick={() => move(-1)} disabled={pos === 0} style={{ background: "transparent", border: "none", color: C.text, cursor: "pointer", opacity: pos === 0 ? 0.3 : 1 }}>
+                ↑
+              </button>
+              <button
+                onClick={() => move(1)}
+                disabled={pos === order.length - 1}
+                style={{ background: "transparent", border: "none", color: C.text, cursor: "pointer", opacity: pos === order.length - 1 ? 0.3 : 1 }}
+              >
+                ↓
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    )}
+  </>
+);
+
+// One answered question after grading: what was picked, what was right, and why.
+// lesson: title of the lesson the question assesses; onReviewLesson opens it
+// source: where in the syllabus the answer comes from ("your syllabus, page 4")
+const QuestionReview = ({ q, n, value, result, last, lesson, onReviewLesson, source }) => {
+  const { ok, feedback } = result || {};
+  const chosen = isChoiceQuestion(q) ? chosenChoices(q, value) : [];
+  const right = isChoiceQuestion(q) ? correctChoices(q) : [];
+  return (
+    <div
+      style={{
+        marginBottom: "1.5rem",
+        paddingBottom: "1.5rem",
+        borderBottom: last ? "none" : `1px solid ${C.border}`,
+      }}
+    >
+      <div style={{ display: "flex", gap: "0.75rem", marginBottom: "0.75rem", alignItems: "flex-start" }}>
+        <span style={{ color: ok ? C.success : C.danger, fontWeight: 800, fontSize: "1.1rem" }}>
+          {ok ? "✓" : "✗"}
+        </span>
+        <span style={{ fontWeight: 600, fontSize: "0.93rem" }}>
+          Q{n}. {q.question}
+        </span>
+      </div>
+
+      {isChoiceQuestion(q) ? (
+        choiceOptions(q).map((opt, j) => {
+          const isRight = right.includes(j);
+          const isWrongPick = chosen.includes(j) && !isRight;
+          return (
+            <div
+              key={j}
+              style={{
+                padding: "0.45rem 0.9rem",
+                borderRadius: "6px",
+                marginBottom: "0.3rem",
+                fontSize: "0.87rem",
+                background: isRight ? "#22c55e18" : isWrongPick ? "#ef444418" : "transparent",
+                color: isRight ? C.success : isWrongPick ? C.danger : C.muted,
+                border: `1px solid ${isRight ? "#22c55e35" : isWrongPick ? "#ef444435" : "transparent"}`,
+              }}
+            >
+              {q.type === "truefalse" ? opt : `${LETTERS[j]}. ${opt}`}
+              {q.type === "multiselect" && chosen.includes(j) && <span style={{ opacity: 0.8 }}> · your pick</span>}
+            </div>
+          );
+        })
+      ) : (
+        <div style={{ fontSize: "0.87rem", lineHeight: 1.7, paddingLeft: "0.5rem" }}>
+          <div style={{ color: ok ? C.success : C.danger }}>
+            Your answer: <span style={{ whiteSpace: "pre-wrap" }}>{answerText(q, value)}</span>
+          </div>
+          {!ok && (
+            <div style={{ color: C.success }}>
+              {q.grading === "rubric" ? "Sample answer" : "Correct answer"}: {correctText(q)}
+            </div>
+          )}
+        </div>
+      )}
+
+      {feedback && (
+        <p style={{ color: C.text, fontSize: "0.82rem", marginTop: "0.5rem", paddingLeft: "0.5rem" }}>🧑‍🏫 {feedback}</p>
+      )}
+      {!ok && q.explanation && (
+        <p style={{ color: C.muted, fontSize: "0.8rem", marginTop: "0.5rem", fontStyle: "italic", paddingLeft: "0.5rem" }}>
+          💡 {q.explanation}
+        </p>
+      )}
+      {!ok && source && (
+        <p style={{ color: C.muted, fontSize: "0.8rem", marginTop: "0.5rem", paddingLeft: "0.5rem" }}>📄 From {source}</p>
+      )}
+      {!ok && lesson && onReviewLesson && (
+        <span
+          onClick={onReviewLesson}
+          style={{ display: "inline-block", color: C.accent, cursor: "pointer", fontSize: "0.8rem", marginTop: "0.5rem", paddingLeft: "0.5rem" }}
+        >
+          📖 Review this lesson: {lesson}
+        </span>
+      )}
+    </div>
+  );
+};
+
+// Checks and tidies a list of model questions; `label` names them in errors.
+const normalizeQuestionList = (questions, label) =>
+  questions
+    .map((raw, i) => {
+      const q = { ...raw, type: raw?.type || "mcq" };
+      const problem = questionProblem(q);
+      if (problem) throw new Error(`${label} ${i + 1} is malformed (${problem}).`);
+      const kept = { id: q.id || `q${i + 1}`, type: q.type, question: q.question };
+      if (q.lessonId) Object.assign(kept, { unitId: q.unitId, lessonId: q.lessonId });
+      for (const f of QUESTION_FIELDS[q.type]) if (q[f] !== undefined) kept[f] = q[f];
+      kept.explanation = q.explanation || "";
+      if (Array.isArray(q.sourcePassages)) kept.sourcePassages = q.sourcePassages;
+      return kept;
+    })
+    .map(shuffleQuestionOptions);
+
 const normalizeCourseJSON = (parsed) => {
   const out = { ...parsed };
   out.courseTitle = out.courseTitle || "Untitled Course";
@@ -241,6 +879,7 @@ const normalizeCourseJSON = (parsed) => {
     id: u?.id || `u${ui + 1}`,
     title: u?.title || `Unit ${ui + 1}`,
     description: u?.description || "",
+    sourceSections: Array.isArray(u?.sourceSections) ? u.sourceSections : [],
     lessons: Array.isArray(u?.lessons)
       ? u.lessons.map((l, li) => ({
           id: l?.id || `u${ui + 1}l${li + 1}`,
@@ -249,58 +888,70 @@ const normalizeCourseJSON = (parsed) => {
           keyPoints: Array.isArray(l?.keyPoints)
             ? l.keyPoints.filter(Boolean).slice(0, 10)
             : [],
+          ...(Array.isArray(l?.sourcePassages) ? { sourcePassages: l.sourcePassages } : {}),
         }))
       : [],
   }));
 
-  out.finalTest = out.finalTest || {};
-  out.finalTest.questions = Array.isArray(out.finalTest.questions)
-    ? out.finalTest.questions
-        .map((q, i) => ({
-          id: q?.id || `q${i + 1}`,
-          question: q?.question || `Question ${i + 1}`,
-          options:
-            Array.isArray(q?.options) && q.options.length >= 4
-              ? q.options.slice(0, 4)
-              : ["Option A", "Option B", "Option C", "Option D"],
-          correctAnswer:
-            Number.isInteger(q?.correctAnswer) && q.correctAnswer >= 0 && q.correctAnswer <= 3
-              ? q.correctAnswer
-              : 0,
-          explanation: q?.explanation || "",
-        }))
-        .map(shuffleQuestionOptions)
-    : [];
+  // never invent placeholder questions — a broken test is an error
+  const questions = out.finalTest?.questions;
+  if (!Array.isArray(questions) || !questions.length) throw new Error("Course has no final test questions.");
+  out.finalTest = { ...out.finalTest, questions: normalizeQuestionList(questions, "Final test question") };
+  out.units.forEach((u, ui) => {
+    const cp = parsed.units[ui]?.checkpoint?.questions;
+    if (Array.isArray(cp) && cp.length) u.checkpoint = { questions: normalizeQuestionList(cp, `Unit ${ui + 1} checkpoint question`) };
+  });
 
   return out;
 };
 
+// Courses saved before question types existed hold untyped MCQs.
+const withQuestionTypes = (c) =>
+  c?.finalTest?.questions
+    ? { ...c, finalTest: { ...c.finalTest, questions: c.finalTest.questions.map((q) => (q.type ? q : { ...q, type: "mcq" })) } }
+    : c;
+
+// "Pages 1–3, Pages 4–6" for a unit's sourceSections ids
+const sourceLabels = (course, ids) => {
+  const byId = Object.fromEntries((course?.sourceSections || []).map((s) => [s.id, s.label]));
+  return (ids || []).map((id) => byId[id] || id).join(", ");
+};
+
+// Where a lesson's or question's sourcePassages come from: "your syllabus,
+// page 4", "notes.pdf, pages 2, 5; slides.pdf, passage 3" ("" when the
+// course has no passage list)
+const passageLabels = (course, ids) => {
+  const byId = Object.fromEntries((course?.sourcePassages || []).map((p) => [p.id, p]));
+  const byDoc = new Map();
+  for (const p of (ids || []).map((id) => byId[id]).filter(Boolean)) {
+    const doc = p.document || "your syllabus";
+    byDoc.set(doc, [...(byDoc.get(doc) || []), p]);
+  }
+  return [...byDoc]
+    .map(([doc, found]) => {
+      const pages = [...new Set(found.filter((p) => p.page != null).map((p) => p.page))].sort((a, b) => a - b);
+      const parts = pages.length ? [`${pages.length > 1 ? "pages" : "page"} ${pages.join(", ")}`] : [];
+      for (const p of found) if (p.page == null) parts.push(p.label.toLowerCase());
+      return `${doc}, ${parts.join(", ")}`;
+    })
+    .join("; ");
+};
+
 const extractDocxTextLocal = async (file) => {
   const buf = await file.arrayBuffer();
   const res = await mammoth.extractRawText({ arrayBuffer: buf });
   return normalizeText(res.value || "");
 };
 
-const extractPdfTextLocal = async (file) => {
-  const ab = await file.arrayBuffer();
-  const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(ab) });
-  const pdf = await loadingTask.promise;
+// ---------- OCR via the backend ----------
+// Extractors take an optional onProgress(message) for the upload list.
 
-  let pages = [];
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-    const page = await pdf.getPage(pageNum);
-    const tc = await page.getTextContent();
-    const pageText = (tc.items || [])
-      .map((it) => (typeof it?.str === "string" ? it.str : ""))
-      .join(" ");
-    pages.push(`--- Page ${pageNum} ---\n${normalizeText(pageText)}`);
-  }
-  return normalizeText(pages.join("\n\n"));
-};
+const OCR_CONCURRENCY = 3; // page images sent to the OCR route at once
+const OCR_MIN_PAGE_CHARS = 20; // a PDF page with less text than this is treated as scanned
+const OCR_MAX_SIDE = 2000; // px; larger page images are scaled down before upload
+const OCR_MAX_PAGES = 40; // more pages than this to OCR in one file needs a confirmation
 
-const extractImageTextViaBackend = async (file) => {
-  const b64 = await toB64(file);
-  const dataUrl = `data:${file.type};base64,${b64}`;
+const ocrDataUrl = async (dataUrl) => {
   const d = await postJSON(API.OCR_IMAGE, {
     model: AI_VISION_MODEL,
     imageDataUrl: dataUrl,
@@ -310,44 +961,455 @@ const extractImageTextViaBackend = async (file) => {
   return normalizeText(d.text || "");
 };
 
-export default function App() {
-  const [page, setPage] = useState("home");
-  const [theme, setTheme] = useState(() => localStorage.getItem("sb_theme") || "dark");
-
-  // simple local persistence
-  const [users, setUsers] = useState(() => {
-    try {
-      return JSON.parse(localStorage.getItem("sb_users") || "[]");
-    } catch {
-      return [];
+// fn over every item with at most `limit` calls running at once; results in
+// the order of `items`
+const mapLimit = async (items, limit, fn) => {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+};
+
+// OCRs each item, `toDataUrl(item)` turning it into an image first (lazily,
+// so only OCR_CONCURRENCY page images are held at a time). Each page is one
+// OCR call, so over OCR_MAX_PAGES the user is asked first.
+// -> texts in the order of `items`
+const ocrPages = async (items, toDataUrl, onProgress) => {
+  if (
+    items.length > OCR_MAX_PAGES &&
+    !window.confirm(`${items.length} pages of this file need OCR, one request per page, which can take several minutes. Read them all?`)
+  ) {
+    throw new Error(`${items.length} pages need OCR; split the file into smaller parts or confirm to read them all.`);
+  }
+  let done = 0;
+  onProgress(`Reading text with OCR: 0 of ${items.length} pages...`);
+  return mapLimit(items, OCR_CONCURRENCY, async (item) => {
+    const text = await ocrDataUrl(await toDataUrl(item));
+    onProgress(`Reading text with OCR: ${++done} of ${items.length} pages...`);
+    return text;
   });
-  const [user, setUser] = useState(() => {
-    try {
-      return JSON.parse(localStorage.getItem("sb_user") || "null");
-    } catch {
-      return null;
+};
+
+// JPEG data URL of an image source (canvas, ImageBitmap, ...) scaled to fit OCR_MAX_SIDE
+const imageDataUrl = (source, width, height) => {
+  const scale = Math.min(1, OCR_MAX_SIDE / Math.max(width, height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", 0.85);
+};
+
+const withPageMarkers = (texts) => normalizeText(texts.map((t, i) => `--- Page ${i + 1} ---\n${t}`).join("\n\n"));
+
+// Text layer of every page; pages without one (scans) are rendered with
+// PDF.js and OCRed on the backend, then put back in page order.
+const extractPdfTextLocal = async (file, onProgress = () => {}) => {
+  const ab = await file.arrayBuffer();
+  const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(ab) });
+  const pdf = await loadingTask.promise;
+
+  try {
+    const pages = [];
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const tc = await page.getTextContent();
+      const pageText = (tc.items || [])
+        .map((it) => (typeof it?.str === "string" ? it.str : ""))
+        .join(" ");
+      pages.push(normalizeText(pageText));
     }
-  });
-  const [allCourses, setAllCourses] = useState(() => {
-    try {
-      return JSON.parse(localStorage.getItem("sb_courses") || "{}");
-    } catch {
-      return {};
+
+    const scanned = pages.map((t, i) => i).filter((i) => pages[i].replace(/\s/g, "").length < OCR_MIN_PAGE_CHARS);
+    if (scanned.length) {
+      const texts = await ocrPages(
+        scanned,
+        async (i) => {
+          const page = await pdf.getPage(i + 1);
+          const base = page.getViewport({ scale: 1 });
+          const viewport = page.getViewport({ scale: Math.min(3, OCR_MAX_SIDE / Math.max(base.width, base.height)) });
+          const canvas = document.createElement("canvas");
+          canvas.width = Math.ceil(viewport.width);
+          canvas.height = Math.ceil(viewport.height);
+          await page.render({ canvas, viewport }).promise;
+          page.cleanup();
+          return canvas.toDataURL("image/jpeg", 0.85);
+        },
+        onProgress
+      );
+      scanned.forEach((i, k) => {
+        if (texts[k].length > pages[i].length) pages[i] = texts[k];
+      });
     }
-  });
+    return withPageMarkers(pages);
+  } finally {
+    await pdf.destroy();
+  }
+};
 
-  useEffect(() => {
-    localStorage.setItem("sb_users", JSON.stringify(users));
-  }, [users]);
+const extractImageTextViaBackend = async (file) => {
+  const b64 = await toB64(file);
+  return ocrDataUrl(`data:${file.type};base64,${b64}`);
+};
+
+// Every page of a (multi-page) TIFF, decoded with UTIF and OCRed on the backend
+const extractTiffTextViaBackend = async (file, onProgress = () => {}) => {
+  const { default: UTIF } = await import("utif");
+  const buf = await file.arrayBuffer();
+  // NewSubfileType bit 0 marks reduced-size previews of another page
+  const ifds = UTIF.decode(buf).filter((ifd) => ifd.t256 && !(ifd.t254?.[0] & 1));
+  if (!ifds.length) throw new Error("No images found in the TIFF file.");
+  const texts = await ocrPages(
+    ifds,
+    (ifd) => {
+      UTIF.decodeImage(buf, ifd);
+      const canvas = document.createElement("canvas");
+      canvas.width = ifd.width;
+      canvas.height = ifd.height;
+      canvas.getContext("2d").putImageData(new ImageData(new Uint8ClampedArray(UTIF.toRGBA8(ifd).buffer), ifd.width, ifd.height), 0, 0);
+      ifd.data = null;
+      return imageDataUrl(canvas, ifd.width, ifd.height);
+    },
+    onProgress
+  );
+  return texts.length > 1 ? withPageMarkers(texts) : texts[0];
+};
+
+// HEIC/HEIF (iPhone photos), converted to JPEG in the browser; files holding
+// several images are read like pages.
+const extractHeicTextViaBackend = async (file, onProgress = () => {}) => {
+  const { default: heic2any } = await import("heic2any");
+  const out = await heic2any({ blob: file, toType: "image/jpeg", quality: 0.9, multiple: true });
+  const images = Array.isArray(out) ? out : [out];
+  const texts = await ocrPages(
+    images,
+    async (blob) => {
+      const bmp = await createImageBitmap(blob);
+      const url = imageDataUrl(bmp, bmp.width, bmp.height);
+      bmp.close();
+      return url;
+    },
+    onProgress
+  );
+  return texts.length > 1 ? withPageMarkers(texts) : texts[0];
+};
+
+// ---------- More local extractors: PPTX, TXT, Markdown, HTML, EPUB, RTF ----------
+
+// Minimal zip reader for PPTX and EPUB (both are zip archives): stored or
+// deflated entries, inflated with the browser's DecompressionStream.
+// -> { names, text(name) -> Promise<string | null> }
+const readZip = async (file) => {
+  const buf = new Uint8Array(await file.arrayBuffer());
+  const dv = new DataView(buf.buffer);
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (dv.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error("Not a valid zip archive.");
+
+  const utf8 = new TextDecoder();
+  const entries = new Map();
+  let p = dv.getUint32(end + 16, true);
+  for (let n = dv.getUint16(end + 10, true); n > 0; n--) {
+    if (dv.getUint32(p, true) !== 0x02014b50) throw new Error("Damaged zip archive.");
+    const nameLen = dv.getUint16(p + 28, true);
+    entries.set(utf8.decode(buf.subarray(p + 46, p + 46 + nameLen)), {
+      method: dv.getUint16(p + 10, true),
+      size: dv.getUint32(p + 20, true),
+      offset: dv.getUint32(p + 42, true),
+    });
+    p += 46 + nameLen + dv.getUint16(p + 30, true) + dv.getUint16(p + 32, true);
+  }
+
+  return {
+    names: [...entries.keys()],
+    text: async (name) => {
+      const e = entries.get(name);
+      if (!e) return null;
+      const start = e.offset + 30 + dv.getUint16(e.offset + 26, true) + dv.getUint16(e.offset + 28, true);
+      const data = buf.subarray(start, start + e.size);
+      if (e.method === 0) return utf8.decode(data);
+      if (e.method !== 8) throw new Error(`Unsupported zip compression in ${name}.`);
+      return new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"))).text();
+    },
+  };
+};
+
+// "ppt/slides/slide1.xml" + "../media/x.png" -> "ppt/media/x.png"
+const zipPath = (from, target) => {
+  if (target.startsWith("/")) return target.slice(1);
+  const parts = from.split("/").slice(0, -1);
+  for (const seg of decodeURIComponent(target).split("/")) {
+    if (seg === "..") parts.pop();
+    else if (seg && seg !== ".") parts.push(seg);
+  }
+  return parts.join("/");
+};
+
+const parseXml = (xml) => new DOMParser().parseFromString(xml, "application/xml");
+
+// { rId: absolute path } from a .rels part (and its relationship types)
+const readRels = async (zip, part) => {
+  const relsName = zipPath(part, `_rels/${part.split("/").pop()}.rels`);
+  const xml = await zip.text(relsName);
+  const out = {};
+  if (!xml) return out;
+  for (const r of parseXml(xml).getElementsByTagName("Relationship")) {
+    out[r.getAttribute("Id")] = { path: zipPath(part, r.getAttribute("Target")), type: r.getAttribute("Type") || "" };
+  }
+  return out;
+};
+
+const DRAWING_NS = "http://schemas.openxmlformats.org/drawingml/2006/main";
+
+// The text paragraphs (<a:p>) under a node, one line each
+const drawingParagraphs = (node) =>
+  [...node.getElementsByTagNameNS(DRAWING_NS, "p")]
+    .map((p) => [...p.getElementsByTagNameNS(DRAWING_NS, "t")].map((t) => t.textContent).join(""))
+    .filter((t) => t.trim());
+
+// Slides in presentation order, each under a page marker (slide n = page n)
+// so citations can name it; speaker notes follow the slide text.
+const extractPptxTextLocal = async (file) => {
+  const zip = await readZip(file);
+  const pres = await zip.text("ppt/presentation.xml");
+  if (!pres) throw new Error("Not a PowerPoint presentation.");
+  const rels = await readRels(zip, "ppt/presentation.xml");
+  const slides = [...parseXml(pres).getElementsByTagNameNS("*", "sldId")]
+    .map((el) => rels[el.getAttributeNS("http://schemas.openxmlformats.org/officeDocument/2006/relationships", "id")]?.path)
+    .filter(Boolean);
+
+  const pages = [];
+  for (const [i, slide] of slides.entries()) {
+    const xml = await zip.text(slide);
+    if (!xml) continue;
+    const lines = drawingParagraphs(parseXml(xml));
+    const notesPart = Object.values(await readRels(zip, slide)).find((r) => r.type.endsWith("/notesSlide"))?.path;
+    const notesXml = notesPart && (await zip.text(notesPart));
+    if (notesXml) {
+      // only the notes body, not the slide-number or slide-image placeholders
+      const body = [...parseXml(notesXml).getElementsByTagNameNS("*", "sp")].filter(
+        (sp) => [...sp.getElementsByTagNameNS("*", "ph")].some((ph) => ph.getAttribute("type") === "body")
+      );
+      const notes = body.flatMap(drawingParagraphs);
+      if (notes.length) lines.push("", `Notes: ${notes.join("\n")}`);
+    }
+    pages.push(`--- Page ${i + 1} ---\n${lines.join("\n")}`);
+  }
+  return normalizeText(pages.join("\n\n"));
+};
+
+const BLOCK_TAGS = new Set(
+  "ADDRESS ARTICLE ASIDE BLOCKQUOTE BR DD DIV DL DT FIGCAPTION FIGURE FOOTER H1 H2 H3 H4 H5 H6 HEADER HR LI MAIN OL P PRE SECTION TABLE TR UL".split(" ")
+);
+
+// Visible text of an HTML (or XHTML) page, one line per block element
+const htmlToText = (html) => {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  doc.querySelectorAll("script, style, noscript, template, svg, head").forEach((n) => n.remove());
+  const out = [];
+  const walk = (n) => {
+    if (n.nodeType === Node.TEXT_NODE) out.push(n.nodeValue.replace(/\s+/g, " "));
+    if (n.nodeType !== Node.ELEMENT_NODE) return;
+    const block = BLOCK_TAGS.has(n.tagName.toUpperCase());
+    if (block) out.push("\n");
+    n.childNodes.forEach(walk);
+    if (block) out.push("\n");
+    else if (/^T[DH]$/i.test(n.tagName)) out.push(" ");
+  };
+  if (doc.body) walk(doc.body);
+  return out
+    .join("")
+    .split("\n")
+    .map((l) => l.trim())
+    .join("\n");
+};
+
+const extractHtmlTextLocal = async (file) => normalizeText(htmlToText(await file.text()));
+
+const extractPlainTextLocal = async (file) => normalizeText(await file.text());
+
+// Markdown without its markup: headings, emphasis, links and images become
+// plain text; code stays as it is.
+const extractMarkdownTextLocal = async (file) =>
+  normalizeText(
+    (await file.text())
+      .replace(/^```.*$/gm, "")
+      .replace(/^\s{0,3}#{1,6}\s+/gm, "")
+      .replace(/^\s{0,3}>\s?/gm, "")
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+      .replace(/(\*\*|__)(.+?)\1/g, "$2")
+      .replace(/(^|\W)[*_]([^*_\n]+)[*_](?=\W|$)/g, "$1$2")
+      .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, "")
+      .replace(/<[^>\n]+>/g, "")
+  );
+
+// Chapters in reading order (the OPF spine)
+const extractEpubTextLocal = async (file) => {
+  const zip = await readZip(file);
+  const container = await zip.text("META-INF/container.xml");
+  const opfPath = container && parseXml(container).getElementsByTagNameNS("*", "rootfile")[0]?.getAttribute("full-path");
+  const opfXml = opfPath && (await zip.text(opfPath));
+  if (!opfXml) throw new Error("Not an EPUB book.");
+  const opf = parseXml(opfXml);
+  const hrefs = Object.fromEntries(
+    [...opf.getElementsByTagNameNS("*", "item")].map((it) => [it.getAttribute("id"), zipPath(opfPath, it.getAttribute("href") || "")])
+  );
+  const chapters = [];
+  for (const ref of opf.getElementsByTagNameNS("*", "itemref")) {
+    const html = await zip.text(hrefs[ref.getAttribute("idref")]);
+    if (html) chapters.push(htmlToText(html));
+  }
+  return normalizeText(chapters.join("\n\n"));
+};
+
+// RTF groups that hold no body text (font and colour tables, metadata, pictures)
+const RTF_SKIP = new Set("fonttbl colortbl stylesheet info pict header footer headerl headerr footerl footerr listtable listoverridetable themedata colorschememapping datastore latentstyles xmlnstbl rsidtbl generator".split(" "));
+
+// Plain text of an RTF document: paragraphs and line breaks kept, \'hh and
+// \uN escapes decoded (as Windows-1252 and Unicode), formatting dropped.
+const extractRtfTextLocal = async (file) => {
+  const rtf = await file.text();
+  if (!rtf.startsWith("{\\rtf")) throw new Error("Not an RTF document.");
+  const cp1252 = new TextDecoder("windows-1252");
+  const out = [];
+  const stack = [];
+  let skip = false;
+  let ucSkip = 1; // characters after a \uN that stand in for it
+  let pendingSkip = 0;
+  for (let i = 0; i < rtf.length; ) {
+    const c = rtf[i];
+    if (c === "{") {
+      stack.push({ skip, ucSkip });
+      i++;
+    } else if (c === "}") {
+      ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 });
+      i++;
+    } else if (c === "\\") {
+      const m = /^\\(?:([a-z]{1,32})(-?\d{1,10})? ?|'([0-9a-f]{2})|([^a-z]))/i.exec(rtf.slice(i, i + 48));
+      if (!m) {
+        i++;
+        continue;
+      }
+      i += m[0].length;
+      const [, word, arg, hex, sym] = m;
+      if (hex) {
+        if (pendingSkip > 0) pendingSkip--;
+        else if (!skip) out.push(cp1252.decode(new Uint8Array([parseInt(hex, 16)])));
+      } else if (sym) {
+        if (sym === "*") skip = true;
+        else if (!skip && (sym === "\\" || sym === "{" || sym === "}")) out.push(sym);
+        else if (!skip && sym === "~") out.push(" ");
+        else if (!skip && (sym === "\n" || sym === "\r")) out.push("\n");
+      } else if (RTF_SKIP.has(word)) skip = true;
+      else if (word === "uc") ucSkip = Number(arg) || 0;
+      else if (word === "u") {
+        if (!skip) out.push(String.fromCharCode(Number(arg) < 0 ? Number(arg) + 65536 : Number(arg)));
+        pendingSkip = ucSkip;
+      } else if (!skip && (word === "par" || word === "sect" || word === "page")) out.push("\n\n");
+      else if (!skip && (word === "line" || word === "row")) out.push("\n");
+      else if (!skip && (word === "tab" || word === "cell")) out.push("\t");
+    } else {
+      if (c !== "\r" && c !== "\n") {
+        if (pendingSkip > 0) pendingSkip--;
+        else if (!skip) out.push(c);
+      }
+      i++;
+    }
+  }
+  return normalizeText(
+    out
+      .join("")
+      .split("\n")
+      .map((l) => l.trim())
+      .join("\n")
+  );
+};
+
+const DOCUMENT_TYPES = {
+  pdf: { label: "PDF", extract: extractPdfTextLocal },
+  docx: { label: "DOCX", extract: extractDocxTextLocal },
+  pptx: { label: "PPTX", extract: extractPptxTextLocal },
+  epub: { label: "EPUB", extract: extractEpubTextLocal },
+  rtf: { label: "RTF", extract: extractRtfTextLocal },
+  html: { label: "HTML", extract: extractHtmlTextLocal },
+  htm: { label: "HTML", extract: extractHtmlTextLocal },
+  md: { label: "Markdown", extract: extractMarkdownTextLocal },
+  markdown: { label: "Markdown", extract: extractMarkdownTextLocal },
+  txt: { label: "TXT", extract: extractPlainTextLocal },
+  jpg: { label: "image", ocr: true, extract: extractImageTextViaBackend },
+  jpeg: { label: "image", ocr: true, extract: extractImageTextViaBackend },
+  png: { label: "image", ocr: true, extract: extractImageTextViaBackend },
+  tif: { label: "TIFF", ocr: true, extract: extractTiffTextViaBackend },
+  tiff: { label: "TIFF", ocr: true, extract: extractTiffTextViaBackend },
+  heic: { label: "HEIC", ocr: true, extract: extractHeicTextViaBackend },
+  heif: { label: "HEIC", ocr: true, extract: extractHeicTextViaBackend },
+};
+
+// for the file input and the "unsupported" message
+const DOCUMENT_ACCEPT = Object.keys(DOCUMENT_TYPES)
+  .map((ext) => `.${ext}`)
+  .join(",");
+const DOCUMENT_NAMES = "PDF, DOCX, PPTX, EPUB, RTF, HTML, Markdown, TXT, JPG, PNG, TIFF or HEIC";
+
+let docCount = 0;
+const nextDocId = () => `doc${++docCount}`;
+
+// `name`, or "name (2)", ... if another document already has it
+const uniqueDocName = (name, docs) => {
+  let out = name;
+  for (let n = 2; docs.some((d) => d.name === out); n++) out = `${name} (${n})`;
+  return out;
+};
+
+// The text sent for generation. Several documents are joined under
+// "=== Document: name ===" markers so sections and units can name their file.
+const mergeDocuments = (docs) =>
+  docs.length === 1 ? docs[0].text : docs.map((d) => `=== Document: ${d.name} ===\n${d.text}`).join("\n\n");
+
+export default function App() {
+  const [page, setPage] = useState("home");
+  const [theme, setTheme] = useState(() => localStorage.getItem("sb_theme") || "dark");
+
+  // accounts + courses live on the backend (session cookie)
+  const [user, setUser] = useState(null);
+  const [courses, setCourses] = useState([]);
+  const [coursesLoading, setCoursesLoading] = useState(false);
 
   useEffect(() => {
-    localStorage.setItem("sb_user", JSON.stringify(user));
-  }, [user]);
+    // older builds kept plaintext credentials here — wipe them
+    localStorage.removeItem("sb_users");
+    localStorage.removeItem("sb_user");
 
+    getJSON(API.AUTH_ME)
+      .then((d) => setUser(d.user || null))
+      .catch(() => setUser(null));
+  }, []);
+
+  // The localStorage import runs once per sign-in; loadCourses waits for it.
+  const legacyImport = useRef({ email: null, done: null });
   useEffect(() => {
-    localStorage.setItem("sb_courses", JSON.stringify(allCourses));
-  }, [allCourses]);
+    if (!user) legacyImport.current = { email: null, done: null };
+    if (!user || legacyImport.current.email === user.email) return;
+    legacyImport.current = {
+      email: user.email,
+      done: importLegacyCourses(user.email).catch((e) => console.warn("Course import failed:", e.message)),
+    };
+  }, [user]);
 
   useEffect(() => {
     localStorage.setItem("sb_theme", theme);
@@ -388,13 +1450,25 @@ export default function App() {
   const [af, setAf] = useState({ name: "", email: "", pass: "", confirmPass: "" });
   const [authErr, setAuthErr] = useState("");
 
-  const [file, setFile] = useState(null);
-  const [fileExt, setFileExt] = useState("");
-  const [etxt, setEtxt] = useState("");
-  const [extracting, setExtracting] = useState(false);
+  // the files and pasted texts of one generation job:
+  // [{ id, name, kind, size, status: "extracting" | "ready" | "error", progress, text, error }]
+  const [docs, setDocs] = useState([]);
+  const [pasteText, setPasteText] = useState("");
+  const readyDocs = docs.filter((d) => d.status === "ready");
+  const etxt = readyDocs.length ? mergeDocuments(readyDocs) : "";
+  const extracting = docs.some((d) => d.status === "extracting");
   const [generating, setGenerating] = useState(false);
   const [gStatus, setGStatus] = useState("");
   const [gErr, setGErr] = useState("");
+  // live preview while the course streams in: { phase, outline, units: { [index]: unit }, hasQuiz }
+  const [live, setLive] = useState(null);
+  const [questionMix, setQuestionMix] = useState(DEFAULT_QUESTION_MIX);
+  const [checkpointQuestions, setCheckpointQuestions] = useState(4);
+  const [genSettings, setGenSettings] = useState(DEFAULT_GEN_SETTINGS);
+  const [detectedLang, setDetectedLang] = useState("");
+  const [translateTo, setTranslateTo] = useState("");
+  const [translating, setTranslating] = useState(false);
+  const [masteryThreshold, setMasteryThreshold] = useState(0);
 
   const [course, setCourse] = useState(null);
   const [uIdx, setUI] = useState(0);
@@ -407,34 +1481,839 @@ export default function App() {
   const [analyzing, setAnalyzing] = useState(false);
   const [remediating, setRemediating] = useState(false);
   const [lastWrong, setLastWrong] = useState([]);
+  // per question after submit: { ok, feedback }
+  const [results, setResults] = useState([]);
+  const [grading, setGrading] = useState(false);
+  const [testErr, setTestErr] = useState("");
+  // open unit checkpoint: { ui, ans, results, score, analysis, analyzing, grading, err }
+  const [cp, setCp] = useState(null);
+  // the signed-in learner's stored progress in the open course (see backend "Learner progress")
+  const [progress, setProgress] = useState(null);
+  // when the current final-test attempt began, for time spent
+  const testStarted = useRef(null);
+  const [analytics, setAnalytics] = useState(null);
+  const [analyticsLoading, setAnalyticsLoading] = useState(false);
+
+  // edit mode: a working copy of the course, saved back with PATCH
+  const [draft, setDraft] = useState(null);
+  const [editQuiz, setEditQuiz] = useState(false);
+  const [editErr, setEditErr] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [regenInstr, setRegenInstr] = useState("");
+  const [regenerating, setRegenerating] = useState("");
+  const [exporting, setExporting] = useState("");
+  const [printOpts, setPrintOpts] = useState({ guide: false, worksheet: true, answerKey: false });
+
+  // the open course's read-only links (owner), and the link this visit came
+  // from when opened at /share/<token>: { token, visibility, includeTest, expiresAt } or { token, error }
+  const [shares, setShares] = useState([]);
+  const [shareOpts, setShareOpts] = useState({ visibility: "unlisted", includeTest: false, expiresInDays: "" });
+  const [sharing, setSharing] = useState(false);
+  const [copiedShare, setCopiedShare] = useState("");
+  const [shared, setShared] = useState(null);
+
+  // lesson tutor: the open lesson's conversation; the last message streams in
+  // as { role: "assistant", content, sources, pending } until it is done
+  const [tutorOpen, setTutorOpen] = useState(false);
+  const [tutorMsgs, setTutorMsgs] = useState([]);
+  const [tutorInput, setTutorInput] = useState("");
+  const [tutorBusy, setTutorBusy] = useState(false);
+  const [tutorErr, setTutorErr] = useState("");
+  const tutorLesson = useRef(null);
+
+  const [buildingCards, setBuildingCards] = useState(false);
+  // review page: due cards, optionally from one course
+  const [reviewCourse, setReviewCourse] = useState(null);
+  const [reviewQueue, setReviewQueue] = useState([]);
+  const [reviewCounts, setReviewCounts] = useState(null);
+  const [reviewLoading, setReviewLoading] = useState(false);
+  const [reviewErr, setReviewErr] = useState("");
+  const [flipped, setFlipped] = useState(false);
+  const [savingReview, setSavingReview] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+
+  // classes page: { teaching, enrolled } from the backend; openClass is an
+  // instructor's roster of one class, studentDetail one student's results
+  const [classes, setClasses] = useState(null);
+  const [classesLoading, setClassesLoading] = useState(false);
+  const [classErr, setClassErr] = useState("");
+  const [openClass, setOpenClass] = useState(null);
+  const [studentDetail, setStudentDetail] = useState(null);
+  const [newClassName, setNewClassName] = useState("");
+  const [joinCode, setJoinCode] = useState("");
+  const [assignForm, setAssignForm] = useState({ courseId: "", due: "" });
 
   const fileRef = useRef();
+  const bundleRef = useRef();
+  const [importing, setImporting] = useState(false);
 
   const go = (p) => {
     setPage(p);
     setAuthErr("");
     setGErr("");
     setGStatus("");
+    // leaving a shared course drops its /share/<token> address
+    if (p !== "course") {
+      setShared(null);
+      if (window.location.pathname !== "/") window.history.replaceState(null, "", "/");
+    }
+  };
+
+  // /share/<token> (see backend "Shared links") opens that course read-only,
+  // signed in or not.
+  useEffect(() => {
+    const token = window.location.pathname.match(/^\/share\/([\w-]+)\/?$/)?.[1];
+    if (!token) return;
+    getJSON(API.share(token))
+      .then((d) => {
+        startCourse(d.course);
+        setShared({ token, ...d.share });
+      })
+      .catch((e) => {
+        setShared({ token, error: e.message });
+        setPage("shared");
+      });
+  }, []);
+
+  // With no language chosen the course is written in the syllabus' language;
+  // show which one that is.
+  useEffect(() => {
+    setDetectedLang("");
+    if (!etxt) return;
+    postJSON(API.DETECT_LANGUAGE, { text: etxt.slice(0, 20000) })
+      .then((d) => setDetectedLang(d.detected?.language || ""))
+      .catch(() => {});
+  }, [etxt]);
+
+  const loadCourses = async () => {
+    if (!user) {
+      setCourses([]);
+      return;
+    }
+    setCoursesLoading(true);
+    try {
+      // make sure a pending localStorage import lands before listing
+      await legacyImport.current.done;
+      const d = await getJSON(API.COURSES);
+      setCourses(d.courses || []);
+    } catch (e) {
+      setGErr("Could not load courses: " + e.message);
+    } finally {
+      setCoursesLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (page === "mycourses") loadCourses();
+  }, [page, user]);
+
+  const loadReviews = async () => {
+    if (!user) return;
+    setReviewLoading(true);
+    setReviewErr("");
+    try {
+      const d = await getJSON(API.reviewsDue(reviewCourse ? { courseId: reviewCourse.id } : {}));
+      setReviewQueue(d.cards || []);
+      setReviewCounts(d.counts || null);
+      setFlipped(false);
+    } catch (e) {
+      setReviewErr("Could not load flashcards: " + e.message);
+    } finally {
+      setReviewLoading(false);
+    }
   };
 
-  const mc = () => allCourses[user?.email] || [];
+  useEffect(() => {
+    if (page === "review") loadReviews();
+  }, [page, user, reviewCourse]);
+
+  useEffect(() => {
+    if (page !== "dashboard" || !user) return;
+    setAnalyticsLoading(true);
+    getJSON(API.ANALYTICS)
+      .then(setAnalytics)
+      .catch((e) => setGErr("Could not load your results: " + e.message))
+      .finally(() => setAnalyticsLoading(false));
+  }, [page, user]);
 
-  const addCourse = (c) => {
+  const loadClasses = async () => {
     if (!user) return;
-    setAllCourses((p) => ({ ...p, [user.email]: [...(p[user.email] || []), c] }));
+    setClassesLoading(true);
+    setClassErr("");
+    try {
+      setClasses(await getJSON(API.CLASSES));
+    } catch (e) {
+      setClassErr("Could not load classes: " + e.message);
+    } finally {
+      setClassesLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (page !== "classes") return;
+    loadClasses();
+    if (openClass) updateRoster(() => getJSON(API.classroom(openClass.id)), "Could not open class");
+    // an instructor assigns from their own courses
+    if (user?.role === "instructor") loadCourses();
+  }, [page, user]);
+
+  const classAction = async (request, failure) => {
+    setClassErr("");
+    try {
+      return await request();
+    } catch (e) {
+      setClassErr(`${failure}: ${e.message}`);
+      return null;
+    }
+  };
+
+  // roster changes answer with the updated class
+  const updateRoster = async (request, failure) => {
+    const d = await classAction(request, failure);
+    if (d?.class) setOpenClass(d.class);
+    return d;
+  };
+
+  const createClass = async () => {
+    const d = await updateRoster(() => postJSON(API.CLASSES, { name: newClassName }), "Could not create class");
+    if (d) setNewClassName("");
+  };
+
+  const openClassroom = (id) => {
+    setStudentDetail(null);
+    setAssignForm({ courseId: "", due: "" });
+    updateRoster(() => getJSON(API.classroom(id)), "Could not open class");
+  };
+
+  const closeClassroom = () => {
+    setOpenClass(null);
+    setStudentDetail(null);
+    loadClasses();
+  };
+
+  const renewJoinCode = () => {
+    if (!window.confirm("Make a new join code? The current one will stop working.")) return;
+    updateRoster(() => sendJSON("PATCH", API.classroom(openClass.id), { newJoinCode: true }), "Could not change the join code");
+  };
+
+  const deleteClass = async () => {
+    if (!window.confirm(`Delete ${openClass.name}? Its students lose access to the assigned courses.`)) return;
+    if (await classAction(() => sendJSON("DELETE", API.classroom(openClass.id)), "Could not delete class")) closeClassroom();
+  };
+
+  const assignCourse = async () => {
+    const body = { courseId: assignForm.courseId, dueAt: dueDateIso(assignForm.due) };
+    const d = await updateRoster(() => postJSON(API.classroomAssignments(openClass.id), body), "Could not assign course");
+    if (d) setAssignForm({ courseId: "", due: "" });
+  };
+
+  const setDueDate = (a, value) =>
+    updateRoster(
+      () => sendJSON("PATCH", API.classroomAssignment(openClass.id, a.id), { dueAt: dueDateIso(value) }),
+      "Could not change the due date"
+    );
+
+  const unassignCourse = (a) => {
+    if (!window.confirm(`Remove ${a.courseTitle} from this class?`)) return;
+    updateRoster(() => sendJSON("DELETE", API.classroomAssignment(openClass.id, a.id)), "Could not remove course");
   };
 
-  const signUp = () => {
+  const removeStudent = (s) => {
+    if (!window.confirm(`Remove ${s.name} from this class?`)) return;
+    if (studentDetail?.student.id === s.id) setStudentDetail(null);
+    updateRoster(() => sendJSON("DELETE", API.classroomStudent(openClass.id, s.id)), "Could not remove student");
+  };
+
+  const showStudent = async (s) => {
+    const d = await classAction(() => getJSON(API.classroomStudent(openClass.id, s.id)), "Could not load results");
+    if (d) setStudentDetail(d);
+  };
+
+  const joinClass = async () => {
+    if (await classAction(() => postJSON(API.CLASSES_JOIN, { code: joinCode }), "Could not join class")) {
+      setJoinCode("");
+      loadClasses();
+    }
+  };
+
+  const leaveClass = async (k) => {
+    if (!window.confirm(`Leave ${k.name}? You keep your progress, but lose access to its courses.`)) return;
+    if (await classAction(() => sendJSON("DELETE", API.classroomEnrollment(k.id)), "Could not leave class")) loadClasses();
+  };
+
+  // SM-2 quality for each button; see backend/flashcards.js
+  const gradeCard = async (grade) => {
+    const [item, ...rest] = reviewQueue;
+    if (!item) return;
+    setSavingReview(true);
+    setReviewErr("");
+    try {
+      await postJSON(API.REVIEWS, { courseId: item.courseId, cardId: item.card.id, grade });
+      setReviewedCount((n) => n + 1);
+      setFlipped(false);
+      setReviewQueue(rest);
+      // the server hands out at most 100 cards at a time
+      if (!rest.length) loadReviews();
+    } catch (e) {
+      setReviewErr("Could not save the review: " + e.message);
+    } finally {
+      setSavingReview(false);
+    }
+  };
+
+  // Saves a freshly generated course for the signed-in user and returns the
+  // stored copy (with its server id). Signed-out users just keep it in memory.
+  const addCourse = async (c) => {
+    if (!user) return c;
+    try {
+      const d = await postJSON(API.COURSES, { course: c });
+      return d.course;
+    } catch (e) {
+      alert(`Course generated but could not be saved: ${e.message}`);
+      return c;
+    }
+  };
+
+  // p: stored progress — brings back the last final-test result, and with
+  // resume also the last lesson viewed.
+  const startCourse = (c, p = null, resume = false) => {
+    const typed = withQuestionTypes(c);
+    const qs = typed.finalTest?.questions || [];
+    const last = p?.attempts?.filter((a) => a.kind === "final").at(-1);
+    // an attempt on questions that were edited since can't be shown again
+    const restore = last && last.score.total === qs.length && last.results.length === qs.length;
+    const at = resume ? lessonIndex(typed, p?.position) : null;
+    setCourse(typed);
+    setProgress(p);
+    setDraft(null);
+    setUI(at?.ui ?? 0);
+    setLI(at?.li ?? 0);
+    setInTest(false);
+    setAns(restore ? last.answers : {});
+    setSubmitted(!!restore);
+    setScore(restore ? last.score : null);
+    setAnalysis(restore ? last.analysis || "" : "");
+    setLastWrong(restore ? wrongAnswers(qs, last.answers, last.results, typed) : []);
+    setResults(restore ? last.results : []);
+    setTestErr("");
+    setCp(null);
+    testStarted.current = null;
+    go("course");
+  };
+
+  // Saves the learner's place and finished lessons; signed-out learners keep
+  // them only for this visit.
+  const recordProgress = (patch) => {
+    if (!user || !course?.id || draft) return;
+    sendJSON("PATCH", API.courseProgress(course.id), patch)
+      .then((d) => setProgress(d.progress))
+      .catch((e) => console.warn("Could not save progress:", e.message));
+  };
+
+  const visitLesson = (ui, li) => {
+    setCp(null);
+    setUI(ui);
+    setLI(li);
+    const u = course?.units?.[ui];
+    const l = u?.lessons?.[li];
+    if (l) recordProgress({ position: { unitId: u.id, lessonId: l.id } });
+  };
+
+  const completeLesson = (ui, li) => {
+    const id = course?.units?.[ui]?.lessons?.[li]?.id;
+    if (id && !progress?.completedLessons?.includes(id)) recordProgress({ completed: [id] });
+  };
+
+  // Stores a graded test; the id comes back for attaching the analysis later.
+  // `saved` is an attempt the backend already recorded while grading it (a
+  // student's, see gradeQuiz).
+  const recordAttempt = async (attempt, saved = null) => {
+    if (saved) {
+      setProgress((p) => ({ ...p, attempts: [...(p?.attempts || []), saved] }));
+      return saved.id;
+    }
+    if (!user || !course?.id) return null;
+    try {
+      const d = await postJSON(API.courseAttempts(course.id), attempt);
+      setProgress((p) => ({ ...p, attempts: [...(p?.attempts || []), d.attempt] }));
+      return d.attempt.id;
+    } catch (e) {
+      console.warn("Could not save attempt:", e.message);
+      return null;
+    }
+  };
+
+  const recordAnalysis = (attemptId, analysis) => {
+    if (!attemptId) return;
+    sendJSON("PATCH", API.courseAttempt(course.id, attemptId), { analysis }).catch((e) =>
+      console.warn("Could not save analysis:", e.message)
+    );
+  };
+
+  // From a wrong answer back to the lesson it assesses; a locked unit stays locked.
+  const reviewLesson = (q) => {
+    const at = questionLesson(course, q);
+    if (!at || at.ui >= firstLockedUnit(course)) return;
+    setInTest(false);
+    visitLesson(at.ui, at.li);
+  };
+
+  const retakeTest = () => {
+    setSubmitted(false);
+    setScore(null);
+    setAnalysis("");
+    setLastWrong([]);
+    setResults([]);
+    setAns(seedOrdering(course.finalTest?.questions || [], {}));
+    testStarted.current = Date.now();
+  };
+
+  // ordering questions start from a shuffled order, which counts as an answer
+  const startTest = () => {
+    setAns((p) => seedOrdering(course.finalTest?.questions || [], p));
+    if (!submitted && !testStarted.current) testStarted.current = Date.now();
+    setCp(null);
+    setInTest(true);
+  };
+
+  const openCheckpoint = (ui) => {
+    const qs = course.units[ui]?.checkpoint?.questions || [];
+    setCp({ ui, ans: seedOrdering(qs, {}), results: null, score: null, analysis: "", analyzing: false, grading: false, err: "", startedAt: Date.now() });
+  };
+
+  // A student's copy of an assigned course has no answer key: the backend
+  // grades it, records the attempt and sends the quiz back with the key for
+  // the review.
+  // -> { res, qs, graded, saved } (`graded` being the course with those
+  // questions, `saved` the recorded attempt)
+  const gradeQuiz = async (unit, qs, answers, durationMs) => {
+    if (course.access !== "student") return { res: await gradeAnswers(qs, answers), qs, graded: course, saved: null };
+    const d = await postJSON(API.courseGrade(course.id), {
+      kind: unit ? "checkpoint" : "final",
+      unitId: unit?.id,
+      answers,
+      durationMs,
+    });
+    return { res: d.results, qs: d.questions, graded: withQuizQuestions(course, unit?.id, d.questions), saved: d.attempt };
+  };
+
+  const submitCheckpoint = async () => {
+    const u = course.units[cp.ui];
+    setCp((p) => ({ ...p, grading: true, err: "" }));
+    const durationMs = Date.now() - cp.startedAt;
+    let res, qs, graded, saved;
+    try {
+      ({ res, qs, graded, saved } = await gradeQuiz(u, u.checkpoint.questions, cp.ans, durationMs));
+    } catch (e) {
+      setCp((p) => ({ ...p, grading: false, err: "Could not grade your short answers: " + e.message }));
+      return;
+    }
+
+    const correct = res.filter((r) => r.ok).length;
+    const pct = Math.round((correct / qs.length) * 100);
+    const wrong = wrongAnswers(qs, cp.ans, res, course);
+    const prevResult = course.checkpointResults?.[u.id];
+    const checkpointResults = {
+      ...course.checkpointResults,
+      [u.id]: { pct, best: Math.max(pct, prevResult?.best ?? 0), attempts: (prevResult?.attempts || 0) + 1, at: new Date().toISOString() },
+    };
+    // kept here for this session; the backend works them out from the
+    // attempt below (see checkpointResultsFrom)
+    const updated = { ...graded, checkpointResults };
+    setCourse(updated);
+    setCp((p) => ({ ...p, grading: false, results: res, score: { pct, correct, total: qs.length }, analyzing: wrong.length > 0 }));
+
+    const attemptId = recordAttempt(
+      { kind: "checkpoint", unitId: u.id, answers: cp.ans, results: res, score: { pct, correct, total: qs.length }, durationMs },
+      saved
+    );
+
+    if (wrong.length > 0) {
+      let analysis;
+      try {
+        const d = await postJSON(API.ANALYZE_TEST, {
+          model: AI_MODEL,
+          courseTitle: course.courseTitle,
+          unitTitle: u.title,
+          score: { pct, correct, total: qs.length },
+          wrong,
+          checkpoints: checkpointHistory(updated),
+        });
+        analysis = d.text || "";
+        attemptId.then((id) => recordAnalysis(id, analysis));
+      } catch {
+        analysis = "Could not generate AI analysis right now.";
+      }
+      setCp((p) => (p?.ui === cp.ui ? { ...p, analysis, analyzing: false } : p));
+    }
+  };
+
+  const openCourse = async (id, resume = false) => {
+    try {
+      const [d, p] = await Promise.all([getJSON(API.course(id)), getJSON(API.courseProgress(id)).catch(() => null)]);
+      startCourse(d.course, p?.progress || null, resume);
+    } catch (e) {
+      setGErr("Could not open course: " + e.message);
+    }
+  };
+
+  const startEditing = () => {
+    setCp(null);
+    setDraft(structuredClone(course));
+    setEditQuiz(false);
+    setEditErr("");
+    setRegenInstr("");
+  };
+
+  const cancelEditing = () => {
+    if (JSON.stringify(draft) !== JSON.stringify(course) && !window.confirm("Discard your unsaved changes?")) return;
+    setDraft(null);
+    setEditQuiz(false);
+  };
+
+  const patchUnit = (ui, patch) =>
+    setDraft((d) => ({ ...d, units: d.units.map((u, i) => (i === ui ? { ...u, ...patch } : u)) }));
+
+  const patchLesson = (ui, li, patch) =>
+    setDraft((d) => ({
+      ...d,
+      units: d.units.map((u, i) =>
+        i === ui ? { ...u, lessons: u.lessons.map((l, j) => (j === li ? { ...l, ...patch } : l)) } : u
+      ),
+    }));
+
+  const patchQuestion = (qi, patch) =>
+    setDraft((d) => ({
+      ...d,
+      finalTest: { ...d.finalTest, questions: d.finalTest.questions.map((q, i) => (i === qi ? { ...q, ...patch } : q)) },
+    }));
+
+  const draftProblems = (d) => {
+    const problems = [];
+    if (!d.courseTitle?.trim()) problems.push("Course title is empty.");
+    d.units.forEach((u, ui) => {
+      if (!u.title?.trim()) problems.push(`Unit ${ui + 1} has no title.`);
+      u.lessons.forEach((l, li) => {
+        if (!l.title?.trim()) problems.push(`Lesson ${ui + 1}.${li + 1} has no title.`);
+        if (!l.content?.trim()) problems.push(`Lesson ${ui + 1}.${li + 1} has no content.`);
+      });
+    });
+    (d.finalTest?.questions || []).forEach((q, i) => {
+      const problem = questionProblem(q);
+      if (problem) problems.push(`Question ${i + 1} ${problem}.`);
+    });
+    return problems;
+  };
+
+  const saveDraft = async () => {
+    const clean = {
+      ...draft,
+      units: draft.units.map((u) => ({
+        ...u,
+        lessons: u.lessons.map((l) => ({ ...l, keyPoints: (l.keyPoints || []).map((k) => k.trim()).filter(Boolean) })),
+      })),
+      finalTest: draft.finalTest && {
+        ...draft.finalTest,
+        questions: draft.finalTest.questions.map((q) => ({
+          ...q,
+          ...(q.keywords ? { keywords: q.keywords.map((k) => k.trim()).filter(Boolean) } : {}),
+          ...(q.items ? { items: q.items.map((k) => k.trim()).filter(Boolean) } : {}),
+        })),
+      },
+    };
+    const problems = draftProblems(clean);
+    if (problems.length) {
+      setEditErr(problems.slice(0, 3).join(" "));
+      return;
+    }
+    setSaving(true);
+    setEditErr("");
+    try {
+      let saved = clean;
+      if (user && clean.id) {
+        const { courseTitle, courseDescription, units, finalTest, masteryThreshold, sourcePassages } = clean;
+        const d = await sendJSON("PATCH", API.course(clean.id), {
+          course: { courseTitle, courseDescription, units, finalTest, masteryThreshold, sourcePassages },
+        });
+        saved = d.course;
+      }
+      setCourse(saved);
+      setDraft(null);
+      setEditQuiz(false);
+      // answers may no longer fit the edited questions
+      setAns({});
+      setSubmitted(false);
+      setResults([]);
+    } catch (e) {
+      setEditErr("Could not save: " + e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // scope: "unit" rewrites every lesson of the current unit, "lesson" just the current one
+  const regenerate = async (scope) => {
+    const u = draft.units[uIdx];
+    const l = u?.lessons?.[lIdx];
+    if (!u || (scope === "lesson" && !l)) return;
+    setRegenerating(scope);
+    setEditErr("");
+    try {
+      const d = await postJSON(API.REGENERATE, {
+        model: AI_MODEL,
+        course: {
+          courseTitle: draft.courseTitle,
+          units: draft.units,
+          sourceText: draft.sourceText || "",
+        },
+        unitId: u.id,
+        lessonId: scope === "lesson" ? l.id : undefined,
+        instructions: regenInstr,
+        // the settings the course was generated with (older courses have none)
+        settings: draft.generation?.settings || { minimumLessonWords: DEFAULT_GEN_SETTINGS.minimumLessonWords },
+      });
+      if (scope === "lesson") patchLesson(uIdx, lIdx, d.lesson);
+      else patchUnit(uIdx, { lessons: d.unit.lessons });
+      if (d.sourcePassages) setDraft((x) => ({ ...x, sourcePassages: d.sourcePassages }));
+    } catch (e) {
+      setEditErr("Regeneration failed: " + e.message);
+    } finally {
+      setRegenerating("");
+    }
+  };
+
+  // scorm12 | cmi5 -> zip package; md | pdf | docx -> document with printOpts
+  const exportCourse = async (format) => {
+    const lms = format === "scorm12" || format === "cmi5";
+    const params = lms
+      ? { format }
+      : printOpts.answerKey
+      ? { format, answerKey: "1" }
+      : { format, guide: printOpts.guide ? "1" : "0", worksheet: printOpts.worksheet ? "1" : "0" };
+    setExporting(format);
+    try {
+      await downloadFile(API.courseExport(course.id, params), lms ? `course-${format}.zip` : `course.${format}`);
+    } catch (e) {
+      alert("Export failed: " + e.message);
+    } finally {
+      setExporting("");
+    }
+  };
+
+  // (Re)builds the course's flashcard deck; review history carries over for
+  // cards that still exist.
+  const buildFlashcards = async () => {
+    setBuildingCards(true);
+    try {
+      const d = await postJSON(API.courseFlashcards(course.id), { model: AI_MODEL });
+      setCourse(withQuestionTypes(d.course));
+    } catch (e) {
+      alert("Could not build flashcards: " + e.message);
+    } finally {
+      setBuildingCards(false);
+    }
+  };
+
+  const reviewCourseCards = () => {
+    setReviewCourse({ id: course.id, courseTitle: course.courseTitle });
+    go("review");
+  };
+
+  // Creates a linked copy of the course in another language and opens it.
+  const translateCourse = async () => {
+    const language = translateTo.trim();
+    if (!language) return;
+    setTranslating(true);
+    try {
+      const d = await postJSON(API.courseTranslate(course.id), { model: AI_MODEL, language });
+      setTranslateTo("");
+      startCourse(d.course);
+      loadCourses();
+    } catch (e) {
+      alert("Translation failed: " + e.message);
+    } finally {
+      setTranslating(false);
+    }
+  };
+
+  const tutorLessonId = course?.units?.[uIdx]?.lessons?.[lIdx]?.id || null;
+
+  useEffect(() => {
+    tutorLesson.current = tutorLessonId;
+    setTutorMsgs([]);
+    setTutorErr("");
+    if (!tutorOpen || page !== "course" || !user || !course?.id || !tutorLessonId) return;
+    getJSON(API.courseTutor(course.id, tutorLessonId))
+      .then((d) => tutorLesson.current === tutorLessonId && setTutorMsgs(d.messages || []))
+      .catch((e) => setTutorErr("Could not load the conversation: " + e.message));
+  }, [tutorOpen, page, user, course?.id, tutorLessonId]);
+
+  const askTutor = async () => {
+    const message = tutorInput.trim();
+    const lessonId = tutorLessonId;
+    if (!message || tutorBusy || !lessonId) return;
+    setTutorInput("");
+    setTutorErr("");
+    setTutorBusy(true);
+    setTutorMsgs((p) => [
+      ...p,
+      { role: "user", content: message, at: new Date().toISOString() },
+      { role: "assistant", content: "", sources: [], pending: true },
+    ]);
+    // the learner may have moved to another lesson meanwhile
+    const update = (patch) => {
+      if (tutorLesson.current === lessonId) setTutorMsgs((p) => [...p.slice(0, -1), { ...p.at(-1), ...patch(p.at(-1)) }]);
+    };
+    try {
+      const d = await postSSE(API.TUTOR, { model: AI_MODEL, courseId: course.id, lessonId, message }, (event, data) => {
+        if (event === "sources") update(() => ({ sources: data.sources }));
+        else if (event === "delta") update((m) => ({ content: m.content + data.text }));
+      });
+      update(() => ({ ...d.message, pending: false }));
+    } catch (e) {
+      if (tutorLesson.current === lessonId) {
+        setTutorMsgs((p) => p.slice(0, -2));
+        setTutorInput(message);
+        setTutorErr("The tutor could not answer: " + e.message);
+      }
+    } finally {
+      setTutorBusy(false);
+    }
+  };
+
+  const clearTutor = async () => {
+    if (!window.confirm("Clear this lesson's conversation?")) return;
+    try {
+      await sendJSON("DELETE", API.courseTutor(course.id, tutorLessonId));
+      setTutorMsgs([]);
+    } catch (e) {
+      setTutorErr("Could not clear the conversation: " + e.message);
+    }
+  };
+
+  // An answer with its citation tags turned into links to the lesson or
+  // labels of the syllabus passage.
+  const tutorText = (m) => {
+    const sources = new Map([...(m.sources || []), ...(m.citations || []).filter((c) => c.type === "source")].map((x) => [x.id, x]));
+    const chip = { display: "inline-block", margin: "0 0.2rem", padding: "0 0.4rem", borderRadius: "6px", background: `${C.accent}22`, color: C.accent, fontSize: "0.74rem" };
+    const parts = [];
+    let last = 0;
+    for (const x of m.content.matchAll(TUTOR_CITATION_RE)) {
+      parts.push(m.content.slice(last, x.index));
+      last = x.index + x[0].length;
+      const [, type, id] = x;
+      const at = type === "lesson" && lessonIndex(course, lessonPosition(course, id));
+      if (at) {
+        parts.push(
+          <span key={x.index} onClick={() => visitLesson(at.ui, at.li)} style={{ ...chip, cursor: "pointer" }}>
+            📖 {course.units[at.ui].lessons[at.li].title}
+          </span>
+        );
+      } else if (type === "source" && sources.has(id)) {
+        const { label, document } = sources.get(id);
+        parts.push(
+          <span key={x.index} style={chip}>
+            📄 From {document || "your syllabus"}, {label.charAt(0).toLowerCase() + label.slice(1)}
+          </span>
+        );
+      }
+    }
+    parts.push(m.content.slice(last));
+    return parts;
+  };
+
+  const shareUrl = (s) => `${window.location.origin}${s.path}`;
+
+  useEffect(() => {
+    setShares([]);
+    setCopiedShare("");
+    if (page !== "course" || !user || !course?.id || course.access) return;
+    getJSON(API.courseShares(course.id))
+      .then((d) => setShares(d.shares || []))
+      .catch((e) => console.warn("Could not load share links:", e.message));
+  }, [page, user, course?.id]);
+
+  const createShare = async () => {
+    setSharing(true);
+    try {
+      const d = await postJSON(API.courseShares(course.id), {
+        visibility: shareOpts.visibility,
+        includeTest: shareOpts.includeTest,
+        expiresInDays: shareOpts.expiresInDays ? Number(shareOpts.expiresInDays) : null,
+      });
+      setShares((p) => [...p, d.share]);
+      copyShare(d.share);
+    } catch (e) {
+      alert("Could not create link: " + e.message);
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  const copyShare = (s) => {
+    navigator.clipboard
+      ?.writeText(shareUrl(s))
+      .then(() => setCopiedShare(s.token))
+      .catch(() => window.prompt("Copy this link:", shareUrl(s)));
+  };
+
+  const revokeShare = async (s) => {
+    if (!window.confirm("Revoke this link? Anyone using it loses access.")) return;
+    try {
+      await sendJSON("DELETE", API.courseShare(course.id, s.token));
+      setShares((p) => p.filter((x) => x.token !== s.token));
+    } catch (e) {
+      alert("Could not revoke link: " + e.message);
+    }
+  };
+
+  const exportBundle = async (id) => {
+    try {
+      await downloadFile(API.courseBundle(id), "course.syllabuild.json");
+    } catch (e) {
+      setGErr("Export failed: " + e.message);
+    }
+  };
+
+  // A .syllabuild.json bundle (or a bare course JSON) becomes a new course;
+  // the backend validates it and migrates older bundle versions.
+  const importBundle = async (f) => {
+    setGErr("");
+    setImporting(true);
+    try {
+      let bundle;
+      try {
+        bundle = JSON.parse(await f.text());
+      } catch {
+        throw new Error(`${f.name} is not valid JSON.`);
+      }
+      const d = await postJSON(API.COURSES_BUNDLE, { bundle });
+      startCourse(d.course);
+    } catch (e) {
+      setGErr("Import failed: " + e.message);
+    } finally {
+      setImporting(false);
+      if (bundleRef.current) bundleRef.current.value = "";
+    }
+  };
+
+  const deleteCourse = async (id) => {
+    if (!window.confirm("Delete this course? This cannot be undone.")) return;
+    try {
+      await sendJSON("DELETE", API.course(id));
+      setCourses((p) => p.filter((c) => c.id !== id));
+    } catch (e) {
+      setGErr("Could not delete course: " + e.message);
+    }
+  };
+
+  const signUp = async () => {
     const name = af.name.trim();
     const email = af.email.trim().toLowerCase();
     if (!name || !email || !af.pass || !af.confirmPass) {
       setAuthErr("All fields are required.");
       return;
     }
-    if (users.find((u) => u.email === email)) {
-      setAuthErr("Email already registered.");
-      return;
-    }
     if (af.pass !== af.confirmPass) {
       setAuthErr("Passwords do not match.");
       return;
@@ -444,59 +2323,86 @@ export default function App() {
       setAuthErr(pw.message);
       return;
     }
-    const nu = { name, email, pass: af.pass };
-    setUsers((p) => [...p, nu]);
-    setUser(nu);
-    setAllCourses((p) => ({ ...p, [nu.email]: [] }));
-    setAf({ name: "", email: "", pass: "", confirmPass: "" });
-    go("home");
+    try {
+      const d = await postJSON(API.AUTH_SIGNUP, { name, email, password: af.pass });
+      setUser(d.user);
+      setAf({ name: "", email: "", pass: "", confirmPass: "" });
+      go("home");
+    } catch (e) {
+      setAuthErr(e.message);
+    }
   };
 
-  const signIn = () => {
+  const signIn = async () => {
     const email = af.email.trim().toLowerCase();
-    const u = users.find((u) => u.email === email && u.pass === af.pass);
-    if (!u) {
-      setAuthErr("Invalid credentials.");
+    if (!email || !af.pass) {
+      setAuthErr("All fields are required.");
       return;
     }
-    setUser(u);
-    setAf({ name: "", email: "", pass: "", confirmPass: "" });
+    try {
+      const d = await postJSON(API.AUTH_SIGNIN, { email, password: af.pass });
+      setUser(d.user);
+      setAf({ name: "", email: "", pass: "", confirmPass: "" });
+      go("home");
+    } catch (e) {
+      setAuthErr(e.message);
+    }
+  };
+
+  const signOut = async () => {
+    try {
+      await postJSON(API.AUTH_SIGNOUT, {});
+    } catch {
+      // cookie may already be gone — still sign out locally
+    }
+    setUser(null);
     go("home");
   };
 
-  const handleFile = async (f) => {
-    setFile(f);
-    setEtxt("");
-    setGErr("");
-    setGStatus("");
+  const patchDoc = (id, patch) => setDocs((ds) => ds.map((d) => (d.id === id ? { ...d, ...patch } : d)));
 
-    const ext = (f.name.split(".").pop() || "").toLowerCase();
-    setFileExt(ext);
+  // Files are read one after another, each showing its own status.
+  const handleFiles = async (files) => {
+    setGErr("");
+    const added = [...files].map((file) => ({ id: nextDocId(), kind: (file.name.split(".").pop() || "").toLowerCase(), file }));
+    setDocs((ds) => {
+      const next = [...ds];
+      for (const { id, kind, file } of added) {
+        next.push({ id, name: uniqueDocName(file.name, next), kind, size: file.size, status: "extracting", text: "", error: "" });
+      }
+      return next;
+    });
 
-    if (ext === "docx" || ext === "pdf") {
-      setExtracting(true);
+    for (const { id, kind, file } of added) {
+      const type = DOCUMENT_TYPES[kind];
       try {
-        setGStatus(ext === "pdf" ? "Extracting text from PDF locally..." : "Extracting text from DOCX locally...");
-        let text = "";
-        if (ext === "docx") text = await extractDocxTextLocal(f);
-        if (ext === "pdf") text = await extractPdfTextLocal(f);
-
-        if (!text || text.length < 20) {
-          throw new Error("Very little text extracted. If scanned, use JPG/PNG.");
+        if (!type) throw new Error(`Unsupported file type. Use ${DOCUMENT_NAMES}.`);
+        const text = await type.extract(file, (progress) => patchDoc(id, { progress }));
+        if (!text || text.trim().length < 20) {
+          throw new Error(type.ocr || kind === "pdf" ? "No readable text found, even with OCR." : "Very little text extracted.");
         }
-        setEtxt(text);
+        patchDoc(id, { status: "ready", text, progress: "" });
       } catch (e) {
-        setGErr(`${ext.toUpperCase()} read error: ${e.message}`);
-      } finally {
-        setExtracting(false);
-        setGStatus("");
+        patchDoc(id, { status: "error", progress: "", error: `${type ? type.label : kind.toUpperCase()} read error: ${e.message}` });
       }
     }
   };
 
+  const addPastedText = () => {
+    const text = normalizeText(pasteText);
+    if (!text) return;
+    setDocs((ds) => [
+      ...ds,
+      { id: nextDocId(), name: uniqueDocName("Pasted text", ds), kind: "text", size: text.length, status: "ready", text, error: "" },
+    ]);
+    setPasteText("");
+  };
+
+  const removeDoc = (id) => setDocs((ds) => ds.filter((d) => d.id !== id));
+
   const generate = async () => {
-    if (!file) {
-      setGErr("Please upload a file.");
+    if (!readyDocs.length) {
+      setGErr("Please upload a file or paste some text.");
       return;
     }
 
@@ -505,77 +2411,93 @@ export default function App() {
     setGStatus("");
 
     try {
-      let text = etxt;
-      if (!text) {
-        if (!["jpg", "jpeg", "png"].includes(fileExt)) {
-          throw new Error("Unsupported file type. Use PDF, DOCX, JPG, or PNG.");
-        }
-        setGStatus("Extracting text from image (backend OCR)...");
-        text = await extractImageTextViaBackend(file);
-        setEtxt(text);
-      }
-
+      const text = etxt;
       if (!text || text.trim().length < 50) {
         throw new Error("Extracted text is too short to generate a useful course.");
       }
 
-      setGStatus("Generating a detailed course (full coverage)...");
-      const d = await postJSON(API.GENERATE_COURSE, {
-        model: AI_MODEL,
-        syllabusText: text,
-        settings: {
-          minimumLessonWords: 450,
-          quizCountTarget: 20,
+      setGStatus("Planning the course outline...");
+      setLive({ phase: "outline", outline: null, units: {}, hasQuiz: false });
+      let unitsDone = 0;
+      const d = await postSSE(
+        API.GENERATE_COURSE_STREAM,
+        {
+          model: AI_MODEL,
+          syllabusText: text,
+          settings: {
+            ...genSettings,
+            questionMix,
+            checkpointQuestions,
+          },
         },
-      });
+        (event, data) => {
+          if (event === "phase") {
+            setLive((p) => ({ ...p, phase: data.phase }));
+            if (data.phase === "lessons") setGStatus(`Writing lessons (0/${data.total} units)...`);
+            if (data.phase === "quiz") setGStatus("Writing the final test...");
+          } else if (event === "outline-chunk") {
+            setGStatus(`Reading the syllabus (part ${data.done}/${data.total})...`);
+          } else if (event === "outline") {
+            setLive((p) => ({ ...p, outline: data }));
+          } else if (event === "unit") {
+            unitsDone++;
+            setLive((p) => ({ ...p, units: { ...p.units, [data.index]: data.unit } }));
+            setGStatus(`Writing lessons (${unitsDone}/${data.total} units)...`);
+          } else if (event === "quiz") {
+            setLive((p) => ({ ...p, hasQuiz: true }));
+          }
+        }
+      );
 
-      const parsed = normalizeCourseJSON(parseJSONLoosely(d.jsonText || d.text || ""));
-      parsed.id = Date.now();
-      parsed.createdAt = new Date().toLocaleDateString();
+      const parsed = normalizeCourseJSON(parseCourseJSON(d.jsonText || d.text || ""));
+      parsed.createdAt = new Date().toISOString();
       parsed.sourceText = text;
+      parsed.generation = {
+        ...parsed.generation,
+        sourceFileName: readyDocs.map((d) => d.name).join(", "),
+        sourceFiles: readyDocs.map(({ name, kind, size }) => ({ name, kind, size })),
+      };
+      parsed.masteryThreshold = checkpointQuestions > 0 ? masteryThreshold : 0;
 
-      setCourse(parsed);
-      setUI(0);
-      setLI(0);
-      setInTest(false);
-      setAns({});
-      setSubmitted(false);
-      setScore(null);
-      setAnalysis("");
-      setLastWrong([]);
-      addCourse(parsed);
-      go("course");
+      setGStatus("Saving course...");
+      startCourse(await addCourse(parsed));
     } catch (e) {
       setGErr("Error: " + e.message);
     } finally {
       setGStatus("");
+      setLive(null);
       setGenerating(false);
     }
   };
 
   const submitTest = async () => {
-    const qs = course.finalTest?.questions || [];
+    let qs = course.finalTest?.questions || [];
     if (!qs.length) return;
 
-    let correct = 0;
-    const wrong = [];
-
-    qs.forEach((q, i) => {
-      if (ans[i] === q.correctAnswer) correct++;
-      else {
-        wrong.push({
-          question: q.question,
-          yourAnswer: q.options?.[ans[i]] ?? "(not answered)",
-          correctAnswer: q.options?.[q.correctAnswer] ?? "(missing)",
-          explanation: q.explanation || "",
-        });
-      }
-    });
+    setGrading(true);
+    setTestErr("");
+    const durationMs = testStarted.current ? Date.now() - testStarted.current : undefined;
+    let res, graded, saved;
+    try {
+      ({ res, qs, graded, saved } = await gradeQuiz(null, qs, ans, durationMs));
+    } catch (e) {
+      // without a verdict the score would be wrong — let the student retry
+      setTestErr("Could not grade your short answers: " + e.message);
+      return;
+    } finally {
+      setGrading(false);
+    }
 
+    const correct = res.filter((r) => r.ok).length;
+    const wrong = wrongAnswers(qs, ans, res, course);
     const pct = Math.round((correct / qs.length) * 100);
+    if (graded !== course) setCourse(graded);
+    setResults(res);
     setScore({ pct, correct, total: qs.length });
     setSubmitted(true);
     setLastWrong(wrong);
+    const attemptId = recordAttempt({ kind: "final", answers: ans, results: res, score: { pct, correct, total: qs.length }, durationMs }, saved);
+    testStarted.current = null;
 
     if (wrong.length > 0) {
       setAnalyzing(true);
@@ -585,8 +2507,10 @@ export default function App() {
           courseTitle: course.courseTitle,
           score: { pct, correct, total: qs.length },
           wrong,
+          checkpoints: checkpointHistory(course),
         });
         setAnalysis(d.text || "");
+        attemptId.then((id) => recordAnalysis(id, d.text || ""));
       } catch (e) {
         setAnalysis("Could not generate AI analysis right now.");
       } finally {
@@ -611,29 +2535,18 @@ export default function App() {
         wrongAnswers: lastWrong,
         priorAnalysis: analysis || "",
         sourceText: course.sourceText || etxt || "",
-        settings: {
-          minimumLessonWords: 450,
-          quizCountTarget: 18,
-        },
+        // lets the backend use the stored syllabus, which a student's copy lacks
+        courseId: user && course.id ? course.id : undefined,
+        settings: course.generation?.settings || { ...genSettings, questionMix },
       });
 
-      const parsed = normalizeCourseJSON(parseJSONLoosely(d.jsonText || d.text || ""));
-      parsed.id = Date.now();
-      parsed.createdAt = new Date().toLocaleDateString();
+      const parsed = normalizeCourseJSON(parseCourseJSON(d.jsonText || d.text || ""));
+      parsed.createdAt = new Date().toISOString();
       parsed.courseTitle = `${parsed.courseTitle || course.courseTitle} (Focused Review)`;
       parsed.sourceText = course.sourceText || etxt || "";
+      if (user && course.id) parsed.focusedFrom = course.id;
 
-      setCourse(parsed);
-      setUI(0);
-      setLI(0);
-      setInTest(false);
-      setAns({});
-      setSubmitted(false);
-      setScore(null);
-      setAnalysis("");
-      setLastWrong([]);
-      addCourse(parsed);
-      go("course");
+      startCourse(await addCourse(parsed));
     } catch (e) {
       setGErr("Focused-course generation failed: " + e.message);
     } finally {
@@ -641,6 +2554,8 @@ export default function App() {
     }
   };
 
+  // form inputs that follow the light/dark palette
+  const field = { ...inp, background: palette.surf2, border: `1px solid ${palette.border}`, color: palette.text };
   const wrap = {
     maxWidth: "1280px",
     margin: "0 auto",
@@ -676,10 +2591,16 @@ export default function App() {
           ["home", "Home"],
           ["mycourses", "My Courses"],
           ["create", "Create Course"],
+          ["review", "Review"],
+          ["dashboard", "Dashboard"],
+          ["classes", "Classes"],
         ].map(([p, label]) => (
           <button
             key={p}
-            onClick={() => go(p)}
+            onClick={() => {
+              if (p === "review") setReviewCourse(null);
+              go(p);
+            }}
             style={{
               color: page === p ? palette.accent : palette.muted,
               cursor: "pointer",
@@ -701,13 +2622,7 @@ export default function App() {
             <span style={{ color: palette.accent, fontSize: "0.9rem", fontWeight: 500 }}>
               Welcome, {user.name}!
             </span>
-            <Btn
-              outline
-              onClick={() => {
-                setUser(null);
-                go("home");
-              }}
-            >
+            <Btn outline onClick={signOut}>
               Sign Out
             </Btn>
           </>
@@ -819,7 +2734,7 @@ export default function App() {
               {
                 icon: "🎯",
                 t: "Better Quizzes",
-                d: "Options are shuffled client-side so answers are not all A. Explanations shown in review.",
+                d: "Multiple choice, true/false, multi-select, short-answer, numeric and ordering questions. Explanations shown in review.",
               },
               {
                 icon: "🔄",
@@ -921,72 +2836,693 @@ export default function App() {
 
   // ===== MY COURSES =====
   if (page === "mycourses") {
-    const courses_ = mc();
+    const courses_ = courses;
+    return (
+      <div style={appStyle}>
+        <Nav />
+        <div style={wrap}>
+          <h1 style={{ marginBottom: "0.4rem" }}>My Courses</h1>
+          <p style={{ color: C.muted, marginBottom: "2.5rem" }}>
+            {user
+              ? coursesLoading
+                ? "Loading courses..."
+                : `${courses_.length} course${courses_.length !== 1 ? "s" : ""} saved`
+              : "Sign in to view your saved courses"}
+          </p>
+
+          <Err msg={gErr} />
+
+          {!user ? (
+            <div style={{ textAlign: "center", padding: "4rem" }}>
+              <div style={{ fontSize: "4rem", marginBottom: "1rem" }}>🔒</div>
+              <p style={{ color: C.muted, marginBottom: "1.5rem" }}>Please sign in to access your courses</p>
+              <Btn onClick={() => go("signin")}>Sign In</Btn>
+            </div>
+          ) : courses_.length === 0 && !coursesLoading ? (
+            <div style={{ textAlign: "center", padding: "4rem" }}>
+              <div style={{ fontSize: "4rem", marginBottom: "1rem" }}>📚</div>
+              <p style={{ color: C.muted, marginBottom: "1.5rem" }}>No courses yet. Create your first one!</p>
+              <Btn onClick={() => go("create")}>Create Course</Btn>
+            </div>
+          ) : (
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill,minmax(300px,1fr))", gap: "1.5rem" }}>
+              {courses_.map((c) => (
+                <div
+                  key={c.id}
+                  style={{ ...card, cursor: "pointer", transition: "border-color 0.2s" }}
+                  onMouseEnter={(e) => (e.currentTarget.style.borderColor = C.accent)}
+                  onMouseLeave={(e) => (e.currentTarget.style.borderColor = C.border)}
+                  onClick={() => openCourse(c.id)}
+                >
+                  <div
+                    style={{
+                      background: `linear-gradient(135deg,${C.accent}22,${C.accent2}22)`,
+                      borderRadius: "8px",
+                      padding: "1.25rem",
+                      textAlign: "center",
+                      fontSize: "2.5rem",
+                      marginBottom: "1rem",
+                    }}
+                  >
+                    📖
+                  </div>
+                  <h3 style={{ marginBottom: "0.5rem", fontSize: "0.97rem" }}>{c.courseTitle}</h3>
+                  <p style={{ color: C.muted, fontSize: "0.84rem", marginBottom: "1rem", lineHeight: 1.6 }}>
+                    {c.courseDescription}
+                  </p>
+                  {c.progress && (
+                    <div style={{ marginBottom: "1rem" }}>
+                      <ProgressBar pct={c.progress.pct} />
+                      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", fontSize: "0.76rem", color: C.muted }}>
+                        <span>
+                          {c.progress.completedLessons}/{c.progress.totalLessons} lessons
+                          {c.progress.lastScore != null && ` · test ${c.progress.lastScore}%`}
+                        </span>
+                        {c.progress.position && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              openCourse(c.id, true);
+                            }}
+                            style={{ background: "transparent", border: "none", color: C.accent, cursor: "pointer", fontSize: "0.78rem", fontWeight: 600 }}
+                          >
+                            ▶ Resume
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                  <div style={{ display: "flex", gap: "1rem", fontSize: "0.78rem", color: C.muted, alignItems: "center" }}>
+                    <span>📚 {c.unitCount} units</span>
+                    <span>❓ {c.questionCount} Qs</span>
+                    <span>📅 {new Date(c.createdAt).toLocaleDateString()}</span>
+                    <button
+                      title="Download course bundle (JSON)"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        exportBundle(c.id);
+                      }}
+                      style={{ marginLeft: "auto", background: "transparent", border: "none", color: C.muted, cursor: "pointer", fontSize: "0.85rem" }}
+                    >
+                      ⬇
+                    </button>
+                    <button
+                      title="Delete course"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        deleteCourse(c.id);
+                      }}
+                      style={{ background: "transparent", border: "none", color: C.danger, cursor: "pointer", fontSize: "0.85rem" }}
+                    >
+                      🗑
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // ===== DASHBOARD =====
+  if (page === "dashboard") {
+    const list = analytics?.courses || [];
+    const comparisons = analytics?.comparisons || [];
+    const stat = (label, value) => (
+      <div>
+        <div style={{ fontSize: "1.15rem", fontWeight: 700 }}>{value ?? "—"}</div>
+        <div style={{ color: C.muted, fontSize: "0.72rem" }}>{label}</div>
+      </div>
+    );
+    return (
+      <div style={appStyle}>
+        <Nav />
+        <div style={wrap}>
+          <h1 style={{ marginBottom: "0.4rem" }}>Dashboard</h1>
+          <p style={{ color: C.muted, marginBottom: "2rem" }}>
+            {!user ? "Sign in to see your test history" : analyticsLoading ? "Loading..." : "Scores, weak spots and progress from every test you've taken"}
+          </p>
+
+          <Err msg={gErr} />
+
+          {!user ? (
+            <div style={{ textAlign: "center", padding: "4rem" }}>
+              <div style={{ fontSize: "4rem", marginBottom: "1rem" }}>🔒</div>
+              <Btn onClick={() => go("signin")}>Sign In</Btn>
+            </div>
+          ) : analytics && !list.length ? (
+            <div style={{ textAlign: "center", padding: "4rem" }}>
+              <div style={{ fontSize: "4rem", marginBottom: "1rem" }}>📊</div>
+              <p style={{ color: C.muted, marginBottom: "1.5rem" }}>No test attempts yet. Take a checkpoint or final test to see your results here.</p>
+              <Btn onClick={() => go("mycourses")}>My Courses</Btn>
+            </div>
+          ) : (
+            <>
+              {comparisons.length > 0 && (
+                <div style={{ ...card, marginBottom: "1.5rem" }}>
+                  <h3 style={{ marginBottom: "1rem" }}>🎯 Focused Review vs Original</h3>
+                  {comparisons.map((cmp) => (
+                    <div
+                      key={cmp.focused.id}
+                      style={{ display: "grid", gridTemplateColumns: "1fr 1fr auto", gap: "1rem", alignItems: "center", padding: "0.6rem 0", borderTop: `1px solid ${C.border}`, fontSize: "0.85rem" }}
+                    >
+                      <div>
+                        <div style={{ fontWeight: 600 }}>{cmp.original.courseTitle}</div>
+                        <div style={{ color: C.muted, fontSize: "0.76rem" }}>
+                          last {cmp.original.last ?? "—"}% · best {cmp.original.best ?? "—"}% · {cmp.original.attempts} attempts
+                        </div>
+                      </div>
+                      <div>
+                        <div style={{ fontWeight: 600 }}>{cmp.focused.courseTitle}</div>
+                        <div style={{ color: C.muted, fontSize: "0.76rem" }}>
+                          last {cmp.focused.last ?? "—"}% · best {cmp.focused.best ?? "—"}% · {cmp.focused.attempts} attempts
+                        </div>
+                      </div>
+                      <div
+                        title="Best focused-review score minus the latest score in the original course"
+                        style={{ fontWeight: 800, color: cmp.change == null ? C.muted : cmp.change >= 0 ? C.success : C.danger }}
+                      >
+                        {cmp.change == null ? "—" : `${cmp.change >= 0 ? "+" : ""}${cmp.change} pts`}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill,minmax(420px,1fr))", gap: "1.5rem" }}>
+                {list.map((a) => (
+                  <div key={a.id} style={card}>
+                    <h3
+                      onClick={() => openCourse(a.id)}
+                      style={{ fontSize: "0.97rem", marginBottom: "1rem", cursor: "pointer", color: C.accent }}
+                    >
+                      {a.courseTitle}
+                    </h3>
+                    <div style={{ display: "grid", gridTemplateColumns: "repeat(5,1fr)", gap: "0.5rem", marginBottom: "1rem" }}>
+                      {stat("attempts", a.scores.attempts)}
+                      {stat("last", a.scores.last != null ? `${a.scores.last}%` : null)}
+                      {stat("best", a.scores.best != null ? `${a.scores.best}%` : null)}
+                      {stat("average", a.scores.average != null ? `${a.scores.average}%` : null)}
+                      {stat("avg. time", a.averageDurationMs != null ? formatDuration(a.averageDurationMs) : null)}
+                    </div>
+
+                    {a.trend.length > 0 && (
+                      <div style={{ marginBottom: "1rem" }}>
+                        <div style={lbl}>Final test scores</div>
+                        <ScoreTrend points={a.trend} />
+                      </div>
+                    )}
+
+                    {a.mostMissed.length > 0 && (
+                      <div style={{ marginBottom: "1rem" }}>
+                        <div style={lbl}>Most missed questions</div>
+                        {a.mostMissed.map((m) => (
+                          <div key={`${m.kind}/${m.unitId}/${m.questionId}`} style={{ fontSize: "0.8rem", padding: "0.35rem 0", borderBottom: `1px solid ${C.border}` }}>
+                            <span style={{ color: C.danger, fontWeight: 700 }}>{m.rate}%</span> {m.question}
+                            <div style={{ color: C.muted, fontSize: "0.72rem" }}>
+                              missed {m.misses} of {m.seen} · {m.kind === "checkpoint" ? "checkpoint" : "final test"}
+                              {m.lessonTitle && ` · ${m.lessonTitle}`}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    <div style={lbl}>Units, weakest first</div>
+                    {a.units
+                      .filter((u) => u.total > 0)
+                      .map((u) => (
+                        <div key={u.unitId} style={{ marginBottom: "0.6rem" }}>
+                          <div style={{ display: "flex", justifyContent: "space-between", fontSize: "0.8rem" }}>
+                            <span>{u.title}</span>
+                            <span style={{ color: u.pct >= 70 ? C.success : u.pct >= 50 ? C.accent : C.danger, fontWeight: 700 }}>{u.pct}%</span>
+                          </div>
+                          <ProgressBar pct={u.pct} />
+                          {u.lessons.length > 0 && u.lessons[0].pct < 100 && (
+                            <div style={{ color: C.muted, fontSize: "0.72rem" }}>
+                              Weakest lesson: {u.lessons[0].title} ({u.lessons[0].correct}/{u.lessons[0].total})
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // ===== SHARED LINK THAT DIDN'T OPEN =====
+  if (page === "shared") {
+    return (
+      <div style={appStyle}>
+        <Nav />
+        <div style={{ ...wrap, textAlign: "center", padding: "5rem 2rem" }}>
+          <div style={{ fontSize: "4rem", marginBottom: "1rem" }}>🔗</div>
+          <h1 style={{ marginBottom: "0.75rem" }}>Course link unavailable</h1>
+          <p style={{ color: C.muted, marginBottom: "2rem" }}>{shared?.error || "This link doesn't exist or was revoked."}</p>
+          <Btn onClick={() => go("home")}>Go to Home</Btn>
+        </div>
+      </div>
+    );
+  }
+
+  // ===== CLASSES =====
+  if (page === "classes") {
+    const teaching = classes?.teaching || [];
+    const enrolled = classes?.enrolled || [];
+    const instructor = user?.role === "instructor";
+    const unassigned = courses.filter((c) => !openClass?.assignments.some((a) => a.courseId === c.id));
+    const due = (a) => (a.dueAt ? `due ${new Date(a.dueAt).toLocaleDateString()}` : "no due date");
+    const statusTag = (status) => {
+      const [label, color] = ASSIGNMENT_STATUS[status] || ASSIGNMENT_STATUS.open;
+      return <span style={{ color, fontWeight: 700, fontSize: "0.72rem" }}>{label}</span>;
+    };
+    const th = { textAlign: "left", padding: "0.5rem", color: C.muted, fontWeight: 600, borderBottom: `1px solid ${C.border}`, verticalAlign: "bottom" };
+    const td = { padding: "0.5rem", borderBottom: `1px solid ${C.border}`, verticalAlign: "top" };
+    const small = { padding: "0.45rem 0.8rem", fontSize: "0.78rem" };
+    const iconBtn = { background: "transparent", border: "none", color: C.danger, cursor: "pointer", fontSize: "0.85rem" };
+    return (
+      <div style={appStyle}>
+        <Nav />
+        <div style={wrap}>
+          <h1 style={{ marginBottom: "0.4rem" }}>Classes</h1>
+          <p style={{ color: C.muted, marginBottom: "2rem" }}>
+            {!user
+              ? "Sign in to join or run a class"
+              : classesLoading
+                ? "Loading..."
+                : instructor
+                  ? "Run classes, assign courses and follow how each student is doing"
+                  : "Courses your instructors assigned to you"}
+          </p>
+
+          <Err msg={classErr} />
+
+          {!user ? (
+            <div style={{ textAlign: "center", padding: "4rem" }}>
+              <div style={{ fontSize: "4rem", marginBottom: "1rem" }}>🔒</div>
+              <Btn onClick={() => go("signin")}>Sign In</Btn>
+            </div>
+          ) : openClass ? (
+            <>
+              <span onClick={closeClassroom} style={{ color: C.accent, cursor: "pointer", fontSize: "0.85rem" }}>
+                ← All classes
+              </span>
+              <div style={{ ...card, margin: "1rem 0 1.5rem", display: "flex", flexWrap: "wrap", gap: "1rem", alignItems: "center", justifyContent: "space-between" }}>
+                <div>
+                  <h2 style={{ fontSize: "1.2rem", marginBottom: "0.3rem" }}>{openClass.name}</h2>
+                  <div style={{ color: C.muted, fontSize: "0.84rem" }}>
+                    Join code <b style={{ color: C.text, letterSpacing: "2px", fontSize: "1rem" }}>{openClass.joinCode}</b> · {openClass.studentCount} student
+                    {openClass.studentCount !== 1 && "s"}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: "0.5rem" }}>
+                  <Btn outline onClick={renewJoinCode} style={small}>
+                    🔄 New Code
+                  </Btn>
+                  <Btn outline onClick={deleteClass} style={{ ...small, color: C.danger, border: `1.5px solid ${C.danger}` }}>
+                    🗑 Delete Class
+                  </Btn>
+                </div>
+              </div>
+
+              <div style={{ ...card, marginBottom: "1.5rem" }}>
+                <h3 style={{ marginBottom: "1rem" }}>📚 Assigned Courses</h3>
+                {openClass.assignments.map((a) => (
+                  <div key={a.id} style={{ display: "flex", alignItems: "center", gap: "0.75rem", padding: "0.5rem 0", borderTop: `1px solid ${C.border}`, fontSize: "0.85rem" }}>
+                    <span style={{ flex: 1, fontWeight: 600 }}>{a.courseTitle}</span>
+                    <span style={{ color: C.muted, fontSize: "0.76rem" }}>Due</span>
+                    <input
+                      type="date"
+                      style={{ ...field, width: "auto", padding: "0.35rem 0.5rem", fontSize: "0.78rem" }}
+                      value={dueDateInput(a.dueAt)}
+                      onChange={(e) => setDueDate(a, e.target.value)}
+                    />
+                    <button title="Remove from class" onClick={() => unassignCourse(a)} style={iconBtn}>
+                      ✕
+                    </button>
+                  </div>
+                ))}
+                <div style={{ display: "flex", gap: "0.5rem", marginTop: "1rem", flexWrap: "wrap" }}>
+                  <select
+                    style={{ ...field, flex: 2, minWidth: "220px" }}
+                    value={assignForm.courseId}
+                    onChange={(e) => setAssignForm((f) => ({ ...f, courseId: e.target.value }))}
+                  >
+                    <option value="">{unassigned.length ? "Choose one of your courses..." : "No more courses to assign"}</option>
+                    {unassigned.map((c) => (
+                      <option key={c.id} value={c.id}>
+                        {c.courseTitle}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="date"
+                    title="Due date (optional)"
+                    style={{ ...field, flex: 1, minWidth: "150px" }}
+                    value={assignForm.due}
+                    onChange={(e) => setAssignForm((f) => ({ ...f, due: e.target.value }))}
+                  />
+                  <Btn onClick={assignCourse} disabled={!assignForm.courseId}>
+                    Assign
+                  </Btn>
+                </div>
+              </div>
+
+              <div style={{ ...card, marginBottom: "1.5rem", overflowX: "auto" }}>
+                <h3 style={{ marginBottom: "1rem" }}>👥 Students</h3>
+                {!openClass.students.length ? (
+                  <p style={{ color: C.muted, fontSize: "0.85rem" }}>
+                    No students yet. Share the join code <b>{openClass.joinCode}</b> with your class.
+                  </p>
+                ) : (
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.8rem" }}>
+                    <thead>
+                      <tr>
+                        <th style={th}>Student</th>
+                        {openClass.assignments.map((a) => (
+                          <th key={a.id} style={th}>
+                            {a.courseTitle}
+                            <div style={{ fontWeight: 400, fontSize: "0.72rem" }}>{due(a)}</div>
+                          </th>
+                        ))}
+                        <th style={th} />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {openClass.students.map((s) => (
+                        <tr key={s.id} style={{ background: studentDetail?.student.id === s.id ? `${C.accent}12` : "transparent" }}>
+                          <td style={td}>
+                            <span onClick={() => showStudent(s)} style={{ color: C.accent, cursor: "pointer", fontWeight: 600 }}>
+                              {s.name}
+                            </span>
+                            <div style={{ color: C.muted, fontSize: "0.72rem" }}>{s.email}</div>
+                          </td>
+                          {s.assignments.map((a) => (
+                            <td key={a.id} style={{ ...td, minWidth: "150px" }}>
+                              <ProgressBar pct={a.progress.pct} />
+                              <div style={{ color: C.muted, fontSize: "0.72rem" }}>
+                                {a.progress.completedLessons}/{a.progress.totalLessons} lessons ·{" "}
+                                {a.progress.lastScore != null ? `test ${a.progress.lastScore}% (best ${a.progress.bestScore}%)` : "no test yet"}
+                              </div>
+                              {statusTag(a.status)}
+                            </td>
+                          ))}
+                          <td style={{ ...td, textAlign: "right" }}>
+                            <button title="Remove from class" onClick={() => removeStudent(s)} style={iconBtn}>
+                              ✕
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              {studentDetail && (
+                <div style={card}>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+                    <h3 style={{ marginBottom: "0.3rem" }}>📊 {studentDetail.student.name}</h3>
+                    <span onClick={() => setStudentDetail(null)} style={{ color: C.muted, cursor: "pointer" }}>
+                      ✕
+                    </span>
+                  </div>
+                  <p style={{ color: C.muted, fontSize: "0.78rem", marginBottom: "1rem" }}>
+                    {studentDetail.student.email} · joined {new Date(studentDetail.student.joinedAt).toLocaleDateString()}
+                  </p>
+                  {studentDetail.courses.map((x) => {
+                    const weakest = x.analytics.units.filter((u) => u.total > 0).slice(0, 3);
+                    return (
+                      <div key={x.id} style={{ borderTop: `1px solid ${C.border}`, padding: "1rem 0" }}>
+                        <div style={{ display: "flex", justifyContent: "space-between", gap: "1rem", marginBottom: "0.5rem" }}>
+                          <b style={{ fontSize: "0.9rem" }}>{x.courseTitle}</b>
+                          <span style={{ fontSize: "0.76rem", color: C.muted }}>
+                            {x.progress.completedLessons}/{x.progress.totalLessons} lessons · {due(x)} · {statusTag(x.status)}
+                          </span>
+                        </div>
+                        {x.analytics.trend.length > 1 && (
+                          <div style={{ marginBottom: "0.75rem" }}>
+                            <div style={lbl}>Final test scores</div>
+                            <ScoreTrend points={x.analytics.trend} />
+                          </div>
+                        )}
+                        {!x.attempts.length ? (
+                          <p style={{ color: C.muted, fontSize: "0.8rem" }}>No tests taken yet.</p>
+                        ) : (
+                          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.78rem" }}>
+                            <thead>
+                              <tr>
+                                {["Test", "Taken", "Score", "Time"].map((h) => (
+                                  <th key={h} style={th}>
+                                    {h}
+                                  </th>
+                                ))}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {x.attempts.map((a) => (
+                                <tr key={a.id}>
+                                  <td style={td}>{a.kind === "final" ? "Final test" : `Checkpoint · ${a.unitTitle || a.unitId}`}</td>
+                                  <td style={td}>{new Date(a.at).toLocaleString()}</td>
+                                  <td style={{ ...td, fontWeight: 700, color: a.score.pct >= 70 ? C.success : a.score.pct >= 50 ? C.accent : C.danger }}>
+                                    {a.score.pct}% ({a.score.correct}/{a.score.total})
+                                  </td>
+                                  <td style={td}>{formatDuration(a.durationMs)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                        {weakest.length > 0 && (
+                          <p style={{ color: C.muted, fontSize: "0.76rem", marginTop: "0.6rem" }}>
+                            Weakest units: {weakest.map((u) => `${u.title} (${u.pct}%)`).join(", ")}
+                          </p>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill,minmax(320px,1fr))", gap: "1.5rem", marginBottom: "2rem" }}>
+                <div style={card}>
+                  <h3 style={{ marginBottom: "0.75rem" }}>🎟 Join a Class</h3>
+                  <div style={{ display: "flex", gap: "0.5rem" }}>
+                    <input
+                      style={{ ...field, textTransform: "uppercase" }}
+                      maxLength={12}
+                      placeholder="Join code from your instructor"
+                      value={joinCode}
+                      onChange={(e) => setJoinCode(e.target.value)}
+                      onKeyDown={(e) => e.key === "Enter" && joinCode.trim() && joinClass()}
+                    />
+                    <Btn onClick={joinClass} disabled={!joinCode.trim()}>
+                      Join
+                    </Btn>
+                  </div>
+                </div>
+                {instructor ? (
+                  <div style={card}>
+                    <h3 style={{ marginBottom: "0.75rem" }}>🏫 New Class</h3>
+                    <div style={{ display: "flex", gap: "0.5rem" }}>
+                      <input
+                        style={field}
+                        maxLength={120}
+                        placeholder="Class name, e.g. Biology 101"
+                        value={newClassName}
+                        onChange={(e) => setNewClassName(e.target.value)}
+                        onKeyDown={(e) => e.key === "Enter" && newClassName.trim() && createClass()}
+                      />
+                      <Btn onClick={createClass} disabled={!newClassName.trim()}>
+                        Create
+                      </Btn>
+                    </div>
+                  </div>
+                ) : (
+                  <div style={card}>
+                    <h3 style={{ marginBottom: "0.5rem" }}>🏫 Teaching?</h3>
+                    <p style={{ color: C.muted, fontSize: "0.84rem", marginBottom: "1rem", lineHeight: 1.6 }}>
+                      Instructors create classes, invite students with a join code, assign courses with due dates and see each student's
+                      progress and test results.
+                    </p>
+                    <p style={{ color: C.muted, fontSize: "0.84rem", lineHeight: 1.6 }}>
+                      Instructor accounts are set up by whoever runs this site — ask them to add your email.
+                    </p>
+                  </div>
+                )}
+              </div>
+
+              {teaching.length > 0 && (
+                <>
+                  <h2 style={{ fontSize: "1.1rem", marginBottom: "1rem" }}>Classes You Teach</h2>
+                  <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill,minmax(300px,1fr))", gap: "1.5rem", marginBottom: "2rem" }}>
+                    {teaching.map((k) => (
+                      <div
+                        key={k.id}
+                        style={{ ...card, cursor: "pointer", transition: "border-color 0.2s" }}
+                        onMouseEnter={(e) => (e.currentTarget.style.borderColor = C.accent)}
+                        onMouseLeave={(e) => (e.currentTarget.style.borderColor = C.border)}
+                        onClick={() => openClassroom(k.id)}
+                      >
+                        <h3 style={{ fontSize: "0.97rem", marginBottom: "0.75rem" }}>{k.name}</h3>
+                        <div style={{ display: "flex", gap: "1rem", fontSize: "0.78rem", color: C.muted }}>
+                          <span>👥 {k.studentCount} students</span>
+                          <span>📚 {k.assignmentCount} courses</span>
+                          <span>🎟 {k.joinCode}</span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+
+              {enrolled.length > 0 && <h2 style={{ fontSize: "1.1rem", marginBottom: "1rem" }}>Your Classes</h2>}
+              {enrolled.map((k) => (
+                <div key={k.id} style={{ ...card, marginBottom: "1.5rem" }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: "0.75rem" }}>
+                    <h3 style={{ fontSize: "0.97rem" }}>
+                      {k.name}
+                      {k.instructor && <span style={{ color: C.muted, fontWeight: 400 }}> · {k.instructor}</span>}
+                    </h3>
+                    <span onClick={() => leaveClass(k)} style={{ color: C.muted, cursor: "pointer", fontSize: "0.78rem" }}>
+                      Leave
+                    </span>
+                  </div>
+                  {!k.assignments.length && <p style={{ color: C.muted, fontSize: "0.84rem" }}>No courses assigned yet.</p>}
+                  {k.assignments.map((a) => (
+                    <div key={a.id} style={{ padding: "0.6rem 0", borderTop: `1px solid ${C.border}` }}>
+                      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "1rem" }}>
+                        <span
+                          onClick={() => openCourse(a.courseId, !!a.progress.position)}
+                          style={{ color: C.accent, cursor: "pointer", fontWeight: 600, fontSize: "0.88rem" }}
+                        >
+                          {a.progress.position ? "▶ " : ""}
+                          {a.courseTitle}
+                        </span>
+                        <span style={{ fontSize: "0.76rem", color: C.muted }}>
+                          {due(a)} · {statusTag(a.status)}
+                        </span>
+                      </div>
+                      <ProgressBar pct={a.progress.pct} />
+                      <div style={{ fontSize: "0.76rem", color: C.muted }}>
+                        {a.progress.completedLessons}/{a.progress.totalLessons} lessons
+                        {a.progress.lastScore != null && ` · test ${a.progress.lastScore}%`}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ))}
+
+              {classes && !teaching.length && !enrolled.length && (
+                <div style={{ textAlign: "center", padding: "3rem" }}>
+                  <div style={{ fontSize: "4rem", marginBottom: "1rem" }}>🏫</div>
+                  <p style={{ color: C.muted }}>
+                    {instructor ? "Create your first class, or join one with a code." : "Join a class with the code your instructor gave you."}
+                  </p>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // ===== REVIEW =====
+  if (page === "review") {
+    const item = reviewQueue[0];
     return (
       <div style={appStyle}>
         <Nav />
-        <div style={wrap}>
-          <h1 style={{ marginBottom: "0.4rem" }}>My Courses</h1>
-          <p style={{ color: C.muted, marginBottom: "2.5rem" }}>
-            {user ? `${courses_.length} course${courses_.length !== 1 ? "s" : ""} saved` : "Sign in to view your saved courses"}
+        <div style={{ ...wrap, maxWidth: "760px" }}>
+          <h1 style={{ marginBottom: "0.4rem" }}>Review</h1>
+          <p style={{ color: C.muted, marginBottom: "2rem" }}>
+            {!user
+              ? "Sign in to review flashcards from your courses"
+              : reviewCounts
+                ? `${reviewCounts.due} due · ${reviewCounts.new} new · ${reviewCounts.total} cards${reviewCourse ? ` in ${reviewCourse.courseTitle}` : " across all courses"}`
+                : "Loading..."}
+            {reviewCourse && (
+              <>
+                {" · "}
+                <span onClick={() => setReviewCourse(null)} style={{ color: C.accent, cursor: "pointer" }}>
+                  All courses
+                </span>
+              </>
+            )}
           </p>
 
+          <Err msg={reviewErr} />
+
           {!user ? (
             <div style={{ textAlign: "center", padding: "4rem" }}>
               <div style={{ fontSize: "4rem", marginBottom: "1rem" }}>🔒</div>
-              <p style={{ color: C.muted, marginBottom: "1.5rem" }}>Please sign in to access your courses</p>
               <Btn onClick={() => go("signin")}>Sign In</Btn>
             </div>
-          ) : courses_.length === 0 ? (
+          ) : reviewLoading && !item ? (
+            <Info msg="Loading flashcards..." />
+          ) : !item ? (
             <div style={{ textAlign: "center", padding: "4rem" }}>
-              <div style={{ fontSize: "4rem", marginBottom: "1rem" }}>📚</div>
-              <p style={{ color: C.muted, marginBottom: "1.5rem" }}>No courses yet. Create your first one!</p>
-              <Btn onClick={() => go("create")}>Create Course</Btn>
+              <div style={{ fontSize: "4rem", marginBottom: "1rem" }}>{reviewCounts?.total ? "🎉" : "🃏"}</div>
+              <p style={{ color: C.muted, marginBottom: "1.5rem" }}>
+                {reviewCounts?.total
+                  ? `Nothing due right now${reviewedCount ? ` — ${reviewedCount} card${reviewedCount !== 1 ? "s" : ""} reviewed` : ""}. Come back later.`
+                  : "No flashcards yet. Open a course and click Build Flashcards."}
+              </p>
+              <Btn outline onClick={() => go("mycourses")}>My Courses</Btn>
             </div>
           ) : (
-            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill,minmax(300px,1fr))", gap: "1.5rem" }}>
-              {courses_.map((c, i) => (
-                <div
-                  key={i}
-                  style={{ ...card, cursor: "pointer", transition: "border-color 0.2s" }}
-                  onMouseEnter={(e) => (e.currentTarget.style.borderColor = C.accent)}
-                  onMouseLeave={(e) => (e.currentTarget.style.borderColor = C.border)}
-                  onClick={() => {
-                    setCourse(c);
-                    setUI(0);
-                    setLI(0);
-                    setInTest(false);
-                    setAns({});
-                    setSubmitted(false);
-                    setScore(null);
-                    setAnalysis("");
-                    setLastWrong([]);
-                    go("course");
-                  }}
-                >
+            <div style={card}>
+              <div style={{ display: "flex", justifyContent: "space-between", color: C.muted, fontSize: "0.78rem", marginBottom: "1.25rem" }}>
+                <span>{item.courseTitle}</span>
+                <span>
+                  {item.review ? `Due ${new Date(item.review.due).toLocaleDateString()}` : "New card"} · {reviewQueue.length} left
+                </span>
+              </div>
+              <div style={{ fontSize: "1.1rem", fontWeight: 600, lineHeight: 1.7, whiteSpace: "pre-wrap", marginBottom: "1.5rem" }}>
+                {item.card.front}
+              </div>
+              {flipped ? (
+                <>
                   <div
                     style={{
-                      background: `linear-gradient(135deg,${C.accent}22,${C.accent2}22)`,
-                      borderRadius: "8px",
-                      padding: "1.25rem",
-                      textAlign: "center",
-                      fontSize: "2.5rem",
-                      marginBottom: "1rem",
+                      borderTop: `1px solid ${C.border}`,
+                      paddingTop: "1.25rem",
+                      color: C.muted,
+                      lineHeight: 1.8,
+                      whiteSpace: "pre-wrap",
+                      marginBottom: "1.5rem",
                     }}
                   >
-                    📖
+                    {item.card.back}
                   </div>
-                  <h3 style={{ marginBottom: "0.5rem", fontSize: "0.97rem" }}>{c.courseTitle}</h3>
-                  <p style={{ color: C.muted, fontSize: "0.84rem", marginBottom: "1rem", lineHeight: 1.6 }}>
-                    {c.courseDescription}
-                  </p>
-                  <div style={{ display: "flex", gap: "1rem", fontSize: "0.78rem", color: C.muted }}>
-                    <span>📚 {c.units?.length || 0} units</span>
-                    <span>❓ {c.finalTest?.questions?.length || 0} Qs</span>
-                    <span>📅 {c.createdAt}</span>
+                  <div style={{ display: "grid", gridTemplateColumns: "repeat(4,1fr)", gap: "0.5rem" }}>
+                    {[
+                      [1, "Again", C.danger],
+                      [3, "Hard", C.accent2],
+                      [4, "Good", C.accent],
+                      [5, "Easy", C.success],
+                    ].map(([grade, label, color]) => (
+                      <Btn key={grade} outline onClick={() => gradeCard(grade)} disabled={savingReview} style={{ border: `1px solid ${color}`, color }}>
+                        {label}
+                      </Btn>
+                    ))}
                   </div>
-                </div>
-              ))}
+                </>
+              ) : (
+                <Btn full onClick={() => setFlipped(true)}>
+                  Show Answer
+                </Btn>
+              )}
             </div>
           )}
         </div>
@@ -1025,8 +3561,58 @@ export default function App() {
             </div>
           )}
 
+          {generating && live?.outline && (
+            <div style={{ ...card, marginBottom: "1.5rem", border: `1px solid ${palette.accent}40` }}>
+              <p style={{ color: palette.accent, fontSize: "0.72rem", textTransform: "uppercase", letterSpacing: "1.5px", fontWeight: 700, margin: "0 0 0.5rem" }}>
+                Live preview
+              </p>
+              <h3 style={{ margin: "0 0 0.35rem" }}>{live.outline.courseTitle}</h3>
+              <p style={{ color: palette.muted, fontSize: "0.86rem", marginTop: 0, marginBottom: "1rem", lineHeight: 1.6 }}>
+                {live.outline.courseDescription}
+              </p>
+              {live.outline.units.map((u, ui) => {
+                const done = live.units[ui];
+                return (
+                  <div key={u.id} style={{ padding: "0.6rem 0", borderTop: `1px solid ${palette.border}` }}>
+                    <div style={{ display: "flex", gap: "0.6rem", alignItems: "center", fontWeight: 600, fontSize: "0.9rem" }}>
+                      <span>{done ? "✅" : "⏳"}</span>
+                      <span style={{ color: done ? palette.text : palette.muted }}>{u.title}</span>
+                    </div>
+                    <div style={{ paddingLeft: "1.8rem", marginTop: "0.3rem" }}>
+                      {u.sourceSections?.length > 0 && (
+                        <div style={{ color: palette.accent, fontSize: "0.74rem", marginBottom: "0.2rem" }}>
+                          📎 From {sourceLabels(live.outline, u.sourceSections)}
+                        </div>
+                      )}
+                      {(done || u).lessons.map((l) => (
+                        <div key={l.id} style={{ color: palette.muted, fontSize: "0.8rem", lineHeight: 1.7 }}>
+                          ▸ {l.title}
+                          {done && l.keyPoints?.length > 0 && (
+                            <span style={{ color: palette.muted, opacity: 0.75 }}> — {l.keyPoints.length} key points</span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+              {live.outline.coverage?.uncovered?.length > 0 && (
+                <div style={{ padding: "0.6rem 0", borderTop: `1px solid ${palette.border}`, color: palette.danger, fontSize: "0.8rem" }}>
+                  ⚠️ Not used by any unit: {sourceLabels(live.outline, live.outline.coverage.uncovered)}
+                </div>
+              )}
+              <div style={{ paddingTop: "0.6rem", borderTop: `1px solid ${palette.border}`, fontSize: "0.88rem", fontWeight: 600, color: live.hasQuiz ? palette.text : palette.muted }}>
+                {live.hasQuiz ? "✅" : live.phase === "quiz" ? "⏳" : "▫️"} Final test
+              </div>
+            </div>
+          )}
+
           <div style={{ ...card, marginBottom: "1.5rem" }}>
-            <h3 style={{ marginBottom: "1rem" }}>📁 Upload Your Document</h3>
+            <h3 style={{ marginBottom: "0.4rem" }}>📁 Upload Your Documents</h3>
+            <p style={{ color: C.muted, fontSize: "0.84rem", marginTop: 0, marginBottom: "1rem" }}>
+              Add the syllabus and any lecture notes, slides or reading lists. They are combined into one course, and each unit shows which files it
+              draws on.
+            </p>
             <div
               style={{
                 border: `2px dashed ${C.border}`,
@@ -1042,44 +3628,77 @@ export default function App() {
               onDragOver={(e) => e.preventDefault()}
               onDrop={(e) => {
                 e.preventDefault();
-                const f = e.dataTransfer.files[0];
-                if (f) handleFile(f);
+                if (e.dataTransfer.files.length) handleFiles(e.dataTransfer.files);
               }}
             >
               <div style={{ fontSize: "2.5rem", marginBottom: "0.75rem" }}>☁️</div>
-              <p style={{ fontWeight: 600, marginBottom: "0.4rem" }}>
-                {file ? file.name : "Drop file here or click to browse"}
-              </p>
+              <p style={{ fontWeight: 600, marginBottom: "0.4rem" }}>Drop files here or click to browse</p>
               <p style={{ color: C.muted, fontSize: "0.85rem", margin: 0 }}>
-                PDF · DOCX · JPG · PNG · Max recommended size: 10MB
+                PDF (scanned too) · DOCX · PPTX · EPUB · RTF · HTML · MD · TXT · JPG · PNG · TIFF · HEIC · several files at once · Max recommended size: 10MB each
               </p>
               <input
                 ref={fileRef}
                 type="file"
-                accept=".pdf,.docx,.jpg,.jpeg,.png"
+                multiple
+                accept={DOCUMENT_ACCEPT}
                 style={{ display: "none" }}
                 onChange={(e) => {
-                  if (e.target.files?.[0]) handleFile(e.target.files[0]);
+                  if (e.target.files?.length) handleFiles(e.target.files);
+                  e.target.value = "";
                 }}
               />
             </div>
 
-            {extracting && (
-              <p style={{ color: palette.accent, marginTop: "0.75rem", fontSize: "0.88rem" }}>
-                ⏳ Extracting text locally...
-              </p>
-            )}
+            <div style={{ marginTop: "1rem" }}>
+              <label style={lbl}>Or paste text</label>
+              <textarea
+                rows={3}
+                style={{ ...field, resize: "vertical" }}
+                placeholder="Paste a reading list, notes or any other course material..."
+                value={pasteText}
+                onChange={(e) => setPasteText(e.target.value)}
+              />
+              <Btn outline onClick={addPastedText} disabled={!pasteText.trim()} style={{ marginTop: "0.5rem", padding: "0.45rem 0.9rem", fontSize: "0.82rem" }}>
+                ➕ Add Text
+              </Btn>
+            </div>
 
-            {file && (
-              <p style={{ color: palette.muted, fontSize: "0.83rem", marginTop: "0.6rem" }}>
-                Selected file size: {(file.size / (1024 * 1024)).toFixed(2)} MB
-              </p>
+            {docs.length > 0 && (
+              <div style={{ marginTop: "1rem" }}>
+                {docs.map((d) => (
+                  <div
+                    key={d.id}
+                    style={{ display: "flex", gap: "0.75rem", alignItems: "center", padding: "0.55rem 0", borderTop: `1px solid ${C.border}`, fontSize: "0.85rem" }}
+                  >
+                    <span>{d.status === "extracting" ? "⏳" : d.status === "ready" ? "✅" : "❌"}</span>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ fontWeight: 600, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{d.name}</div>
+                      <div style={{ color: d.status === "error" ? C.danger : C.muted, fontSize: "0.76rem" }}>
+                        {d.status === "extracting"
+                          ? d.progress || (DOCUMENT_TYPES[d.kind]?.ocr ? "Reading text with OCR..." : "Extracting text locally...")
+                          : d.status === "ready"
+                          ? `${d.text.length.toLocaleString()} characters${d.kind === "text" ? "" : ` · ${(d.size / (1024 * 1024)).toFixed(2)} MB`}`
+                          : d.error}
+                      </div>
+                    </div>
+                    <button
+                      title="Remove"
+                      onClick={() => removeDoc(d.id)}
+                      disabled={generating}
+                      style={{ background: "transparent", border: "none", color: C.muted, cursor: "pointer" }}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
             )}
 
             {etxt && (
               <div style={{ marginTop: "1rem" }}>
                 <p style={{ color: C.success, fontSize: "0.88rem", marginBottom: "0.5rem" }}>
-                  ✅ Text extracted ({etxt.length.toLocaleString()} characters)
+                  ✅ Text extracted ({etxt.length.toLocaleString()} characters
+                  {readyDocs.length > 1 ? ` from ${readyDocs.length} documents` : ""}){detectedLang && ` · 🌐 ${detectedLang}`}
                 </p>
                 <div
                   style={{
@@ -1101,15 +3720,188 @@ export default function App() {
             )}
           </div>
 
+          <div style={{ ...card, marginBottom: "1.5rem" }}>
+            <h3 style={{ marginBottom: "0.4rem" }}>⚙️ Generation Settings</h3>
+            <p style={{ color: C.muted, fontSize: "0.84rem", marginTop: 0, marginBottom: "1rem" }}>
+              Saved with the course, so regenerating a lesson or unit later uses the same settings.
+            </p>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit,minmax(200px,1fr))", gap: "0.75rem" }}>
+              {[
+                ["audience", "Target audience"],
+                ["tone", "Tone"],
+                ["difficulty", "Question difficulty"],
+              ].map(([k, label]) => (
+                <div key={k}>
+                  <label style={lbl}>{label}</label>
+                  <select style={field} value={genSettings[k]} onChange={(e) => setGenSettings((g) => ({ ...g, [k]: e.target.value }))}>
+                    {GEN_CHOICES[k].map(([v, text]) => (
+                      <option key={v} value={v}>
+                        {text}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+              <div>
+                <label style={lbl}>Language (blank = syllabus language)</label>
+                <input
+                  list="gen-languages"
+                  maxLength={40}
+                  placeholder={detectedLang ? `${detectedLang} (detected)` : "e.g. Spanish"}
+                  style={field}
+                  value={genSettings.language}
+                  onChange={(e) => setGenSettings((g) => ({ ...g, language: e.target.value }))}
+                />
+                <datalist id="gen-languages">
+                  {LANGUAGE_SUGGESTIONS.map((l) => (
+                    <option key={l} value={l} />
+                  ))}
+                </datalist>
+              </div>
+              <div>
+                <label style={lbl}>Units (0 = as many as needed)</label>
+                <input
+                  type="number"
+                  min={0}
+                  max={20}
+                  style={field}
+                  value={genSettings.unitCount}
+                  onChange={(e) => setGenSettings((g) => ({ ...g, unitCount: Math.max(0, Math.min(20, Math.floor(Number(e.target.value) || 0))) }))}
+                />
+              </div>
+              <div>
+                <label style={lbl}>Minimum words per lesson</label>
+                <input
+                  type="number"
+                  min={100}
+                  max={2000}
+                  step={50}
+                  style={field}
+                  value={genSettings.minimumLessonWords}
+                  onChange={(e) => setGenSettings((g) => ({ ...g, minimumLessonWords: Math.floor(Number(e.target.value) || 0) }))}
+                  onBlur={() => setGenSettings((g) => ({ ...g, minimumLessonWords: Math.max(100, Math.min(2000, g.minimumLessonWords)) }))}
+                />
+              </div>
+              <div>
+                <label style={lbl}>Final test questions</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={100}
+                  style={field}
+                  value={Object.values(questionMix).reduce((a, n) => a + n, 0)}
+                  onChange={(e) => setQuestionMix((m) => resizeMix(m, Math.max(1, Math.min(100, Math.floor(Number(e.target.value) || 1)))))}
+                />
+              </div>
+            </div>
+            <div style={{ display: "flex", gap: "1.5rem", flexWrap: "wrap", marginTop: "1rem" }}>
+              {[
+                ["workedExamples", "Worked examples in every lesson"],
+                ["exercises", "Practice exercises at the end of each lesson"],
+              ].map(([k, label]) => (
+                <label key={k} style={{ display: "flex", alignItems: "center", gap: "0.45rem", fontSize: "0.84rem", color: C.muted, cursor: "pointer" }}>
+                  <input type="checkbox" checked={genSettings[k]} onChange={(e) => setGenSettings((g) => ({ ...g, [k]: e.target.checked }))} />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div style={{ ...card, marginBottom: "1.5rem" }}>
+            <h3 style={{ marginBottom: "0.4rem" }}>🧪 Final Test Mix</h3>
+            <p style={{ color: C.muted, fontSize: "0.84rem", marginTop: 0, marginBottom: "1rem" }}>
+              How many questions of each type the final test should have ({Object.values(questionMix).reduce((a, n) => a + n, 0)} in
+              total).
+            </p>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit,minmax(150px,1fr))", gap: "0.75rem" }}>
+              {Object.entries(QUESTION_TYPES).map(([t, label]) => (
+                <div key={t}>
+                  <label style={lbl}>{label}</label>
+                  <input
+                    type="number"
+                    min={0}
+                    max={50}
+                    style={{ ...inp, background: palette.surf2, border: `1px solid ${palette.border}`, color: palette.text }}
+                    value={questionMix[t]}
+                    onChange={(e) => setQuestionMix((m) => ({ ...m, [t]: Math.max(0, Math.min(50, Math.floor(Number(e.target.value) || 0))) }))}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div style={{ ...card, marginBottom: "1.5rem" }}>
+            <h3 style={{ marginBottom: "0.4rem" }}>🧩 Unit Checkpoints</h3>
+            <p style={{ color: C.muted, fontSize: "0.84rem", marginTop: 0, marginBottom: "1rem" }}>
+              A short quiz after each unit's last lesson. With a mastery threshold, the next unit unlocks only once it is reached.
+            </p>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0.75rem" }}>
+              <div>
+                <label style={lbl}>Questions per unit (0 = none)</label>
+                <input
+                  type="number"
+                  min={0}
+                  max={10}
+                  style={{ ...inp, background: palette.surf2, border: `1px solid ${palette.border}`, color: palette.text }}
+                  value={checkpointQuestions}
+                  onChange={(e) => setCheckpointQuestions(Math.max(0, Math.min(10, Math.floor(Number(e.target.value) || 0))))}
+                />
+              </div>
+              <div>
+                <label style={lbl}>Mastery threshold % (0 = off)</label>
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  disabled={checkpointQuestions === 0}
+                  style={{ ...inp, background: palette.surf2, border: `1px solid ${palette.border}`, color: palette.text }}
+                  value={masteryThreshold}
+                  onChange={(e) => setMasteryThreshold(Math.max(0, Math.min(100, Math.floor(Number(e.target.value) || 0))))}
+                />
+              </div>
+            </div>
+          </div>
+
           <div style={{ ...card, marginBottom: "1.5rem", background: `${C.accent}08`, border: `1px solid ${C.accent}28` }}>
             <p style={{ color: C.muted, fontSize: "0.84rem", lineHeight: 1.75, margin: 0 }}>
-              ℹ️ <strong style={{ color: C.text }}>How it works:</strong> DOCX and text-based PDFs are extracted locally (Mammoth + PDF.js). JPG/PNG uses backend OCR. Course generation + test analysis happen on the backend (OpenAI key stays server-side).
+              ℹ️ <strong style={{ color: C.text }}>How it works:</strong> DOCX, text-based PDFs, PPTX, EPUB, RTF, HTML, Markdown and TXT are extracted locally in your browser (Mammoth + PDF.js for DOCX and PDF). Scanned PDF pages and JPG, PNG, TIFF and HEIC images are read with backend OCR. Course generation + test analysis happen on the backend (OpenAI key stays server-side).
             </p>
           </div>
 
-          <Btn full onClick={generate} disabled={generating || !file} style={{ padding: "1rem", fontSize: "1rem" }}>
+          <Btn
+            full
+            onClick={generate}
+            disabled={generating || extracting || !readyDocs.length || !Object.values(questionMix).some((n) => n > 0)}
+            style={{ padding: "1rem", fontSize: "1rem" }}
+          >
             {generating ? `⏳ ${gStatus || "Generating..."}` : "🚀 Generate Course"}
           </Btn>
+
+          <div style={{ ...card, marginTop: "1.5rem" }}>
+            <h3 style={{ marginBottom: "0.4rem" }}>📦 Import a Course Bundle</h3>
+            <p style={{ color: C.muted, fontSize: "0.84rem", marginTop: 0, marginBottom: "1rem" }}>
+              Already have a course? Import a <code>.syllabuild.json</code> bundle downloaded from My Courses, or a course written by hand in
+              the same format.
+            </p>
+            {user ? (
+              <Btn outline onClick={() => bundleRef.current.click()} disabled={importing || generating}>
+                {importing ? "⏳ Importing..." : "📂 Choose Bundle"}
+              </Btn>
+            ) : (
+              <Btn outline onClick={() => go("signin")}>
+                Sign in to import
+              </Btn>
+            )}
+            <input
+              ref={bundleRef}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: "none" }}
+              onChange={(e) => {
+                if (e.target.files?.[0]) importBundle(e.target.files[0]);
+              }}
+            />
+          </div>
         </div>
       </div>
     );
@@ -1183,51 +3975,25 @@ export default function App() {
 
                 <div style={card}>
                   <h3 style={{ marginBottom: "1.5rem" }}>📝 Detailed Review</h3>
-                  {qs.map((q, i) => {
-                    const ok = ans[i] === q.correctAnswer;
-                    return (
-                      <div
-                        key={i}
-                        style={{
-                          marginBottom: "1.5rem",
-                          paddingBottom: "1.5rem",
-                          borderBottom: i < qs.length - 1 ? `1px solid ${C.border}` : "none",
-                        }}
-                      >
-                        <div style={{ display: "flex", gap: "0.75rem", marginBottom: "0.75rem", alignItems: "flex-start" }}>
-                          <span style={{ color: ok ? C.success : C.danger, fontWeight: 800, fontSize: "1.1rem" }}>
-                            {ok ? "✓" : "✗"}
-                          </span>
-                          <span style={{ fontWeight: 600, fontSize: "0.93rem" }}>
-                            Q{i + 1}. {q.question}
-                          </span>
-                        </div>
-
-                        {q.options.map((opt, j) => (
-                          <div
-                            key={j}
-                            style={{
-                              padding: "0.45rem 0.9rem",
-                              borderRadius: "6px",
-                              marginBottom: "0.3rem",
-                              fontSize: "0.87rem",
-                              background: j === q.correctAnswer ? "#22c55e18" : j === ans[i] && !ok ? "#ef444418" : "transparent",
-                              color: j === q.correctAnswer ? C.success : j === ans[i] && !ok ? C.danger : C.muted,
-                              border: `1px solid ${j === q.correctAnswer ? "#22c55e35" : j === ans[i] && !ok ? "#ef444435" : "transparent"}`,
-                            }}
-                          >
-                            {["A", "B", "C", "D"][j]}. {opt}
-                          </div>
-                        ))}
+                  {qs.map((q, i) => (
+                    <QuestionReview
+                      key={i}
+                      q={q}
+                      n={i + 1}
+                      value={ans[i]}
+                      result={results[i]}
+                      last={i === qs.length - 1}
+                      lesson={questionLesson(course, q)?.lesson.title}
+                      onReviewLesson={() => reviewLesson(q)}
+                      source={passageLabels(course, q.sourcePassages)}
+                    />
+                  ))}
+                </div>
 
-                        {!ok && q.explanation && (
-                          <p style={{ color: C.muted, fontSize: "0.8rem", marginTop: "0.5rem", fontStyle: "italic", paddingLeft: "0.5rem" }}>
-                            💡 {q.explanation}
-                          </p>
-                        )}
-                      </div>
-                    );
-                  })}
+                <div style={{ display: "flex", justifyContent: "flex-end", padding: "1.5rem 0 2rem" }}>
+                  <Btn outline onClick={retakeTest} disabled={analyzing}>
+                    ↻ Retake Test
+                  </Btn>
                 </div>
               </>
             ) : (
@@ -1238,37 +4004,18 @@ export default function App() {
                       <p style={{ fontWeight: 600, marginBottom: "1rem", fontSize: "0.95rem" }}>
                         Q{i + 1}. {q.question}
                       </p>
-                      <div style={{ display: "flex", flexDirection: "column", gap: "0.5rem" }}>
-                        {q.options.map((opt, j) => (
-                          <div
-                            key={j}
-                            onClick={() => setAns((p) => ({ ...p, [i]: j }))}
-                            style={{
-                              padding: "0.7rem 1rem",
-                              borderRadius: "8px",
-                              cursor: "pointer",
-                              border: `1px solid ${ans[i] === j ? C.accent : C.border}`,
-                              background: ans[i] === j ? `${C.accent}18` : C.surf2,
-                              color: ans[i] === j ? C.accent : C.text,
-                              transition: "all 0.12s",
-                              fontSize: "0.92rem",
-                            }}
-                          >
-                            <span style={{ fontWeight: 700, marginRight: "0.75rem" }}>{["A", "B", "C", "D"][j]}.</span>
-                            {opt}
-                          </div>
-                        ))}
-                      </div>
+                      <QuestionInput q={q} value={ans[i]} onChange={(v) => setAns((p) => ({ ...p, [i]: v }))} />
                     </div>
                   ))}
                 </div>
 
+                <Err msg={testErr} />
                 <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "1.5rem" }}>
                   <span style={{ color: C.muted, fontSize: "0.88rem" }}>
-                    {Object.keys(ans).length} / {qs.length} answered
+                    {qs.filter((q, i) => isAnswered(q, ans[i])).length} / {qs.length} answered
                   </span>
-                  <Btn onClick={submitTest} disabled={Object.keys(ans).length < qs.length}>
-                    Submit Test →
+                  <Btn onClick={submitTest} disabled={grading || qs.some((q, i) => !isAnswered(q, ans[i]))}>
+                    {grading ? "⏳ Grading..." : "Submit Test →"}
                   </Btn>
                 </div>
               </>
@@ -1277,26 +4024,49 @@ export default function App() {
         </div>
       );
 
-    const unit = course.units?.[uIdx];
+    // while editing, everything below renders the draft
+    const view = draft || course;
+    const unit = view.units?.[uIdx];
     const lesson = unit?.lessons?.[lIdx];
     const isFirst = uIdx === 0 && lIdx === 0;
-    const isLast = uIdx === course.units.length - 1 && lIdx === (unit?.lessons?.length ?? 1) - 1;
+    const isLast = uIdx === view.units.length - 1 && lIdx === (unit?.lessons?.length ?? 1) - 1;
+    const endOfUnit = lIdx === (unit?.lessons?.length ?? 1) - 1;
+    const locked = draft ? view.units.length : firstLockedUnit(view);
+    const courseLanguage = view.generation?.settings?.language || "";
+    const translations = courses.filter((t) => t.translationOf === course.id);
+
+    const cpUnit = cp ? view.units[cp.ui] : null;
+    const cqs = cpUnit?.checkpoint?.questions || [];
+    const threshold = Number(view.masteryThreshold) || 0;
+    const cpPassed = !threshold || (view.checkpointResults?.[cpUnit?.id]?.best ?? -1) >= threshold;
+
+    const completed = new Set(progress?.completedLessons || []);
+    const lessonCount = view.units?.reduce((a, u) => a + (u?.lessons?.length || 0), 0) || 0;
+    const doneCount = view.units?.reduce((a, u) => a + (u?.lessons || []).filter((l) => completed.has(l.id)).length, 0) || 0;
+    const resumeAt = !draft && lessonIndex(view, progress?.position);
+    const canResume = resumeAt && (resumeAt.ui !== uIdx || resumeAt.li !== lIdx || cp);
+    // assigned through a class or opened from a share link: not the viewer's to change
+    const readOnly = !!course.access;
+    const hasTest = (view.finalTest?.questions?.length || 0) > 0;
+    const canAskTutor = !!(user && course.id && lesson && !cp && !draft);
 
     const prev = () => {
-      if (lIdx > 0) setLI((l) => l - 1);
-      else if (uIdx > 0) {
-        const pu = uIdx - 1;
-        setUI(pu);
-        setLI((course.units?.[pu]?.lessons?.length || 1) - 1);
-      }
+      if (lIdx > 0) visitLesson(uIdx, lIdx - 1);
+      else if (uIdx > 0) visitLesson(uIdx - 1, (view.units?.[uIdx - 1]?.lessons?.length || 1) - 1);
     };
 
+    // moving on from a lesson counts as finishing it
     const next = () => {
-      if (lIdx < (unit?.lessons?.length ?? 1) - 1) setLI((l) => l + 1);
-      else if (uIdx < course.units.length - 1) {
-        setUI((u) => u + 1);
-        setLI(0);
-      } else setInTest(true);
+      if (!draft) completeLesson(uIdx, lIdx);
+      if (!endOfUnit) visitLesson(uIdx, lIdx + 1);
+      else if (unit?.checkpoint && !draft) openCheckpoint(uIdx);
+      else nextUnit();
+    };
+
+    const nextUnit = () => {
+      setCp(null);
+      if (uIdx < view.units.length - 1) visitLesson(uIdx + 1, 0);
+      else if (hasTest) startTest();
     };
 
     return (
@@ -1309,23 +4079,77 @@ export default function App() {
               <p style={{ fontSize: "0.7rem", color: C.muted, textTransform: "uppercase", letterSpacing: "1.5px", fontWeight: 700, marginBottom: "0.5rem" }}>
                 Course
               </p>
-              <h3 style={{ fontSize: "0.9rem", lineHeight: 1.5, margin: "0 0 0.25rem" }}>{course.courseTitle}</h3>
+              {shared && (
+                <p style={{ color: C.muted, fontSize: "0.76rem", margin: "0 0 0.5rem" }}>
+                  🔗 Shared, read-only
+                  {shared.expiresAt && ` · until ${new Date(shared.expiresAt).toLocaleDateString()}`}
+                  {!user && (
+                    <>
+                      {" · "}
+                      <span onClick={() => go("signup")} style={{ color: C.accent, cursor: "pointer" }}>
+                        Build your own
+                      </span>
+                    </>
+                  )}
+                </p>
+              )}
+              <h3 style={{ fontSize: "0.9rem", lineHeight: 1.5, margin: "0 0 0.25rem" }}>{view.courseTitle}</h3>
               <p style={{ color: C.muted, fontSize: "0.76rem", margin: 0 }}>
-                {course.units?.length || 0} units · {course.units?.reduce((a, u) => a + (u?.lessons?.length || 0), 0) || 0} lessons
+                {view.units?.length || 0} units · {lessonCount} lessons
               </p>
+              {user && course.id && !draft && (
+                <>
+                  <ProgressBar pct={lessonCount ? (doneCount / lessonCount) * 100 : 0} />
+                  <p style={{ color: C.muted, fontSize: "0.72rem", margin: 0 }}>
+                    {doneCount} of {lessonCount} lessons done
+                    {score && ` · last test ${score.pct}%`}
+                  </p>
+                  {canResume && (
+                    <span
+                      onClick={() => visitLesson(resumeAt.ui, resumeAt.li)}
+                      style={{ display: "inline-block", marginTop: "0.35rem", color: C.accent, cursor: "pointer", fontSize: "0.76rem" }}
+                    >
+                      ▶ Resume: {view.units[resumeAt.ui].lessons[resumeAt.li].title}
+                    </span>
+                  )}
+                </>
+              )}
+              {(courseLanguage || course.translationOf || translations.length > 0) && (
+                <p style={{ color: C.muted, fontSize: "0.76rem", margin: "0.35rem 0 0" }}>
+                  🌐 {courseLanguage || "Language not recorded"}
+                  {course.translationOf && (
+                    <>
+                      {" · "}
+                      <span onClick={() => openCourse(course.translationOf)} style={{ color: C.accent, cursor: "pointer" }}>
+                        Original
+                      </span>
+                    </>
+                  )}
+                  {translations.map((t) => (
+                    <span key={t.id}>
+                      {" · "}
+                      <span onClick={() => openCourse(t.id)} style={{ color: C.accent, cursor: "pointer" }}>
+                        {t.language || t.courseTitle}
+                      </span>
+                    </span>
+                  ))}
+                </p>
+              )}
             </div>
 
             <div style={{ flex: 1, overflowY: "auto", padding: "0.5rem 0" }}>
-              {course.units?.map((u, ui) => (
+              {view.units?.map((u, ui) => (
                 <div key={ui}>
                   <div
                     onClick={() => {
-                      setUI(ui);
-                      setLI(0);
+                      if (ui >= locked) return;
+                      visitLesson(ui, 0);
                     }}
+                    title={ui >= locked ? `Score ${view.masteryThreshold}% on the previous checkpoint to unlock` : undefined}
                     style={{
                       padding: "0.65rem 1.25rem",
-                      cursor: "pointer",
+                      cursor: ui >= locked ? "not-allowed" : "pointer",
+                      opacity: ui >= locked ? 0.5 : 1,
                       fontSize: "0.8rem",
                       fontWeight: 600,
                       color: uIdx === ui ? C.accent : C.muted,
@@ -1334,44 +4158,594 @@ export default function App() {
                       transition: "all 0.15s",
                     }}
                   >
+                    {ui >= locked && "🔒 "}
                     {u.title}
+                    {view.checkpointResults?.[u.id] && (
+                      <span style={{ float: "right", fontWeight: 500, color: C.muted }}>{view.checkpointResults[u.id].best}%</span>
+                    )}
                   </div>
 
                   {uIdx === ui &&
                     u.lessons?.map((l, li) => (
                       <div
                         key={li}
-                        onClick={() => setLI(li)}
+                        onClick={() => visitLesson(ui, li)}
                         style={{
                           padding: "0.45rem 1.25rem 0.45rem 2.25rem",
                           cursor: "pointer",
                           fontSize: "0.78rem",
-                          color: lIdx === li ? C.text : C.muted,
-                          background: lIdx === li ? `${C.accent2}12` : "transparent",
-                          borderLeft: `3px solid ${lIdx === li ? C.accent2 : "transparent"}`,
+                          color: !cp && lIdx === li ? C.text : C.muted,
+                          background: !cp && lIdx === li ? `${C.accent2}12` : "transparent",
+                          borderLeft: `3px solid ${!cp && lIdx === li ? C.accent2 : "transparent"}`,
                           transition: "all 0.15s",
                         }}
                       >
-                        ▸ {l.title}
+                        {completed.has(l.id) ? <span style={{ color: C.success }}>✓</span> : "▸"} {l.title}
                       </div>
                     ))}
+                  {uIdx === ui && u.checkpoint && !draft && (
+                    <div
+                      onClick={() => openCheckpoint(ui)}
+                      style={{
+                        padding: "0.45rem 1.25rem 0.45rem 2.25rem",
+                        cursor: "pointer",
+                        fontSize: "0.78rem",
+                        color: cp ? C.text : C.muted,
+                        background: cp ? `${C.accent2}12` : "transparent",
+                        borderLeft: `3px solid ${cp ? C.accent2 : "transparent"}`,
+                        transition: "all 0.15s",
+                      }}
+                    >
+                      🧩 Checkpoint quiz
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
 
-            <div style={{ padding: "1rem 1.25rem", borderTop: `1px solid ${C.border}` }}>
-              <Btn full onClick={() => setInTest(true)} style={{ padding: "0.7rem", fontSize: "0.87rem" }}>
-                📝 Take Final Test
-              </Btn>
+            <div style={{ padding: "1rem 1.25rem", borderTop: `1px solid ${C.border}`, display: "flex", flexDirection: "column", gap: "0.5rem" }}>
+              {draft ? (
+                <>
+                  <Btn full outline onClick={() => setEditQuiz((v) => !v)} style={{ padding: "0.6rem", fontSize: "0.85rem" }}>
+                    {editQuiz ? "📖 Edit Lessons" : "📝 Edit Final Test"}
+                  </Btn>
+                  <Btn full onClick={saveDraft} disabled={saving || !!regenerating} style={{ padding: "0.7rem", fontSize: "0.87rem" }}>
+                    {saving ? "⏳ Saving..." : "💾 Save Changes"}
+                  </Btn>
+                  <Btn full outline onClick={cancelEditing} disabled={saving} style={{ padding: "0.6rem", fontSize: "0.85rem" }}>
+                    Cancel
+                  </Btn>
+                </>
+              ) : (
+                <>
+                  {hasTest && (
+                    <Btn full onClick={startTest} style={{ padding: "0.7rem", fontSize: "0.87rem" }}>
+                      📝 Take Final Test
+                    </Btn>
+                  )}
+                  {!readOnly && (
+                    <Btn full outline onClick={startEditing} style={{ padding: "0.6rem", fontSize: "0.85rem" }}>
+                      ✏️ Edit Course
+                    </Btn>
+                  )}
+                  {user && course.id && (
+                    <>
+                      {(!readOnly || course.flashcards?.cards?.length > 0) && (
+                        <>
+                          <div style={{ ...lbl, marginTop: "0.5rem", marginBottom: 0 }}>Flashcards</div>
+                          <div style={{ display: "flex", gap: "0.5rem" }}>
+                            {!readOnly && (
+                              <Btn full outline onClick={buildFlashcards} disabled={buildingCards} style={{ padding: "0.5rem", fontSize: "0.75rem" }}>
+                                {buildingCards ? "⏳ Building..." : course.flashcards?.cards?.length ? "🔄 Rebuild" : "🃏 Build Flashcards"}
+                              </Btn>
+                            )}
+                            {course.flashcards?.cards?.length > 0 && (
+                              <Btn full onClick={reviewCourseCards} style={{ padding: "0.5rem", fontSize: "0.75rem" }}>
+                                🧠 Review ({course.flashcards.cards.length})
+                              </Btn>
+                            )}
+                          </div>
+                        </>
+                      )}
+                      {!readOnly && (
+                        <>
+                          <div style={{ ...lbl, marginTop: "0.5rem", marginBottom: 0 }}>Translate</div>
+                          <div style={{ display: "flex", gap: "0.5rem" }}>
+                            <input
+                              list="translate-languages"
+                              maxLength={40}
+                              placeholder="Language, e.g. French"
+                              style={{ ...field, padding: "0.45rem 0.6rem", fontSize: "0.78rem" }}
+                              value={translateTo}
+                              onChange={(e) => setTranslateTo(e.target.value)}
+                              onKeyDown={(e) => e.key === "Enter" && translateCourse()}
+                            />
+                            <datalist id="translate-languages">
+                              {LANGUAGE_SUGGESTIONS.map((l) => (
+                                <option key={l} value={l} />
+                              ))}
+                            </datalist>
+                            <Btn outline onClick={translateCourse} disabled={translating || !translateTo.trim()} style={{ padding: "0.45rem 0.7rem", fontSize: "0.75rem" }}>
+                              {translating ? "⏳" : "🌐"}
+                            </Btn>
+                          </div>
+                          <div style={{ ...lbl, marginTop: "0.5rem", marginBottom: 0 }}>Share Read-Only Link</div>
+                          <div style={{ display: "flex", gap: "0.5rem" }}>
+                            <select
+                              style={{ ...field, padding: "0.45rem 0.5rem", fontSize: "0.75rem" }}
+                              value={shareOpts.visibility}
+                              onChange={(e) => setShareOpts((o) => ({ ...o, visibility: e.target.value }))}
+                            >
+                              <option value="unlisted">Unlisted</option>
+                              <option value="public">Public</option>
+                            </select>
+                            <select
+                              style={{ ...field, padding: "0.45rem 0.5rem", fontSize: "0.75rem" }}
+                              value={shareOpts.expiresInDays}
+                              onChange={(e) => setShareOpts((o) => ({ ...o, expiresInDays: e.target.value }))}
+                            >
+                              <option value="">Never expires</option>
+                              <option value="1">1 day</option>
+                              <option value="7">7 days</option>
+                              <option value="30">30 days</option>
+                            </select>
+                          </div>
+                          <label style={{ display: "flex", alignItems: "center", gap: "0.45rem", fontSize: "0.78rem", color: C.muted, cursor: "pointer" }}>
+                            <input
+                              type="checkbox"
+                              checked={shareOpts.includeTest}
+                              onChange={(e) => setShareOpts((o) => ({ ...o, includeTest: e.target.checked }))}
+                            />
+                            Include checkpoints and final test
+                          </label>
+                          <Btn full outline onClick={createShare} disabled={sharing} style={{ padding: "0.5rem", fontSize: "0.75rem" }}>
+                            {sharing ? "⏳ Creating..." : "🔗 Create & Copy Link"}
+                          </Btn>
+                          {shares.map((s) => (
+                            <div key={s.token} style={{ display: "flex", alignItems: "center", gap: "0.4rem", fontSize: "0.74rem", color: C.muted }}>
+                              <span title={shareUrl(s)} style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                                {s.expired ? "⌛" : "🔗"} {s.visibility}
+                                {s.includeTest && " + test"}
+                                {s.expiresAt && ` · ${s.expired ? "expired" : `until ${new Date(s.expiresAt).toLocaleDateString()}`}`}
+                              </span>
+                              <button
+                                title="Copy link"
+                                onClick={() => copyShare(s)}
+                                style={{ background: "transparent", border: "none", color: C.accent, cursor: "pointer", fontSize: "0.8rem" }}
+                              >
+                                {copiedShare === s.token ? "✓" : "📋"}
+                              </button>
+                              <button
+                                title="Revoke link"
+                                onClick={() => revokeShare(s)}
+                                style={{ background: "transparent", border: "none", color: C.danger, cursor: "pointer", fontSize: "0.8rem" }}
+                              >
+                                ✕
+                              </button>
+                            </div>
+                          ))}
+                        </>
+                      )}
+                      {!readOnly && (
+                        <>
+                          <div style={{ ...lbl, marginTop: "0.5rem", marginBottom: 0 }}>Print / Offline Study</div>
+                          {[
+                            ["guide", "Key points only (study guide)"],
+                            ["worksheet", "Add final test worksheet"],
+                            ["answerKey", "Worksheet answer key only (separate file)"],
+                          ].map(([k, label]) => (
+                            <label key={k} style={{ display: "flex", alignItems: "center", gap: "0.45rem", fontSize: "0.78rem", color: C.muted, cursor: "pointer" }}>
+                              <input
+                                type="checkbox"
+                                checked={printOpts[k]}
+                                disabled={k !== "answerKey" && printOpts.answerKey}
+                                onChange={(e) => setPrintOpts((o) => ({ ...o, [k]: e.target.checked }))}
+                              />
+                              {label}
+                            </label>
+                          ))}
+                          {[
+                            [
+                              ["pdf", "PDF"],
+                              ["docx", "Word"],
+                              ["md", "Markdown"],
+                            ],
+                            [
+                              ["scorm12", "SCORM 1.2"],
+                              ["cmi5", "cmi5 / xAPI"],
+                            ],
+                          ].map((row, ri) => (
+                            <div key={ri} style={{ display: "flex", gap: "0.5rem" }}>
+                              {row.map(([format, label]) => (
+                                <Btn
+                                  key={format}
+                                  full
+                                  outline
+                                  onClick={() => exportCourse(format)}
+                                  disabled={!!exporting}
+                                  style={{ padding: "0.5rem", fontSize: "0.75rem" }}
+                                >
+                                  {exporting === format ? "⏳" : `⬇ ${label}`}
+                                </Btn>
+                              ))}
+                            </div>
+                          ))}
+                        </>
+                      )}
+                    </>
+                  )}
+                </>
+              )}
             </div>
           </div>
 
           {/* Content */}
           <div style={{ flex: 1, overflowY: "auto", padding: "2.5rem 3rem", maxWidth: "100%" }}>
-            {lesson ? (
+            {draft && <Err msg={editErr} />}
+            {draft && editQuiz ? (
+              <>
+                <h1 style={{ fontSize: "1.6rem", fontWeight: 800, marginBottom: "1.5rem" }}>Edit Final Test</h1>
+                {(view.finalTest?.questions || []).map((q, qi) => (
+                  <div key={q.id || qi} style={{ ...card, marginBottom: "1rem" }}>
+                    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "0.75rem", marginBottom: "0.5rem" }}>
+                      <label style={{ ...lbl, marginBottom: 0 }}>Question {qi + 1}</label>
+                      <select
+                        style={{ ...field, width: "auto", padding: "0.35rem 0.6rem", marginLeft: "auto" }}
+                        value={q.type}
+                        onChange={(e) =>
+                          setDraft((d) => ({
+                            ...d,
+                            finalTest: {
+                              ...d.finalTest,
+                              questions: d.finalTest.questions.map((x, i) => (i === qi ? blankQuestion(e.target.value, x) : x)),
+                            },
+                          }))
+                        }
+                      >
+                        {Object.entries(QUESTION_TYPES).map(([t, label]) => (
+                          <option key={t} value={t}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                      <select
+                        title="The lesson this question assesses"
+                        style={{ ...field, width: "auto", maxWidth: "220px", padding: "0.35rem 0.6rem" }}
+                        value={questionLesson(view, q) ? `${q.unitId}/${q.lessonId}` : ""}
+                        onChange={(e) => {
+                          const [unitId, lessonId] = e.target.value ? e.target.value.split("/") : [];
+                          patchQuestion(qi, { unitId, lessonId });
+                        }}
+                      >
+                        <option value="">No lesson</option>
+                        {view.units.map((u) =>
+                          u.lessons.map((l) => (
+                            <option key={`${u.id}/${l.id}`} value={`${u.id}/${l.id}`}>
+                              {u.title} › {l.title}
+                            </option>
+                          ))
+                        )}
+                      </select>
+                      <button
+                        onClick={() =>
+                          setDraft((d) => ({ ...d, finalTest: { ...d.finalTest, questions: d.finalTest.questions.filter((_, i) => i !== qi) } }))
+                        }
+                        style={{ background: "transparent", border: "none", color: C.danger, cursor: "pointer", fontSize: "0.8rem" }}
+                      >
+                        🗑 Remove
+                      </button>
+                    </div>
+                    <textarea style={{ ...field, minHeight: "60px" }} value={q.question} onChange={(e) => patchQuestion(qi, { question: e.target.value })} />
+
+                    {(q.type === "mcq" || q.type === "multiselect") && (
+                      <>
+                        {q.options.map((opt, oi) => (
+                          <div key={oi} style={{ display: "flex", gap: "0.6rem", alignItems: "center", marginTop: "0.5rem" }}>
+                            {q.type === "mcq" ? (
+                              <input
+                                type="radio"
+                                name={`correct-${qi}`}
+                                title="Correct answer"
+                                checked={q.correctAnswer === oi}
+                                onChange={() => patchQuestion(qi, { correctAnswer: oi })}
+                              />
+                            ) : (
+                              <input
+                                type="checkbox"
+                                title="Correct answer"
+                                checked={q.correctAnswers.includes(oi)}
+                                onChange={(e) =>
+                                  patchQuestion(qi, {
+                                    correctAnswers: e.target.checked
+                                      ? [...q.correctAnswers, oi].sort((x, y) => x - y)
+                                      : q.correctAnswers.filter((x) => x !== oi),
+                                  })
+                                }
+                              />
+                            )}
+                            <span style={{ fontWeight: 700, width: "1.2rem" }}>{LETTERS[oi]}.</span>
+                            <input
+                              style={field}
+                              value={opt}
+                              onChange={(e) => patchQuestion(qi, { options: q.options.map((o, k) => (k === oi ? e.target.value : o)) })}
+                            />
+                            {q.type === "multiselect" && q.options.length > 3 && (
+                              <button
+                                title="Remove option"
+                                onClick={() =>
+                                  patchQuestion(qi, {
+                                    options: q.options.filter((_, k) => k !== oi),
+                                    correctAnswers: q.correctAnswers.filter((x) => x !== oi).map((x) => (x > oi ? x - 1 : x)),
+                                  })
+                                }
+                                style={{ background: "transparent", border: "none", color: C.muted, cursor: "pointer" }}
+                              >
+                                ✕
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                        {q.type === "multiselect" && q.options.length < 6 && (
+                          <button
+                            onClick={() => patchQuestion(qi, { options: [...q.options, ""] })}
+                            style={{ background: "transparent", border: "none", color: C.accent, cursor: "pointer", fontSize: "0.8rem", marginTop: "0.4rem" }}
+                          >
+                            + Add option
+                          </button>
+                        )}
+                      </>
+                    )}
+
+                    {q.type === "truefalse" && (
+                      <div style={{ display: "flex", gap: "1.25rem", marginTop: "0.6rem" }}>
+                        {[true, false].map((v) => (
+                          <label key={String(v)} style={{ display: "flex", gap: "0.4rem", alignItems: "center", cursor: "pointer" }}>
+                            <input type="radio" name={`correct-${qi}`} checked={q.answer === v} onChange={() => patchQuestion(qi, { answer: v })} />
+                            {v ? "True" : "False"}
+                          </label>
+                        ))}
+                      </div>
+                    )}
+
+                    {q.type === "short" && (
+                      <>
+                        <label style={{ ...lbl, marginTop: "0.75rem" }}>Grading</label>
+                        <select style={field} value={q.grading} onChange={(e) => patchQuestion(qi, { grading: e.target.value })}>
+                          <option value="keywords">Keywords — every keyword must appear in the answer</option>
+                          <option value="rubric">Rubric — graded by the AI against a rubric</option>
+                        </select>
+                        {q.grading === "rubric" ? (
+                          <>
+                            <label style={{ ...lbl, marginTop: "0.75rem" }}>Rubric</label>
+                            <textarea style={{ ...field, minHeight: "60px" }} value={q.rubric || ""} onChange={(e) => patchQuestion(qi, { rubric: e.target.value })} />
+                            <label style={{ ...lbl, marginTop: "0.75rem" }}>Sample answer</label>
+                            <textarea
+                              style={{ ...field, minHeight: "60px" }}
+                              value={q.sampleAnswer || ""}
+                              onChange={(e) => patchQuestion(qi, { sampleAnswer: e.target.value })}
+                            />
+                          </>
+                        ) : (
+                          <>
+                            <label style={{ ...lbl, marginTop: "0.75rem" }}>Keywords (one per line)</label>
+                            <textarea
+                              style={{ ...field, minHeight: "60px" }}
+                              value={(q.keywords || []).join("\n")}
+                              onChange={(e) => patchQuestion(qi, { keywords: e.target.value.split("\n") })}
+                            />
+                          </>
+                        )}
+                      </>
+                    )}
+
+                    {q.type === "numeric" && (
+                      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "0.75rem", marginTop: "0.75rem" }}>
+                        {[
+                          ["answer", "Answer"],
+                          ["tolerance", "± Tolerance"],
+                        ].map(([k, label]) => (
+                          <div key={k}>
+                            <label style={lbl}>{label}</label>
+                            <input
+                              type="number"
+                              step="any"
+                              style={field}
+                              value={q[k]}
+                              onChange={(e) => patchQuestion(qi, { [k]: e.target.value === "" ? "" : Number(e.target.value) })}
+                            />
+                          </div>
+                        ))}
+                        <div>
+                          <label style={lbl}>Unit (optional)</label>
+                          <input style={field} value={q.unit || ""} onChange={(e) => patchQuestion(qi, { unit: e.target.value })} />
+                        </div>
+                      </div>
+                    )}
+
+                    {q.type === "ordering" && (
+                      <>
+                        <label style={{ ...lbl, marginTop: "0.75rem" }}>Items in the correct order (one per line)</label>
+                        <textarea
+                          style={{ ...field, minHeight: "90px" }}
+                          value={(q.items || []).join("\n")}
+                          onChange={(e) => patchQuestion(qi, { items: e.target.value.split("\n") })}
+                        />
+                      </>
+                    )}
+
+                    <label style={{ ...lbl, marginTop: "0.75rem" }}>Explanation</label>
+                    <input style={field} value={q.explanation || ""} onChange={(e) => patchQuestion(qi, { explanation: e.target.value })} />
+                  </div>
+                ))}
+                <Btn
+                  outline
+                  onClick={() =>
+                    setDraft((d) => ({
+                      ...d,
+                      finalTest: { ...d.finalTest, questions: [...(d.finalTest?.questions || []), blankQuestion("mcq")] },
+                    }))
+                  }
+                >
+                  + Add Question
+                </Btn>
+              </>
+            ) : draft && lesson ? (
+              <>
+                <label style={lbl}>Course title</label>
+                <input style={{ ...field, marginBottom: "1rem" }} value={view.courseTitle} onChange={(e) => setDraft((d) => ({ ...d, courseTitle: e.target.value }))} />
+                {view.units.some((u) => u.checkpoint) && (
+                  <>
+                    <label style={lbl}>Checkpoint mastery threshold % (0 = off)</label>
+                    <input
+                      type="number"
+                      min={0}
+                      max={100}
+                      style={{ ...field, marginBottom: "1rem", maxWidth: "160px" }}
+                      value={view.masteryThreshold || 0}
+                      onChange={(e) => setDraft((d) => ({ ...d, masteryThreshold: Math.max(0, Math.min(100, Math.floor(Number(e.target.value) || 0))) }))}
+                    />
+                  </>
+                )}
+                <label style={lbl}>Unit title</label>
+                <input style={{ ...field, marginBottom: "1rem" }} value={unit.title} onChange={(e) => patchUnit(uIdx, { title: e.target.value })} />
+                <label style={lbl}>Lesson title</label>
+                <input style={{ ...field, marginBottom: "1rem" }} value={lesson.title} onChange={(e) => patchLesson(uIdx, lIdx, { title: e.target.value })} />
+                <label style={lbl}>Content</label>
+                <textarea
+                  style={{ ...field, minHeight: "320px", lineHeight: 1.7, marginBottom: "1rem", fontFamily: "inherit" }}
+                  value={lesson.content}
+                  onChange={(e) => patchLesson(uIdx, lIdx, { content: e.target.value })}
+                />
+                <label style={lbl}>Key points (one per line)</label>
+                <textarea
+                  style={{ ...field, minHeight: "120px", marginBottom: "1.5rem", fontFamily: "inherit" }}
+                  value={(lesson.keyPoints || []).join("\n")}
+                  onChange={(e) => patchLesson(uIdx, lIdx, { keyPoints: e.target.value.split("\n") })}
+                  onBlur={(e) => patchLesson(uIdx, lIdx, { keyPoints: e.target.value.split("\n").map((x) => x.trim()).filter(Boolean) })}
+                />
+
+                <div style={{ ...card, marginBottom: "1.5rem", border: `1px solid ${C.accent}40` }}>
+                  <h3 style={{ marginTop: 0, marginBottom: "0.75rem", fontSize: "0.95rem" }}>🔄 Regenerate with AI</h3>
+                  <input
+                    style={{ ...field, marginBottom: "0.75rem" }}
+                    placeholder='Optional instructions, e.g. "more examples", "simpler language"'
+                    value={regenInstr}
+                    onChange={(e) => setRegenInstr(e.target.value)}
+                  />
+                  <div style={{ display: "flex", gap: "0.75rem", flexWrap: "wrap" }}>
+                    <Btn onClick={() => regenerate("lesson")} disabled={!!regenerating}>
+                      {regenerating === "lesson" ? "⏳ Regenerating lesson..." : "Regenerate this lesson"}
+                    </Btn>
+                    <Btn outline onClick={() => regenerate("unit")} disabled={!!regenerating}>
+                      {regenerating === "unit" ? "⏳ Regenerating unit..." : "Regenerate whole unit"}
+                    </Btn>
+                  </div>
+                  <p style={{ color: C.muted, fontSize: "0.78rem", margin: "0.6rem 0 0" }}>
+                    The result replaces the text above; nothing is saved until you click Save Changes.
+                  </p>
+                </div>
+
+                <div style={{ display: "flex", justifyContent: "space-between", paddingBottom: "2rem" }}>
+                  <Btn outline onClick={prev} disabled={isFirst}>
+                    ← Previous
+                  </Btn>
+                  <Btn outline onClick={next} disabled={isLast}>
+                    Next →
+                  </Btn>
+                </div>
+              </>
+            ) : cp && !draft ? (
+              <>
+                <p style={{ color: C.muted, fontSize: "0.8rem", marginBottom: "0.75rem" }}>
+                  {cpUnit.title} <span style={{ color: C.border, margin: "0 0.25rem" }}>›</span> Checkpoint
+                </p>
+                <h1 style={{ fontSize: "1.85rem", fontWeight: 800, marginBottom: "0.5rem", lineHeight: 1.3 }}>🧩 Checkpoint Quiz</h1>
+                <p style={{ color: C.muted, marginTop: 0, marginBottom: "2rem", fontSize: "0.9rem" }}>
+                  {cqs.length} questions on this unit.
+                  {threshold > 0 && ` Score ${threshold}% or more to unlock the next unit.`}
+                </p>
+
+                {cp.score ? (
+                  <>
+                    <div style={{ ...card, textAlign: "center", marginBottom: "1.5rem" }}>
+                      <h2 style={{ fontSize: "2.6rem", fontWeight: 900, margin: "0 0 0.25rem", color: cpPassed ? C.success : C.danger }}>{cp.score.pct}%</h2>
+                      <p style={{ color: C.muted, margin: 0 }}>
+                        {cp.score.correct} of {cp.score.total} correct
+                        {threshold > 0 && (cpPassed ? " · unit mastered 🎉" : ` · ${threshold}% needed to continue`)}
+                      </p>
+                    </div>
+
+                    {cp.analyzing && <div style={{ ...card, color: C.accent, marginBottom: "1.25rem" }}>🔍 AI is analysing your results...</div>}
+                    {cp.analysis && (
+                      <div style={{ ...card, marginBottom: "1.5rem", border: `1px solid ${C.accent}40` }}>
+                        <h3 style={{ color: C.accent, marginBottom: "1rem" }}>🧠 What to review</h3>
+                        <div style={{ color: C.muted, lineHeight: 1.9, fontSize: "0.93rem", whiteSpace: "pre-wrap" }}>{cp.analysis}</div>
+                      </div>
+                    )}
+
+                    <div style={{ ...card, marginBottom: "1.5rem" }}>
+                      {cqs.map((q, i) => (
+                        <QuestionReview
+                          key={i}
+                          q={q}
+                          n={i + 1}
+                          value={cp.ans[i]}
+                          result={cp.results[i]}
+                          last={i === cqs.length - 1}
+                          lesson={questionLesson(view, q)?.lesson.title}
+                          onReviewLesson={() => reviewLesson(q)}
+                          source={passageLabels(view, q.sourcePassages)}
+                        />
+                      ))}
+                    </div>
+
+                    <div style={{ display: "flex", justifyContent: "space-between", paddingBottom: "2rem" }}>
+                      <Btn outline onClick={() => openCheckpoint(cp.ui)}>
+                        ↻ Retake
+                      </Btn>
+                      <Btn onClick={nextUnit} disabled={!cpPassed}>
+                        {cp.ui === view.units.length - 1 ? "Take Final Test →" : "Next Unit →"}
+                      </Btn>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div style={card}>
+                      {cqs.map((q, i) => (
+                        <div key={i} style={{ marginBottom: "2rem", paddingBottom: "2rem", borderBottom: i < cqs.length - 1 ? `1px solid ${C.border}` : "none" }}>
+                          <p style={{ fontWeight: 600, marginBottom: "1rem", fontSize: "0.95rem" }}>
+                            Q{i + 1}. {q.question}
+                          </p>
+                          <QuestionInput q={q} value={cp.ans[i]} onChange={(v) => setCp((p) => ({ ...p, ans: { ...p.ans, [i]: v } }))} />
+                        </div>
+                      ))}
+                    </div>
+                    <Err msg={cp.err} />
+                    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", margin: "1.5rem 0 2rem" }}>
+                      <Btn outline onClick={() => setCp(null)}>
+                        ← Back to Lessons
+                      </Btn>
+                      <Btn onClick={submitCheckpoint} disabled={cp.grading || cqs.some((q, i) => !isAnswered(q, cp.ans[i]))}>
+                        {cp.grading ? "⏳ Grading..." : "Submit Checkpoint →"}
+                      </Btn>
+                    </div>
+                  </>
+                )}
+              </>
+            ) : lesson ? (
               <>
                 <p style={{ color: C.muted, fontSize: "0.8rem", marginBottom: "0.75rem" }}>
                   {unit.title} <span style={{ color: C.border, margin: "0 0.25rem" }}>›</span> {lesson.title}
+                  {unit.sourceSections?.length > 0 && (
+                    <span style={{ marginLeft: "0.75rem", color: C.accent }}>
+                      📎 {sourceLabels(view, unit.sourceSections)}
+                    </span>
+                  )}
+                  {canAskTutor && !tutorOpen && (
+                    <span onClick={() => setTutorOpen(true)} style={{ float: "right", color: C.accent, cursor: "pointer", fontWeight: 600 }}>
+                      💬 Ask the tutor
+                    </span>
+                  )}
                 </p>
 
                 <h1 style={{ fontSize: "1.85rem", fontWeight: 800, marginBottom: "2rem", lineHeight: 1.3 }}>
@@ -1388,6 +4762,11 @@ export default function App() {
                         </p>
                       ) : null
                     )}
+                  {passageLabels(view, lesson.sourcePassages) && (
+                    <p style={{ fontSize: "0.8rem", color: C.accent, marginTop: "0.5rem" }}>
+                      📄 From {passageLabels(view, lesson.sourcePassages)}
+                    </p>
+                  )}
                 </div>
 
                 {lesson.keyPoints?.length > 0 && (
@@ -1408,13 +4787,82 @@ export default function App() {
                   <Btn outline onClick={prev} disabled={isFirst}>
                     ← Previous
                   </Btn>
-                  <Btn onClick={next}>{isLast ? "Take Final Test →" : "Next →"}</Btn>
+                  <Btn onClick={next}>
+                    {endOfUnit && unit.checkpoint && !draft ? "Checkpoint Quiz →" : isLast ? (hasTest ? "Take Final Test →" : "✓ Finish") : "Next →"}
+                  </Btn>
                 </div>
               </>
             ) : (
               <div style={{ textAlign: "center", padding: "4rem", color: C.muted }}>Select a lesson from the sidebar to begin</div>
             )}
           </div>
+
+          {/* Tutor */}
+          {canAskTutor && tutorOpen && (
+            <div style={{ width: "360px", minWidth: "360px", background: C.surf, borderLeft: `1px solid ${C.border}`, display: "flex", flexDirection: "column" }}>
+              <div style={{ padding: "1rem 1.25rem", borderBottom: `1px solid ${C.border}`, display: "flex", alignItems: "center", gap: "0.75rem" }}>
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontWeight: 700, fontSize: "0.9rem" }}>💬 Lesson Tutor</div>
+                  <div style={{ color: C.muted, fontSize: "0.72rem" }}>Questions about “{lesson.title}”</div>
+                </div>
+                {tutorMsgs.length > 0 && !tutorBusy && (
+                  <button title="Clear conversation" onClick={clearTutor} style={{ background: "transparent", border: "none", color: C.muted, cursor: "pointer" }}>
+                    🗑
+                  </button>
+                )}
+                <button title="Close" onClick={() => setTutorOpen(false)} style={{ background: "transparent", border: "none", color: C.muted, cursor: "pointer" }}>
+                  ✕
+                </button>
+              </div>
+
+              <div style={{ flex: 1, overflowY: "auto", padding: "1rem 1.25rem", display: "flex", flexDirection: "column", gap: "0.75rem" }}>
+                {!tutorMsgs.length && (
+                  <p style={{ color: C.muted, fontSize: "0.8rem", lineHeight: 1.6 }}>
+                    Ask anything about this lesson, e.g. “Can you explain this with another example?” Answers come from the course and your
+                    syllabus and say where they come from.
+                  </p>
+                )}
+                {tutorMsgs.map((m, i) => (
+                  <div
+                    key={i}
+                    style={{
+                      alignSelf: m.role === "user" ? "flex-end" : "flex-start",
+                      maxWidth: "90%",
+                      padding: "0.6rem 0.8rem",
+                      borderRadius: "10px",
+                      background: m.role === "user" ? `${C.accent}33` : C.surf2,
+                      fontSize: "0.83rem",
+                      lineHeight: 1.6,
+                      whiteSpace: "pre-wrap",
+                    }}
+                  >
+                    {m.role === "user" ? m.content : m.content ? tutorText(m) : "⏳ Thinking..."}
+                  </div>
+                ))}
+                <Err msg={tutorErr} />
+              </div>
+
+              <div style={{ padding: "0.75rem 1.25rem", borderTop: `1px solid ${C.border}`, display: "flex", gap: "0.5rem", alignItems: "flex-end" }}>
+                <textarea
+                  rows={2}
+                  maxLength={2000}
+                  placeholder="Ask about this lesson..."
+                  style={{ ...field, resize: "none", fontSize: "0.83rem" }}
+                  value={tutorInput}
+                  onChange={(e) => setTutorInput(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter" && !e.shiftKey) {
+                      e.preventDefault();
+                      askTutor();
+                    }
+                  }}
+                />
+                <Btn onClick={askTutor} disabled={tutorBusy || !tutorInput.trim()} style={{ padding: "0.55rem 0.8rem" }}>
+                  {tutorBusy ? "⏳" : "➤"}
+                </Btn>
+              </div>
+            </div>
+          )}
         </div>
       </div>
     );
@@ -1,9 +1,12 @@
-import { defineConfig } from 'vite'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
 import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
   server: {
+    // answer checking (../backend/grading.js) and question mixes
+    // (../backend/mix.js) are shared with the backend
+    fs: { allow: [searchForWorkspaceRoot(process.cwd()), '../backend/grading.js', '../backend/mix.js'] },
     proxy: {
       '/api': 'http://localhost:3001'
     }